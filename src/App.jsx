@@ -6,7 +6,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import {
   DndContext,
-  closestCenter,
+  DragOverlay,
   KeyboardSensor,
   PointerSensor,
   useSensor,
@@ -19,15 +19,28 @@ import {
 } from '@dnd-kit/sortable'
 import {
   useStore,
+  selectTopics,
   calculateTotalProgress,
+  VIEWS,
   THEME_LIGHT,
   THEME_DARK
 } from './store/useStore'
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts'
+import { useFileDrop } from './hooks/useFileDrop'
+import { useUrlFilters } from './hooks/useUrlFilters'
+import { useScrollRestoration } from './hooks/useScrollRestoration'
+import { useSheetDragAndDrop, DRAG_TYPES } from './hooks/useSheetDragAndDrop'
 import Header from './components/Header'
 import TopicList from './components/TopicList'
 import SearchBar from './components/SearchBar'
 import StatsPanel from './components/StatsPanel'
+import QuarantineNotice from './components/QuarantineNotice'
+import SheetUpdateNotice from './components/SheetUpdateNotice'
+import UndoToast from './components/UndoToast'
+import BulkActionBar from './components/BulkActionBar'
+import CommandPalette from './components/CommandPalette'
+import ReviewQueue from './components/ReviewQueue'
+import QuestionsTable from './components/QuestionsTable'
 import Modal from './components/Modal'
 import './App.css'
 
@@ -95,6 +108,54 @@ function ErrorScreen({ theme, error, onRetry }) {
   )
 }
 
+// ============================================================================
+// File Drop Overlay Component
+// ============================================================================
+
+function DropOverlay() {
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm pointer-events-none animate-fadeIn"
+      aria-hidden="true"
+    >
+      <div className="px-10 py-8 border-2 border-dashed border-[#6366f1] rounded-xl bg-[#1a1a1a] text-center">
+        <p className="text-lg font-semibold text-white">Drop sheet JSON to import</p>
+        <p className="text-sm text-gray-400 mt-1">It will be added as a new sheet</p>
+      </div>
+    </div>
+  )
+}
+
+// ============================================================================
+// Drag Preview Component
+// ============================================================================
+
+const DRAG_TYPE_LABELS = Object.freeze({
+  [DRAG_TYPES.TOPIC]: 'Topic',
+  [DRAG_TYPES.SUBTOPIC]: 'Subtopic',
+  [DRAG_TYPES.QUESTION]: 'Question',
+})
+
+/**
+ * Follows the pointer while dragging, above the clipped topic cards
+ */
+function DragPreview({ item, theme }) {
+  const isLight = theme === THEME_LIGHT
+  const label = item.question?.title || item.subtopic?.name || item.topic?.name || ''
+
+  return (
+    <div className={`inline-flex items-center gap-2 max-w-md px-3 py-2 rounded-lg border shadow-2xl cursor-grabbing ${isLight
+      ? 'bg-white border-[#6366f1] text-gray-800'
+      : 'bg-[#1a1a1a] border-[#6366f1] text-white'
+      }`}>
+      <span className="text-xs uppercase tracking-wide text-[#6366f1]">
+        {DRAG_TYPE_LABELS[item.type]}
+      </span>
+      <span className="text-sm truncate">{label}</span>
+    </div>
+  )
+}
+
 // ============================================================================
 // Main App Component
 // ============================================================================
@@ -103,10 +164,11 @@ function App() {
   // Store selectors - kept minimal to prevent unnecessary re-renders
   const loading = useStore(state => state.loading)
   const error = useStore(state => state.error)
-  const topics = useStore(state => state.topics)
+  const topics = useStore(selectTopics)
   const theme = useStore(state => state.theme)
   const fetchSheetData = useStore(state => state.fetchSheetData)
-  const reorderTopics = useStore(state => state.reorderTopics)
+  const importSheetFile = useStore(state => state.importSheetFile)
+  const activeView = useStore(state => state.activeView)
 
   // Derived state
   const progress = calculateTotalProgress(topics)
@@ -143,6 +205,20 @@ function App() {
   // Initialize keyboard shortcuts
   useKeyboardShortcuts(openModal)
 
+  // Search and filters follow the URL once the sheet has loaded
+  useUrlFilters(!loading)
+
+  // Each view returns to where it was scrolled, including after a reload
+  useScrollRestoration(!loading, activeView)
+
+  // Sheet files dropped anywhere on the page are imported as new sheets
+  const handleFileDrop = useCallback(async (file) => {
+    const result = await importSheetFile(file)
+    openModal('importSheet', { result })
+  }, [importSheetFile, openModal])
+
+  const isDraggingFile = useFileDrop(handleFileDrop)
+
   // Data initialization - runs once on mount
   useEffect(() => {
     if (!initialized.current) {
@@ -166,19 +242,8 @@ function App() {
     }
   }, [theme])
 
-  // DnD event handler
-  const handleDragEnd = useCallback((event) => {
-    const { active, over } = event
-
-    if (!active || !over || active.id === over.id) {
-      return
-    }
-
-    const activeType = active.data.current?.type
-    if (activeType === 'topic') {
-      reorderTopics(active.id, over.id)
-    }
-  }, [reorderTopics])
+  // Topics, subtopics and questions share one drag context so items can change parents
+  const { activeItem, dndProps } = useSheetDragAndDrop()
 
   // Render loading state
   if (loading) {
@@ -207,24 +272,41 @@ function App() {
       />
 
       <main className="w-[95%] max-w-[1800px] mx-auto py-6">
-        <SearchBar />
-
-        <DndContext
-          sensors={sensors}
-          collisionDetection={closestCenter}
-          onDragEnd={handleDragEnd}
-        >
-          <SortableContext
-            items={topics.map(t => t.id)}
-            strategy={verticalListSortingStrategy}
-          >
-            <TopicList topics={topics} openModal={openModal} />
-          </SortableContext>
-        </DndContext>
+        <QuarantineNotice />
+        <SheetUpdateNotice />
+
+        {activeView === VIEWS.REVIEW ? (
+          <ReviewQueue openModal={openModal} />
+        ) : activeView === VIEWS.TABLE ? (
+          <>
+            <SearchBar />
+            <QuestionsTable openModal={openModal} />
+          </>
+        ) : (
+          <>
+            <SearchBar />
+            <BulkActionBar openModal={openModal} />
+
+            <DndContext sensors={sensors} {...dndProps}>
+              <SortableContext
+                items={topics.map(t => t.id)}
+                strategy={verticalListSortingStrategy}
+              >
+                <TopicList topics={topics} openModal={openModal} />
+              </SortableContext>
+              <DragOverlay dropAnimation={null}>
+                {activeItem && <DragPreview item={activeItem} theme={theme} />}
+              </DragOverlay>
+            </DndContext>
+          </>
+        )}
       </main>
 
       <StatsPanel />
       <Modal modalState={modalState} closeModal={closeModal} />
+      <CommandPalette openModal={openModal} />
+      <UndoToast />
+      {isDraggingFile && <DropOverlay />}
 
       {/* Keyboard shortcut hint - accessible */}
       <div
@@ -0,0 +1,93 @@
+/**
+ * BulkActionBar Component
+ * Shown while questions are selected; applies an action to all of them
+ * after a single confirmation
+ */
+
+import { useShallow } from 'zustand/react/shallow'
+import { useStore, THEMES, BULK_ACTIONS } from '../store/useStore'
+import { useShortcutHint } from '../hooks/useKeyboardShortcuts'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const BAR_ACTIONS = Object.freeze([
+    { action: BULK_ACTIONS.SOLVE, label: 'Mark solved' },
+    { action: BULK_ACTIONS.UNSOLVE, label: 'Mark unsolved' },
+    { action: BULK_ACTIONS.STAR, label: 'Star' },
+    { action: BULK_ACTIONS.UNSTAR, label: 'Unstar' },
+    { action: BULK_ACTIONS.SET_DIFFICULTY, label: 'Difficulty…' },
+    { action: BULK_ACTIONS.ADD_TAG, label: 'Add tag…' },
+    { action: BULK_ACTIONS.REMOVE_TAG, label: 'Remove tag…' },
+    { action: BULK_ACTIONS.MOVE, label: 'Move to…' },
+])
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function BulkActionBar({ openModal }) {
+    // Ids can outlive their questions (e.g. after an undo), so only count live ones
+    const selectedIds = useStore(useShallow(state => (
+        Object.keys(state.selectedQuestionIds).filter(id => state.questionsById[id])
+    )))
+    const selectVisibleQuestions = useStore(state => state.selectVisibleQuestions)
+    const clearQuestionSelection = useStore(state => state.clearQuestionSelection)
+    const theme = useStore(state => state.theme)
+    const selectAllTitle = useShortcutHint('Select every question matching the current filters', 'selectAll')
+    const clearTitle = useShortcutHint('Clear selection', 'clearSelection')
+
+    if (selectedIds.length === 0) return null
+
+    const isLight = theme === THEMES.LIGHT
+    const count = selectedIds.length
+    const buttonClass = `px-3 py-1.5 text-sm rounded-lg transition-colors ${isLight ? 'hover:bg-indigo-100' : 'hover:bg-indigo-500/20'}`
+    const confirm = (action) => openModal('bulkAction', { action, count })
+
+    return (
+        <div
+            className={`sticky top-2 z-30 mb-4 flex flex-wrap items-center gap-2 px-4 py-2 rounded-xl border shadow-lg animate-fadeIn ${isLight
+                ? 'bg-indigo-50 border-indigo-200 text-indigo-900'
+                : 'bg-[#1a1a2e] border-indigo-500/30 text-indigo-200'
+                }`}
+            role="toolbar"
+            aria-label="Bulk actions for selected questions"
+        >
+            <span className="text-sm font-semibold mr-2" aria-live="polite">
+                {count} selected
+            </span>
+            {BAR_ACTIONS.map(({ action, label }) => (
+                <button key={action} type="button" onClick={() => confirm(action)} className={buttonClass}>
+                    {label}
+                </button>
+            ))}
+            <button
+                type="button"
+                onClick={() => confirm(BULK_ACTIONS.DELETE)}
+                className="px-3 py-1.5 text-sm rounded-lg text-[#ef4444] hover:bg-red-500/10 transition-colors"
+            >
+                Delete
+            </button>
+            <div className="flex-1" />
+            <button
+                type="button"
+                onClick={selectVisibleQuestions}
+                className={buttonClass}
+                title={selectAllTitle}
+            >
+                Select all
+            </button>
+            <button
+                type="button"
+                onClick={clearQuestionSelection}
+                className={buttonClass}
+                title={clearTitle}
+            >
+                Clear
+            </button>
+        </div>
+    )
+}
+
+export default BulkActionBar
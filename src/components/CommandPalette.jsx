@@ -0,0 +1,216 @@
+/**
+ * CommandPalette Component
+ * Ctrl/Cmd+Shift+P dialog for running any action or jumping to any topic,
+ * subtopic or question by typing part of its name
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useStore, THEMES } from '../store/useStore'
+import { useCommands, rankCommands } from '../hooks/useCommands'
+import { formatBinding } from '../hooks/useKeyboardShortcuts'
+import { getEffectiveBindings } from '../store/shortcuts'
+import { splitByIndices } from '../utils/fuzzy'
+
+// ============================================================================
+// Icon Components
+// ============================================================================
+
+function SearchIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+    )
+}
+
+// ============================================================================
+// Sub-Components
+// ============================================================================
+
+function HighlightedText({ text, indices }) {
+    return splitByIndices(text, indices).map((segment, index) => (
+        segment.isMatch
+            ? <mark key={index} className="bg-transparent text-[#6366f1] font-semibold">{segment.text}</mark>
+            : <span key={index}>{segment.text}</span>
+    ))
+}
+
+function ShortcutKeys({ binding, isLight }) {
+    return (
+        <span className="flex items-center gap-1 flex-shrink-0">
+            {formatBinding(binding).flat().map((key, index) => (
+                <kbd
+                    key={index}
+                    className={`px-1.5 py-0.5 text-xs rounded border font-mono ${isLight
+                        ? 'bg-gray-100 border-gray-200 text-gray-600'
+                        : 'bg-[#252525] border-[#444] text-gray-400'
+                        }`}
+                >
+                    {key}
+                </kbd>
+            ))}
+        </span>
+    )
+}
+
+/**
+ * The open palette; commands are only built while it is shown
+ */
+function CommandPaletteDialog({ openModal, isLight }) {
+    const closeCommandPalette = useStore(state => state.closeCommandPalette)
+    const recordCommand = useStore(state => state.recordCommand)
+    const recentCommandIds = useStore(state => state.recentCommandIds)
+    const shortcutBindings = useStore(state => state.shortcutBindings)
+    const commands = useCommands(openModal)
+
+    const [query, setQuery] = useState('')
+    const [activeIndex, setActiveIndex] = useState(0)
+    const listRef = useRef(null)
+    // Captured before the input takes focus
+    const previousActiveElement = useRef(document.activeElement)
+
+    const results = rankCommands(commands, query, recentCommandIds)
+    const bindingsById = getEffectiveBindings(shortcutBindings)
+    const highlighted = Math.min(activeIndex, Math.max(0, results.length - 1))
+
+    // Give focus back to where it was unless a command moved it
+    useEffect(() => {
+        const element = previousActiveElement.current
+        return () => {
+            if (!document.activeElement || document.activeElement === document.body) {
+                element?.focus?.()
+            }
+        }
+    }, [])
+
+    useEffect(() => {
+        listRef.current?.children[highlighted]?.scrollIntoView({ block: 'nearest' })
+    }, [highlighted])
+
+    const runCommand = (command) => {
+        closeCommandPalette()
+        recordCommand(command.id)
+        command.run()
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault()
+            if (results.length === 0) return
+            const step = e.key === 'ArrowDown' ? 1 : -1
+            setActiveIndex((highlighted + step + results.length) % results.length)
+        } else if (e.key === 'Enter') {
+            e.preventDefault()
+            if (results[highlighted]) runCommand(results[highlighted].command)
+        } else if (e.key === 'Escape') {
+            e.preventDefault()
+            closeCommandPalette()
+        }
+    }
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-start justify-center pt-[12vh] animate-fadeIn"
+            role="dialog"
+            aria-modal="true"
+            aria-label="Command palette"
+        >
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+                onClick={closeCommandPalette}
+                aria-hidden="true"
+            />
+
+            <div className={`relative w-full max-w-xl mx-4 rounded-xl border shadow-2xl overflow-hidden animate-slideIn ${isLight
+                ? 'bg-white border-gray-200'
+                : 'bg-[#1a1a1a] border-[#333]'
+                }`}>
+                <div className={`flex items-center gap-3 px-4 border-b ${isLight ? 'border-gray-200' : 'border-[#333]'}`}>
+                    <SearchIcon className="w-4 h-4 text-gray-500 flex-shrink-0" />
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => {
+                            setQuery(e.target.value)
+                            setActiveIndex(0)
+                        }}
+                        onKeyDown={handleKeyDown}
+                        placeholder="Type a command, topic, subtopic or question"
+                        className={`flex-1 py-3.5 bg-transparent focus:outline-none ${isLight ? 'text-gray-900 placeholder-gray-400' : 'text-white placeholder-gray-500'}`}
+                        role="combobox"
+                        aria-label="Search commands"
+                        aria-autocomplete="list"
+                        aria-expanded={results.length > 0}
+                        aria-controls="command-palette-results"
+                        aria-activedescendant={results.length > 0 ? `command-palette-option-${highlighted}` : undefined}
+                        autoComplete="off"
+                        spellCheck={false}
+                        autoFocus
+                    />
+                </div>
+
+                {results.length === 0 ? (
+                    <p className="px-4 py-6 text-sm text-center text-gray-500">No matching commands</p>
+                ) : (
+                    <ul
+                        ref={listRef}
+                        id="command-palette-results"
+                        role="listbox"
+                        aria-label="Commands"
+                        className="max-h-[50vh] overflow-y-auto py-1"
+                    >
+                        {results.map(({ command, indices }, index) => (
+                            <li
+                                key={command.id}
+                                id={`command-palette-option-${index}`}
+                                role="option"
+                                aria-selected={index === highlighted}
+                                // Keep focus in the input while clicking a command
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => runCommand(command)}
+                                onMouseMove={() => setActiveIndex(index)}
+                                className={`flex items-center gap-3 px-4 py-2 text-sm cursor-pointer ${index === highlighted
+                                    ? 'bg-[#6366f1]/15'
+                                    : ''
+                                    }`}
+                            >
+                                <span className="w-16 flex-shrink-0 text-xs uppercase tracking-wide text-gray-500">
+                                    {command.group}
+                                </span>
+                                <span className={`truncate ${isLight ? 'text-gray-800' : 'text-gray-200'}`}>
+                                    <HighlightedText text={command.title} indices={indices} />
+                                </span>
+                                {command.hint && (
+                                    <span className="text-xs text-gray-500 truncate">{command.hint}</span>
+                                )}
+                                <span className="flex-1" />
+                                {recentCommandIds.includes(command.id) && (
+                                    <span className="text-xs text-gray-500 flex-shrink-0">recent</span>
+                                )}
+                                {bindingsById[command.id]?.[0] && (
+                                    <ShortcutKeys binding={bindingsById[command.id][0]} isLight={isLight} />
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function CommandPalette({ openModal }) {
+    const showCommandPalette = useStore(state => state.showCommandPalette)
+    const theme = useStore(state => state.theme)
+
+    if (!showCommandPalette) return null
+
+    return <CommandPaletteDialog openModal={openModal} isLight={theme === THEMES.LIGHT} />
+}
+
+export default CommandPalette
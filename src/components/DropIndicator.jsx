@@ -0,0 +1,20 @@
+/**
+ * DropIndicator Component
+ * Line marking where a dragged subtopic or question will be inserted.
+ * The parent must be positioned (relative).
+ */
+
+import { DROP_POSITIONS } from '../store/useStore'
+
+function DropIndicator({ position }) {
+    if (position !== DROP_POSITIONS.BEFORE && position !== DROP_POSITIONS.AFTER) return null
+
+    return (
+        <div
+            className={`absolute left-0 right-0 h-0.5 bg-[#6366f1] pointer-events-none z-10 ${position === DROP_POSITIONS.BEFORE ? 'top-0' : 'bottom-0'}`}
+            aria-hidden="true"
+        />
+    )
+}
+
+export default DropIndicator
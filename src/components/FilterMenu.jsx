@@ -0,0 +1,148 @@
+/**
+ * FilterMenu Component
+ * Dropdown of independent question filters (starred, notes, video,
+ * problem link, custom vs. original), each set to any, with or without
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useStore, QUESTION_FLAGS, THEMES } from '../store/useStore'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const FLAG_OPTIONS = Object.freeze([
+    { flag: QUESTION_FLAGS.STARRED, label: 'Starred', withLabel: 'Starred', withoutLabel: 'Not starred' },
+    { flag: QUESTION_FLAGS.NOTES, label: 'Notes', withLabel: 'With notes', withoutLabel: 'Without' },
+    { flag: QUESTION_FLAGS.VIDEO, label: 'Video solution', withLabel: 'With video', withoutLabel: 'Without' },
+    { flag: QUESTION_FLAGS.URL, label: 'Problem link', withLabel: 'With link', withoutLabel: 'Without' },
+    { flag: QUESTION_FLAGS.CUSTOM, label: 'Source', withLabel: 'Added by me', withoutLabel: 'Original' },
+])
+
+// ============================================================================
+// Icon Components
+// ============================================================================
+
+function FilterIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+        </svg>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function FilterMenu() {
+    const filterFlags = useStore(state => state.filterFlags)
+    const setFilterFlag = useStore(state => state.setFilterFlag)
+    const theme = useStore(state => state.theme)
+
+    const [isOpen, setIsOpen] = useState(false)
+    const containerRef = useRef(null)
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) {
+                setIsOpen(false)
+            }
+        }
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setIsOpen(false)
+            }
+        }
+
+        document.addEventListener('mousedown', handlePointerDown)
+        document.addEventListener('keydown', handleKeyDown)
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown)
+            document.removeEventListener('keydown', handleKeyDown)
+        }
+    }, [isOpen])
+
+    const isLight = theme === THEMES.LIGHT
+    const textColor = isLight ? 'text-gray-800' : 'text-white'
+    const menuClass = isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'
+    const buttonClass = isLight
+        ? 'bg-gray-50 border-gray-200 text-gray-900'
+        : 'bg-[#252525] border-[#333] text-white'
+    const segmentBorder = isLight ? 'border-gray-200' : 'border-[#333]'
+    const segmentIdle = isLight ? 'text-gray-600 hover:bg-gray-100' : 'text-gray-400 hover:bg-[#252525]'
+
+    const activeCount = Object.keys(filterFlags).length
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                className={`px-4 py-2.5 border rounded-lg flex items-center gap-2 focus:outline-none focus:border-[#6366f1] transition-colors ${buttonClass}`}
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+            >
+                <FilterIcon className={`w-4 h-4 ${activeCount > 0 ? 'text-[#6366f1]' : 'text-gray-500'}`} />
+                Filters
+                {activeCount > 0 && (
+                    <span className="px-1.5 min-w-[1.25rem] text-xs rounded-full bg-[#6366f1] text-white">
+                        {activeCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label="Question filters"
+                    className={`absolute right-0 top-full mt-2 w-96 max-w-[90vw] rounded-lg border shadow-2xl z-40 p-3 animate-slideIn ${menuClass}`}
+                >
+                    <ul className="space-y-2">
+                        {FLAG_OPTIONS.map(option => {
+                            const value = filterFlags[option.flag]
+                            const choices = [
+                                { label: 'Any', value: null },
+                                { label: option.withLabel, value: true },
+                                { label: option.withoutLabel, value: false },
+                            ]
+                            return (
+                                <li key={option.flag} className="flex items-center justify-between gap-3">
+                                    <span id={`flag-filter-${option.flag}`} className={`text-sm ${textColor}`}>
+                                        {option.label}
+                                    </span>
+                                    <div
+                                        role="radiogroup"
+                                        aria-labelledby={`flag-filter-${option.flag}`}
+                                        className={`flex rounded-lg border overflow-hidden ${segmentBorder}`}
+                                    >
+                                        {choices.map(choice => {
+                                            const isChecked = (value ?? null) === choice.value
+                                            return (
+                                                <button
+                                                    key={choice.label}
+                                                    type="button"
+                                                    role="radio"
+                                                    aria-checked={isChecked}
+                                                    onClick={() => setFilterFlag(option.flag, choice.value)}
+                                                    className={`px-2.5 py-1 text-xs font-medium transition-colors ${isChecked ? 'bg-[#6366f1] text-white' : segmentIdle}`}
+                                                >
+                                                    {choice.label}
+                                                </button>
+                                            )
+                                        })}
+                                    </div>
+                                </li>
+                            )
+                        })}
+                    </ul>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default FilterMenu
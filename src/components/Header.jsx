@@ -3,7 +3,11 @@
  * Displays sheet info, progress, and action buttons
  */
 
-import { useStore, THEMES } from '../store/useStore'
+import { useStore, selectDueCount, THEMES, VIEWS } from '../store/useStore'
+import { getBackupFileName } from '../store/backup'
+import { downloadJson } from '../utils/files'
+import { useShortcutHint } from '../hooks/useKeyboardShortcuts'
+import SheetSwitcher from './SheetSwitcher'
 
 // ============================================================================
 // Icon Components
@@ -25,6 +29,22 @@ function ChartIcon({ className }) {
     )
 }
 
+function ReviewIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+        </svg>
+    )
+}
+
+function TableIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+        </svg>
+    )
+}
+
 function SunIcon({ className }) {
     return (
         <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -49,6 +69,22 @@ function ExpandIcon({ className }) {
     )
 }
 
+function DownloadIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+        </svg>
+    )
+}
+
+function UploadIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+        </svg>
+    )
+}
+
 function ResetIcon({ className }) {
     return (
         <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -113,8 +149,22 @@ function Header({ progress, onAddTopic, openModal }) {
     const toggleTheme = useStore(state => state.toggleTheme)
     const toggleStats = useStore(state => state.toggleStats)
     const expandAllTopics = useStore(state => state.expandAllTopics)
+    const exportBackup = useStore(state => state.exportBackup)
+    const activeView = useStore(state => state.activeView)
+    const setActiveView = useStore(state => state.setActiveView)
+    const dueCount = useStore(selectDueCount)
+    const titles = {
+        addTopic: useShortcutHint('Add Topic', 'addTopic'),
+        stats: useShortcutHint('Statistics', 'toggleStats'),
+        review: useShortcutHint('Due for revision', 'toggleReview'),
+        table: useShortcutHint('All questions table', 'toggleTable'),
+        theme: useShortcutHint('Toggle Theme', 'toggleTheme'),
+        expandAll: useShortcutHint('Expand All', 'expandAll'),
+    }
 
     const isLight = theme === THEMES.LIGHT
+    const isReviewView = activeView === VIEWS.REVIEW
+    const isTableView = activeView === VIEWS.TABLE
     const bgColor = isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'
     const textColor = isLight ? 'text-gray-800' : 'text-white'
     const mutedColor = isLight ? 'text-gray-500' : 'text-gray-400'
@@ -122,6 +172,11 @@ function Header({ progress, onAddTopic, openModal }) {
         ? 'bg-gray-100 hover:bg-gray-200 text-gray-600'
         : 'bg-[#252525] hover:bg-[#333] text-gray-400'
 
+    const handleExport = () => {
+        const backup = exportBackup()
+        downloadJson(backup, getBackupFileName(backup))
+    }
+
     return (
         <header className={`${bgColor} border-b`}>
             <div className="w-[95%] max-w-[1800px] mx-auto py-6">
@@ -132,7 +187,7 @@ function Header({ progress, onAddTopic, openModal }) {
                         <nav className={`flex items-center gap-2 text-sm ${mutedColor} mb-2`} aria-label="Breadcrumb">
                             <span>Sheets</span>
                             <span aria-hidden="true">/</span>
-                            <span className={textColor}>{sheet?.name}</span>
+                            <SheetSwitcher openModal={openModal} />
                         </nav>
 
                         {/* Title */}
@@ -181,7 +236,7 @@ function Header({ progress, onAddTopic, openModal }) {
                             <button
                                 onClick={onAddTopic}
                                 className="flex items-center gap-2 px-4 py-2 bg-[#6366f1] hover:bg-indigo-600 text-white text-sm font-medium rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
-                                title="Add Topic (Ctrl+N)"
+                                title={titles.addTopic}
                                 aria-label="Add new topic"
                             >
                                 <PlusIcon className="w-4 h-4" />
@@ -191,16 +246,41 @@ function Header({ progress, onAddTopic, openModal }) {
                             <button
                                 onClick={toggleStats}
                                 className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
-                                title="Statistics (S)"
+                                title={titles.stats}
                                 aria-label="Toggle statistics panel"
                             >
                                 <ChartIcon className="w-5 h-5" />
                             </button>
 
+                            <button
+                                onClick={() => setActiveView(isReviewView ? VIEWS.TOPICS : VIEWS.REVIEW)}
+                                className={`relative p-2 ${isReviewView ? 'bg-[#6366f1] text-white' : buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
+                                title={titles.review}
+                                aria-label={`${isReviewView ? 'Close' : 'Open'} revision queue, ${dueCount} due`}
+                                aria-pressed={isReviewView}
+                            >
+                                <ReviewIcon className="w-5 h-5" />
+                                {dueCount > 0 && (
+                                    <span className="absolute -top-1.5 -right-1.5 min-w-[18px] h-[18px] px-1 flex items-center justify-center rounded-full bg-[#ef4444] text-white text-[10px] font-semibold" aria-hidden="true">
+                                        {dueCount > 99 ? '99+' : dueCount}
+                                    </span>
+                                )}
+                            </button>
+
+                            <button
+                                onClick={() => setActiveView(isTableView ? VIEWS.TOPICS : VIEWS.TABLE)}
+                                className={`p-2 ${isTableView ? 'bg-[#6366f1] text-white' : buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
+                                title={titles.table}
+                                aria-label={`${isTableView ? 'Close' : 'Open'} all questions table`}
+                                aria-pressed={isTableView}
+                            >
+                                <TableIcon className="w-5 h-5" />
+                            </button>
+
                             <button
                                 onClick={toggleTheme}
                                 className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
-                                title="Toggle Theme (T)"
+                                title={titles.theme}
                                 aria-label={`Switch to ${isLight ? 'dark' : 'light'} theme`}
                             >
                                 {isLight ? <MoonIcon className="w-5 h-5" /> : <SunIcon className="w-5 h-5" />}
@@ -209,12 +289,30 @@ function Header({ progress, onAddTopic, openModal }) {
                             <button
                                 onClick={expandAllTopics}
                                 className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
-                                title="Expand All (Ctrl+E)"
+                                title={titles.expandAll}
                                 aria-label="Expand all topics"
                             >
                                 <ExpandIcon className="w-5 h-5" />
                             </button>
 
+                            <button
+                                onClick={handleExport}
+                                className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
+                                title="Export Backup"
+                                aria-label="Export workspace backup"
+                            >
+                                <DownloadIcon className="w-5 h-5" />
+                            </button>
+
+                            <button
+                                onClick={() => openModal('restoreBackup')}
+                                className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
+                                title="Restore Backup"
+                                aria-label="Restore workspace from backup"
+                            >
+                                <UploadIcon className="w-5 h-5" />
+                            </button>
+
                             <button
                                 onClick={() => openModal('resetProgress')}
                                 className={`p-2 ${buttonBg} rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
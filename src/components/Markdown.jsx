@@ -0,0 +1,211 @@
+/**
+ * Markdown Component
+ * Renders question notes written in Markdown (see utils/markdown.js), with
+ * highlighted code blocks and LaTeX math. Everything is built as React
+ * elements, so nothing in a note is ever inserted as HTML.
+ */
+
+import { memo, useMemo } from 'react'
+import { parseMarkdown } from '../utils/markdown'
+import { highlightCode, getLanguageLabel, TOKEN_TYPES } from '../utils/highlight'
+import { parseLatex } from '../utils/latex'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TOKEN_CLASSES = Object.freeze({
+    dark: {
+        [TOKEN_TYPES.KEYWORD]: 'text-[#c678dd]',
+        [TOKEN_TYPES.TYPE]: 'text-[#e5c07b]',
+        [TOKEN_TYPES.STRING]: 'text-[#98c379]',
+        [TOKEN_TYPES.COMMENT]: 'text-gray-500 italic',
+        [TOKEN_TYPES.NUMBER]: 'text-[#d19a66]',
+        [TOKEN_TYPES.LITERAL]: 'text-[#d19a66]',
+        [TOKEN_TYPES.FUNCTION]: 'text-[#61afef]',
+        [TOKEN_TYPES.META]: 'text-[#56b6c2]',
+    },
+    light: {
+        [TOKEN_TYPES.KEYWORD]: 'text-[#a626a4]',
+        [TOKEN_TYPES.TYPE]: 'text-[#c18401]',
+        [TOKEN_TYPES.STRING]: 'text-[#50a14f]',
+        [TOKEN_TYPES.COMMENT]: 'text-gray-400 italic',
+        [TOKEN_TYPES.NUMBER]: 'text-[#986801]',
+        [TOKEN_TYPES.LITERAL]: 'text-[#986801]',
+        [TOKEN_TYPES.FUNCTION]: 'text-[#4078f2]',
+        [TOKEN_TYPES.META]: 'text-[#0184bc]',
+    },
+})
+
+const HEADING_CLASSES = Object.freeze({
+    1: 'text-lg font-semibold',
+    2: 'text-base font-semibold',
+    3: 'text-sm font-semibold',
+})
+const MINOR_HEADING_CLASS = 'text-sm font-medium'
+
+// ============================================================================
+// Math
+// ============================================================================
+
+function MathNode({ node }) {
+    const Tag = node.tag
+    if (node.text !== undefined) return <Tag {...node.attrs}>{node.text}</Tag>
+    return (
+        <Tag {...node.attrs}>
+            {node.children.map((child, index) => <MathNode key={index} node={child} />)}
+        </Tag>
+    )
+}
+
+function MathFormula({ text, isBlock }) {
+    const root = useMemo(() => parseLatex(text), [text])
+    return (
+        <math display={isBlock ? 'block' : 'inline'} className={isBlock ? 'my-2 text-base' : undefined}>
+            <MathNode node={root} />
+        </math>
+    )
+}
+
+// ============================================================================
+// Inline Content
+// ============================================================================
+
+function Inline({ nodes, isLight }) {
+    return nodes.map((node, index) => {
+        switch (node.type) {
+            case 'text':
+                return node.text
+            case 'break':
+                return <br key={index} />
+            case 'inlineCode':
+                return (
+                    <code
+                        key={index}
+                        className={`px-1 py-0.5 rounded font-mono text-[0.85em] ${isLight ? 'bg-gray-100 text-gray-800' : 'bg-[#2a2a2a] text-gray-200'}`}
+                    >
+                        {node.text}
+                    </code>
+                )
+            case 'strong':
+                return <strong key={index} className="font-semibold"><Inline nodes={node.children} isLight={isLight} /></strong>
+            case 'emphasis':
+                return <em key={index}><Inline nodes={node.children} isLight={isLight} /></em>
+            case 'delete':
+                return <del key={index}><Inline nodes={node.children} isLight={isLight} /></del>
+            case 'link':
+                return (
+                    <a
+                        key={index}
+                        href={node.href}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-[#6366f1] hover:underline"
+                    >
+                        <Inline nodes={node.children} isLight={isLight} />
+                    </a>
+                )
+            case 'inlineMath':
+                return <MathFormula key={index} text={node.text} isBlock={node.isDisplay} />
+            default:
+                return null
+        }
+    })
+}
+
+// ============================================================================
+// Blocks
+// ============================================================================
+
+function CodeBlock({ text, language, isLight }) {
+    const tokens = useMemo(() => highlightCode(text, language), [text, language])
+    const tokenClasses = TOKEN_CLASSES[isLight ? 'light' : 'dark']
+    const label = getLanguageLabel(language)
+
+    return (
+        <div className={`relative rounded-lg border ${isLight ? 'bg-gray-50 border-gray-200' : 'bg-[#141414] border-[#2a2a2a]'}`}>
+            {label && (
+                <span className="absolute top-1 right-2 text-[10px] uppercase tracking-wide text-gray-500 select-none">
+                    {label}
+                </span>
+            )}
+            <pre className={`p-3 ${label ? 'pt-6' : ''} overflow-x-auto font-mono text-xs leading-relaxed ${isLight ? 'text-gray-800' : 'text-gray-200'}`}>
+                <code>
+                    {tokens
+                        ? tokens.map((token, index) => (
+                            tokenClasses[token.type]
+                                ? <span key={index} className={tokenClasses[token.type]}>{token.text}</span>
+                                : token.text
+                        ))
+                        : text}
+                </code>
+            </pre>
+        </div>
+    )
+}
+
+function Blocks({ blocks, isLight }) {
+    return blocks.map((block, index) => {
+        switch (block.type) {
+            case 'heading': {
+                const Tag = `h${block.level}`
+                return (
+                    <Tag key={index} className={`${HEADING_CLASSES[block.level] || MINOR_HEADING_CLASS} ${isLight ? 'text-gray-800' : 'text-white'}`}>
+                        <Inline nodes={block.children} isLight={isLight} />
+                    </Tag>
+                )
+            }
+            case 'paragraph':
+                return <p key={index}><Inline nodes={block.children} isLight={isLight} /></p>
+            case 'code':
+                return <CodeBlock key={index} text={block.text} language={block.language} isLight={isLight} />
+            case 'math':
+                return <MathFormula key={index} text={block.text} isBlock />
+            case 'blockquote':
+                return (
+                    <blockquote
+                        key={index}
+                        className={`pl-3 border-l-2 space-y-2 ${isLight ? 'border-gray-300 text-gray-500' : 'border-[#444] text-gray-400'}`}
+                    >
+                        <Blocks blocks={block.children} isLight={isLight} />
+                    </blockquote>
+                )
+            case 'list': {
+                const Tag = block.ordered ? 'ol' : 'ul'
+                return (
+                    <Tag
+                        key={index}
+                        start={block.ordered && block.start !== 1 ? block.start : undefined}
+                        className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+                    >
+                        {block.items.map((item, itemIndex) => (
+                            <li key={itemIndex} className="space-y-1">
+                                <Blocks blocks={item} isLight={isLight} />
+                            </li>
+                        ))}
+                    </Tag>
+                )
+            }
+            case 'rule':
+                return <hr key={index} className={isLight ? 'border-gray-200' : 'border-[#333]'} />
+            default:
+                return null
+        }
+    })
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function Markdown({ source, isLight = false, className = '' }) {
+    const blocks = useMemo(() => parseMarkdown(source), [source])
+
+    return (
+        <div className={`space-y-2 text-sm leading-relaxed break-words ${isLight ? 'text-gray-700' : 'text-gray-300'} ${className}`}>
+            <Blocks blocks={blocks} isLight={isLight} />
+        </div>
+    )
+}
+
+export default memo(Markdown)
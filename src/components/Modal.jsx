@@ -1,11 +1,14 @@
 /**
  * Modal Component
- * Handles all dialogs for CRUD operations, shortcuts help, and confirmations
+ * Handles all dialogs for CRUD operations, the shortcut editor, and confirmations
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { useStore, DIFFICULTY_LEVELS } from '../store/useStore'
-import { KEYBOARD_SHORTCUTS, formatShortcutKeys } from '../hooks/useKeyboardShortcuts'
+import { useStore, selectTopics, DIFFICULTY_LEVELS, ATTEMPT_OUTCOMES, ISSUE_ERROR, BULK_ACTIONS } from '../store/useStore'
+import { readJsonFile } from '../utils/files'
+import { useShortcutLabel } from '../hooks/useKeyboardShortcuts'
+import ShortcutEditor from './ShortcutEditor'
+import NotesEditor from './NotesEditor'
 
 // ============================================================================
 // Modal Type Constants
@@ -22,6 +25,11 @@ const MODAL_TYPES = Object.freeze({
     EDIT_QUESTION: 'editQuestion',
     DELETE_QUESTION: 'deleteQuestion',
     RESET_PROGRESS: 'resetProgress',
+    ADD_SHEET: 'addSheet',
+    DELETE_SHEET: 'deleteSheet',
+    IMPORT_SHEET: 'importSheet',
+    RESTORE_BACKUP: 'restoreBackup',
+    BULK_ACTION: 'bulkAction',
     SHORTCUTS: 'shortcuts',
 })
 
@@ -36,9 +44,22 @@ const MODAL_TITLES = Object.freeze({
     [MODAL_TYPES.EDIT_QUESTION]: 'Edit Question',
     [MODAL_TYPES.DELETE_QUESTION]: 'Delete Question',
     [MODAL_TYPES.RESET_PROGRESS]: 'Reset Progress',
+    [MODAL_TYPES.ADD_SHEET]: 'New Sheet',
+    [MODAL_TYPES.DELETE_SHEET]: 'Delete Sheet',
+    [MODAL_TYPES.IMPORT_SHEET]: 'Import Sheet',
+    [MODAL_TYPES.RESTORE_BACKUP]: 'Restore Backup',
+    [MODAL_TYPES.BULK_ACTION]: 'Edit Selected Questions',
     [MODAL_TYPES.SHORTCUTS]: 'Keyboard Shortcuts',
 })
 
+// Bulk actions that need a value picked before they can be applied
+const BULK_VALUE_ACTIONS = Object.freeze([
+    BULK_ACTIONS.SET_DIFFICULTY,
+    BULK_ACTIONS.ADD_TAG,
+    BULK_ACTIONS.REMOVE_TAG,
+    BULK_ACTIONS.MOVE,
+])
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -58,11 +79,22 @@ function getInitialFormData(type, data) {
             }
         case MODAL_TYPES.ADD_QUESTION:
             return { title: '', difficulty: DIFFICULTY_LEVELS.MEDIUM, url: '', notes: '' }
+        case MODAL_TYPES.IMPORT_SHEET:
+            return { result: data?.result || null }
+        case MODAL_TYPES.RESTORE_BACKUP:
+            return { pending: null }
+        case MODAL_TYPES.BULK_ACTION:
+            return { value: data?.action === BULK_ACTIONS.SET_DIFFICULTY ? DIFFICULTY_LEVELS.MEDIUM : '' }
         default:
             return { name: '' }
     }
 }
 
+function getNamePlaceholder(type) {
+    if (type === MODAL_TYPES.ADD_SHEET) return 'Enter sheet name'
+    return type?.includes('Topic') ? 'Enter topic name' : 'Enter subtopic name'
+}
+
 function isDeleteType(type) {
     return type?.includes('delete') || type === MODAL_TYPES.RESET_PROGRESS
 }
@@ -71,8 +103,24 @@ function isQuestionType(type) {
     return type?.includes('Question')
 }
 
+function getBulkActionPrompt(action, count) {
+    const questions = `${count} selected ${count === 1 ? 'question' : 'questions'}`
+    switch (action) {
+        case BULK_ACTIONS.SOLVE: return `Mark ${questions} as solved?`
+        case BULK_ACTIONS.UNSOLVE: return `Mark ${questions} as unsolved?`
+        case BULK_ACTIONS.STAR: return `Star ${questions}?`
+        case BULK_ACTIONS.UNSTAR: return `Unstar ${questions}?`
+        case BULK_ACTIONS.SET_DIFFICULTY: return `Change the difficulty of ${questions} to:`
+        case BULK_ACTIONS.ADD_TAG: return `Add a tag to ${questions}:`
+        case BULK_ACTIONS.REMOVE_TAG: return `Remove a tag from ${questions}:`
+        case BULK_ACTIONS.MOVE: return `Move ${questions} to:`
+        case BULK_ACTIONS.DELETE: return `Delete ${questions}?`
+        default: return ''
+    }
+}
+
 function getDeleteItemName(data) {
-    return data?.topic?.name || data?.subtopic?.name || data?.question?.title || 'this item'
+    return data?.topic?.name || data?.subtopic?.name || data?.question?.title || data?.sheet?.name || 'this item'
 }
 
 // ============================================================================
@@ -94,50 +142,15 @@ function CloseButton({ onClick }) {
     )
 }
 
-function ShortcutsContent({ onClose }) {
-    return (
-        <div className="space-y-3">
-            {KEYBOARD_SHORTCUTS.map((shortcut, idx) => {
-                const formattedKeys = formatShortcutKeys(shortcut.keys)
-                return (
-                    <div key={idx} className="flex items-center justify-between py-2">
-                        <span className="text-gray-300">{shortcut.description}</span>
-                        <div className="flex items-center gap-1">
-                            {formattedKeys.map((key, keyIdx) => (
-                                <span key={keyIdx} className="flex items-center">
-                                    <kbd className="px-2 py-1 bg-[#252525] border border-[#444] rounded text-sm text-gray-300 font-mono">
-                                        {key}
-                                    </kbd>
-                                    {keyIdx < formattedKeys.length - 1 && (
-                                        <span className="text-gray-500 mx-1">+</span>
-                                    )}
-                                </span>
-                            ))}
-                        </div>
-                    </div>
-                )
-            })}
-            <div className="pt-4 text-center">
-                <button
-                    type="button"
-                    onClick={onClose}
-                    className="px-6 py-2 bg-[#6366f1] hover:bg-indigo-600 text-white rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-[#1a1a1a]"
-                >
-                    Got it!
-                </button>
-            </div>
-        </div>
-    )
-}
-
 function ResetConfirmContent({ onClose, onConfirm }) {
     return (
         <>
             <div className="text-center mb-6">
                 <div className="text-5xl mb-4" aria-hidden="true">⚠️</div>
                 <p className="text-gray-300">
-                    This will reset all your progress and reload the original data.
+                    This will reset progress on all sheets, remove added sheets and reload the original data.
                     <span className="text-red-400 font-medium"> This cannot be undone!</span>
+                    {' '}Export a backup first if you may want it back.
                 </p>
             </div>
             <div className="flex items-center justify-center gap-3">
@@ -160,16 +173,251 @@ function ResetConfirmContent({ onClose, onConfirm }) {
     )
 }
 
-function DeleteConfirmContent({ itemName }) {
+function DeleteConfirmContent({ itemName, canUndo }) {
+    const undoKeys = useShortcutLabel('undo')
     return (
         <p className="text-gray-300 mb-6">
             Are you sure you want to delete{' '}
             <span className="font-semibold text-white">{itemName}</span>?
-            This action cannot be undone.
+            {canUndo
+                ? ` You can undo this${undoKeys ? ` with ${undoKeys}` : ''}.`
+                : ' This action cannot be undone.'}
         </p>
     )
 }
 
+function ImportIssueList({ issues }) {
+    if (!issues?.length) return null
+
+    const skippedCount = issues.filter(issue => issue.severity === ISSUE_ERROR).length
+
+    return (
+        <div className="mt-4">
+            <p className="text-sm text-gray-400 mb-2">
+                {skippedCount} skipped, {issues.length - skippedCount} with warnings
+            </p>
+            <ul className="max-h-60 overflow-y-auto space-y-1.5 pr-1 text-sm">
+                {issues.map((issue, idx) => (
+                    <li key={idx} className="flex items-start gap-2">
+                        <span className={`flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded ${issue.severity === ISSUE_ERROR
+                            ? 'bg-red-500/10 text-red-400'
+                            : 'bg-amber-500/10 text-amber-400'
+                            }`}>
+                            {issue.severity === ISSUE_ERROR ? 'Skipped' : 'Warning'}
+                        </span>
+                        <span className="text-gray-300 min-w-0 break-words">
+                            <span className="text-gray-500">#{issue.index + 1}</span>{' '}
+                            {issue.title && <span className="text-white">{issue.title}: </span>}
+                            {issue.message}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    )
+}
+
+function ImportSheetContent({ result, onResult, onClose }) {
+    const importSheetFile = useStore(state => state.importSheetFile)
+    const [isImporting, setIsImporting] = useState(false)
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0]
+        // Reset so picking the same file again still fires a change
+        e.target.value = ''
+        if (!file) return
+
+        setIsImporting(true)
+        onResult(await importSheetFile(file))
+        setIsImporting(false)
+    }
+
+    if (result && !result.error) {
+        return (
+            <>
+                <p className="text-gray-300">
+                    Imported <span className="font-semibold text-white">{result.questionCount}</span> questions into{' '}
+                    <span className="font-semibold text-white">{result.sheetName}</span>.
+                </p>
+                <ImportIssueList issues={result.issues} />
+                <div className="flex items-center justify-end mt-6">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-5 py-2 bg-[#6366f1] hover:bg-indigo-600 text-white rounded-lg font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-[#1a1a1a]"
+                    >
+                        Done
+                    </button>
+                </div>
+            </>
+        )
+    }
+
+    return (
+        <>
+            {result?.error && (
+                <p className="mb-4 px-3 py-2 text-sm text-red-400 bg-red-500/10 border border-red-500/30 rounded-lg" role="alert">
+                    {result.fileName && <span className="font-medium">{result.fileName}: </span>}
+                    {result.error}
+                </p>
+            )}
+            <label
+                htmlFor="sheet-file"
+                className="flex flex-col items-center justify-center gap-2 px-4 py-8 border-2 border-dashed border-[#333] hover:border-[#6366f1] rounded-lg cursor-pointer transition-colors text-center"
+            >
+                <span className="text-gray-300 font-medium">
+                    {isImporting ? 'Importing...' : 'Choose a sheet JSON file'}
+                </span>
+                <span className="text-xs text-gray-500">
+                    Codolio format with data.sheet and data.questions. You can also drop a file anywhere on the page.
+                </span>
+            </label>
+            <input
+                id="sheet-file"
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileChange}
+                disabled={isImporting}
+                className="sr-only"
+            />
+            <div className="flex items-center justify-end mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+                >
+                    Cancel
+                </button>
+            </div>
+        </>
+    )
+}
+
+const BACKUP_STATUS_CLASSES = Object.freeze({
+    added: 'bg-green-500/10 text-green-400',
+    replaced: 'bg-indigo-500/10 text-indigo-300',
+    removed: 'bg-red-500/10 text-red-400',
+})
+
+function CountChange({ label, before, after }) {
+    if (before === after) {
+        return <span className="text-gray-500">{label} {after ?? 0}</span>
+    }
+    return (
+        <span className="text-gray-300">
+            {label} {before ?? 0} → <span className="text-white font-medium">{after ?? 0}</span>
+        </span>
+    )
+}
+
+function RestoreBackupContent({ pending, onPending, onConfirm, onClose }) {
+    const previewBackup = useStore(state => state.previewBackup)
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+
+        try {
+            const data = await readJsonFile(file)
+            onPending({ fileName: file.name, ...previewBackup(data) })
+        } catch (error) {
+            onPending({ fileName: file.name, error: error instanceof Error ? error.message : 'Failed to read backup' })
+        }
+    }
+
+    if (!pending?.changes) {
+        return (
+            <>
+                {pending?.error && (
+                    <p className="mb-4 px-3 py-2 text-sm text-red-400 bg-red-500/10 border border-red-500/30 rounded-lg" role="alert">
+                        <span className="font-medium">{pending.fileName}: </span>
+                        {pending.error}
+                    </p>
+                )}
+                <label
+                    htmlFor="backup-file"
+                    className="flex flex-col items-center justify-center gap-2 px-4 py-8 border-2 border-dashed border-[#333] hover:border-[#6366f1] rounded-lg cursor-pointer transition-colors text-center"
+                >
+                    <span className="text-gray-300 font-medium">Choose a backup file</span>
+                    <span className="text-xs text-gray-500">
+                        A JSON file created with Export Backup. You will see what changes before anything is restored.
+                    </span>
+                </label>
+                <input
+                    id="backup-file"
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleFileChange}
+                    className="sr-only"
+                />
+                <div className="flex items-center justify-end mt-6">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </>
+        )
+    }
+
+    const { changes, exportedAt } = pending
+
+    return (
+        <>
+            <p className="text-sm text-gray-400 mb-3">
+                {pending.fileName}
+                {exportedAt && <> · exported {new Date(exportedAt).toLocaleString()}</>}
+            </p>
+            <ul className="max-h-60 overflow-y-auto space-y-2 pr-1">
+                {changes.sheets.map(sheet => (
+                    <li key={sheet.id} className="p-3 bg-[#252525] rounded-lg">
+                        <div className="flex items-center justify-between gap-2 mb-1">
+                            <span className="text-sm font-medium text-white truncate" title={sheet.name}>{sheet.name}</span>
+                            <span className={`flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded capitalize ${BACKUP_STATUS_CLASSES[sheet.status]}`}>
+                                {sheet.status}
+                            </span>
+                        </div>
+                        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs">
+                            <CountChange label="Solved" before={sheet.before?.solved} after={sheet.after?.solved} />
+                            <CountChange label="Starred" before={sheet.before?.starred} after={sheet.after?.starred} />
+                            <CountChange label="Notes" before={sheet.before?.notes} after={sheet.after?.notes} />
+                            <CountChange label="Questions" before={sheet.before?.total} after={sheet.after?.total} />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            {changes.theme && (
+                <p className="text-sm text-gray-400 mt-3">
+                    Theme: {changes.theme.from} → <span className="text-white">{changes.theme.to}</span>
+                </p>
+            )}
+            <p className="text-sm text-gray-300 mt-4">
+                Your current workspace will be replaced by this backup.
+            </p>
+            <div className="flex items-center justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onConfirm(pending.persistedState)}
+                    className="px-5 py-2 bg-[#ef4444] hover:bg-red-600 text-white rounded-lg font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 focus:ring-offset-[#1a1a1a]"
+                >
+                    Restore
+                </button>
+            </div>
+        </>
+    )
+}
+
 function QuestionForm({ formData, setFormData }) {
     return (
         <div className="space-y-4">
@@ -220,14 +468,203 @@ function QuestionForm({ formData, setFormData }) {
                 <label htmlFor="question-notes" className="block text-sm font-medium text-gray-300 mb-1.5">
                     Notes
                 </label>
-                <textarea
+                <NotesEditor
                     id="question-notes"
                     value={formData.notes || ''}
-                    onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
-                    className="w-full px-4 py-2.5 bg-[#252525] border border-[#333] rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-[#6366f1] focus:ring-1 focus:ring-[#6366f1] transition-colors resize-y min-h-[100px]"
-                    placeholder="Add your notes, approach, or key learnings..."
+                    onChange={(notes) => setFormData({ ...formData, notes })}
+                />
+            </div>
+        </div>
+    )
+}
+
+const ATTEMPT_OUTCOME_STYLES = Object.freeze({
+    [ATTEMPT_OUTCOMES.SOLVED]: { label: 'Solved', dot: 'bg-emerald-500', text: 'text-emerald-400' },
+    [ATTEMPT_OUTCOMES.FAILED]: { label: 'Failed', dot: 'bg-red-500', text: 'text-red-400' },
+    [ATTEMPT_OUTCOMES.REVISITED]: { label: 'Revisited', dot: 'bg-sky-500', text: 'text-sky-400' },
+})
+
+const EMPTY_ATTEMPT_DRAFT = Object.freeze({ outcome: ATTEMPT_OUTCOMES.SOLVED, minutes: '', note: '' })
+
+function AttemptTimeline({ attempts }) {
+    if (attempts.length === 0) {
+        return <p className="text-sm text-gray-500">No attempts recorded yet.</p>
+    }
+
+    // Newest first; the log itself is stored oldest first
+    return (
+        <ol className="relative max-h-48 overflow-y-auto pr-1 border-l border-[#333] ml-1.5 space-y-3">
+            {[...attempts].reverse().map(attempt => {
+                const style = ATTEMPT_OUTCOME_STYLES[attempt.outcome] || ATTEMPT_OUTCOME_STYLES[ATTEMPT_OUTCOMES.REVISITED]
+                return (
+                    <li key={attempt.id} className="relative pl-4">
+                        <span className={`absolute -left-[5px] top-1.5 w-2.5 h-2.5 rounded-full ${style.dot}`} aria-hidden="true" />
+                        <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                            <span className={`font-medium ${style.text}`}>{style.label}</span>
+                            <time dateTime={attempt.at} className="text-xs text-gray-500">
+                                {new Date(attempt.at).toLocaleString()}
+                            </time>
+                            {attempt.durationMinutes && (
+                                <span className="text-xs text-gray-400">{attempt.durationMinutes} min</span>
+                            )}
+                        </div>
+                        {attempt.note && <p className="text-sm text-gray-300 mt-0.5 break-words">{attempt.note}</p>}
+                    </li>
+                )
+            })}
+        </ol>
+    )
+}
+
+/**
+ * Attempt history for an existing question. Attempts are logged straight
+ * to the store (append-only), independent of saving the question form.
+ */
+function AttemptLog({ questionId }) {
+    const attempts = useStore(state => state.questionsById[questionId]?.attempts) || []
+    const logAttempt = useStore(state => state.logAttempt)
+
+    const [draft, setDraft] = useState(EMPTY_ATTEMPT_DRAFT)
+
+    const handleLog = () => {
+        logAttempt(questionId, {
+            outcome: draft.outcome,
+            durationMinutes: draft.minutes,
+            note: draft.note,
+        })
+        setDraft(EMPTY_ATTEMPT_DRAFT)
+    }
+
+    // Enter logs the attempt instead of submitting the question form
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault()
+            handleLog()
+        }
+    }
+
+    return (
+        <section className="mt-6 pt-4 border-t border-[#333]" aria-labelledby="attempt-log-title">
+            <h3 id="attempt-log-title" className="text-sm font-medium text-gray-300 mb-3">
+                Attempts{attempts.length > 0 && <span className="text-gray-500"> ({attempts.length})</span>}
+            </h3>
+            <AttemptTimeline attempts={attempts} />
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+                <select
+                    value={draft.outcome}
+                    onChange={(e) => setDraft({ ...draft, outcome: e.target.value })}
+                    className="px-2 py-1.5 bg-[#252525] border border-[#333] rounded-lg text-sm text-white focus:outline-none focus:border-[#6366f1] cursor-pointer"
+                    aria-label="Attempt outcome"
+                >
+                    {Object.values(ATTEMPT_OUTCOMES).map(outcome => (
+                        <option key={outcome} value={outcome}>{ATTEMPT_OUTCOME_STYLES[outcome].label}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    value={draft.minutes}
+                    onChange={(e) => setDraft({ ...draft, minutes: e.target.value })}
+                    onKeyDown={handleKeyDown}
+                    className="w-20 px-2 py-1.5 bg-[#252525] border border-[#333] rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#6366f1]"
+                    placeholder="Min"
+                    aria-label="Time spent in minutes (optional)"
+                />
+                <input
+                    type="text"
+                    value={draft.note}
+                    onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                    onKeyDown={handleKeyDown}
+                    className="flex-1 min-w-[120px] px-2 py-1.5 bg-[#252525] border border-[#333] rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#6366f1]"
+                    placeholder="Note (optional)"
+                    aria-label="Attempt note (optional)"
                 />
+                <button
+                    type="button"
+                    onClick={handleLog}
+                    className="px-3 py-1.5 text-sm font-medium rounded-lg bg-[#6366f1]/20 text-[#a5b4fc] hover:bg-[#6366f1]/30 transition-colors"
+                >
+                    Log attempt
+                </button>
             </div>
+        </section>
+    )
+}
+
+/**
+ * Confirms a bulk action on the selected questions and, where the action
+ * needs one, picks its difficulty, tag or target subtopic
+ */
+function BulkActionContent({ action, count, formData, setFormData }) {
+    const topics = useStore(selectTopics)
+    const undoKeys = useShortcutLabel('undo')
+    const fieldClass = 'w-full px-4 py-2.5 bg-[#252525] border border-[#333] rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-[#6366f1] focus:ring-1 focus:ring-[#6366f1] transition-colors'
+    const setValue = (e) => setFormData({ ...formData, value: e.target.value })
+    const isTagAction = action === BULK_ACTIONS.ADD_TAG || action === BULK_ACTIONS.REMOVE_TAG
+
+    // Tag suggestions: every tag in the sheet
+    const knownTags = isTagAction
+        ? Array.from(new Set(topics.flatMap(t => t.subtopics.flatMap(s => s.questions.flatMap(q => q.tags || []))))).sort()
+        : []
+
+    return (
+        <div className="space-y-4">
+            <p id="bulk-prompt" className="text-gray-300">
+                {getBulkActionPrompt(action, count)}
+            </p>
+            {action === BULK_ACTIONS.SET_DIFFICULTY && (
+                <select
+                    aria-labelledby="bulk-prompt"
+                    value={formData.value || ''}
+                    onChange={setValue}
+                    className={`${fieldClass} cursor-pointer`}
+                    autoFocus
+                >
+                    <option value={DIFFICULTY_LEVELS.EASY}>{DIFFICULTY_LEVELS.EASY}</option>
+                    <option value={DIFFICULTY_LEVELS.MEDIUM}>{DIFFICULTY_LEVELS.MEDIUM}</option>
+                    <option value={DIFFICULTY_LEVELS.HARD}>{DIFFICULTY_LEVELS.HARD}</option>
+                </select>
+            )}
+            {isTagAction && (
+                <>
+                    <input
+                        aria-labelledby="bulk-prompt"
+                        type="text"
+                        list="bulk-tag-options"
+                        value={formData.value || ''}
+                        onChange={setValue}
+                        className={fieldClass}
+                        placeholder="Tag name"
+                        autoFocus
+                        required
+                    />
+                    <datalist id="bulk-tag-options">
+                        {knownTags.map(tag => <option key={tag} value={tag} />)}
+                    </datalist>
+                </>
+            )}
+            {action === BULK_ACTIONS.MOVE && (
+                <select
+                    aria-labelledby="bulk-prompt"
+                    value={formData.value || ''}
+                    onChange={setValue}
+                    className={`${fieldClass} cursor-pointer`}
+                    autoFocus
+                    required
+                >
+                    <option value="" disabled>Choose a subtopic</option>
+                    {topics.map(topic => (
+                        <optgroup key={topic.id} label={topic.name}>
+                            {topic.subtopics.map(subtopic => (
+                                <option key={subtopic.id} value={subtopic.id}>{subtopic.name}</option>
+                            ))}
+                        </optgroup>
+                    ))}
+                </select>
+            )}
+            <p className="text-sm text-gray-500">
+                This is a single change you can undo{undoKeys && ` with ${undoKeys}`}.
+            </p>
         </div>
     )
 }
@@ -252,7 +689,7 @@ function NameForm({ formData, setFormData, placeholder }) {
     )
 }
 
-function FormActions({ isDelete, onCancel }) {
+function FormActions({ isDelete, onCancel, submitLabel }) {
     return (
         <div className="flex items-center justify-end gap-3 mt-6">
             <button
@@ -269,7 +706,7 @@ function FormActions({ isDelete, onCancel }) {
                     : 'bg-[#6366f1] hover:bg-indigo-600 text-white focus:ring-indigo-500'
                     }`}
             >
-                {isDelete ? 'Delete' : 'Save'}
+                {submitLabel || (isDelete ? 'Delete' : 'Save')}
             </button>
         </div>
     )
@@ -295,6 +732,10 @@ function Modal({ modalState, closeModal }) {
     const updateQuestion = useStore(state => state.updateQuestion)
     const deleteQuestion = useStore(state => state.deleteQuestion)
     const resetProgress = useStore(state => state.resetProgress)
+    const createSheet = useStore(state => state.createSheet)
+    const deleteSheet = useStore(state => state.deleteSheet)
+    const restoreBackup = useStore(state => state.restoreBackup)
+    const applyBulkAction = useStore(state => state.applyBulkAction)
 
     const [formData, setFormData] = useState({})
 
@@ -381,7 +822,7 @@ function Modal({ modalState, closeModal }) {
                         title: formData.title.trim(),
                         difficulty: formData.difficulty,
                         url: formData.url?.trim() || '',
-                        notes: formData.notes?.trim() || '',
+                        notes: formData.notes || '',
                     })
                     closeModal()
                 }
@@ -392,7 +833,7 @@ function Modal({ modalState, closeModal }) {
                         title: formData.title.trim(),
                         difficulty: formData.difficulty,
                         url: formData.url?.trim() || '',
-                        notes: formData.notes?.trim() || '',
+                        notes: formData.notes || '',
                     })
                     closeModal()
                 }
@@ -403,16 +844,39 @@ function Modal({ modalState, closeModal }) {
                     closeModal()
                 }
                 break
+            case MODAL_TYPES.ADD_SHEET:
+                if (formData.name?.trim()) {
+                    createSheet(formData.name.trim())
+                    closeModal()
+                }
+                break
+            case MODAL_TYPES.DELETE_SHEET:
+                if (data?.sheet?.id) {
+                    deleteSheet(data.sheet.id)
+                    closeModal()
+                }
+                break
+            case MODAL_TYPES.BULK_ACTION:
+                if (data?.action && (!BULK_VALUE_ACTIONS.includes(data.action) || formData.value?.trim())) {
+                    applyBulkAction(data.action, formData.value)
+                    closeModal()
+                }
+                break
             default:
                 closeModal()
         }
-    }, [type, formData, data, addTopic, updateTopic, deleteTopic, addSubtopic, updateSubtopic, deleteSubtopic, addQuestion, updateQuestion, deleteQuestion, closeModal])
+    }, [type, formData, data, addTopic, updateTopic, deleteTopic, addSubtopic, updateSubtopic, deleteSubtopic, addQuestion, updateQuestion, deleteQuestion, createSheet, deleteSheet, applyBulkAction, closeModal])
 
     const handleResetConfirm = useCallback(() => {
         resetProgress()
         closeModal()
     }, [resetProgress, closeModal])
 
+    const handleRestoreConfirm = useCallback((persistedState) => {
+        restoreBackup(persistedState)
+        closeModal()
+    }, [restoreBackup, closeModal])
+
     if (!isOpen) return null
 
     const title = MODAL_TITLES[type] || 'Modal'
@@ -420,6 +884,12 @@ function Modal({ modalState, closeModal }) {
     const isQuestion = isQuestionType(type)
     const isShortcuts = type === MODAL_TYPES.SHORTCUTS
     const isReset = type === MODAL_TYPES.RESET_PROGRESS
+    const isImport = type === MODAL_TYPES.IMPORT_SHEET
+    const isRestore = type === MODAL_TYPES.RESTORE_BACKUP
+    const isBulk = type === MODAL_TYPES.BULK_ACTION
+    // The question form's notes editor shows its preview side by side
+    const isQuestionForm = isQuestion && !isDelete
+    const widthClass = isQuestionForm ? 'max-w-3xl' : isShortcuts ? 'max-w-2xl' : 'max-w-md'
 
     return (
         <div
@@ -438,7 +908,7 @@ function Modal({ modalState, closeModal }) {
             {/* Modal Content */}
             <div
                 ref={modalRef}
-                className="relative w-full max-w-md mx-4 bg-[#1a1a1a] rounded-xl border border-[#333] shadow-2xl animate-slideIn"
+                className={`relative w-full ${widthClass} max-h-[90vh] overflow-y-auto mx-4 bg-[#1a1a1a] rounded-xl border border-[#333] shadow-2xl animate-slideIn`}
             >
                 {/* Header */}
                 <div className="flex items-center justify-between px-6 py-4 border-b border-[#333]">
@@ -456,17 +926,50 @@ function Modal({ modalState, closeModal }) {
                 {/* Body */}
                 <form onSubmit={handleSubmit} className="p-6">
                     {isShortcuts ? (
-                        <ShortcutsContent onClose={closeModal} />
+                        <ShortcutEditor onClose={closeModal} />
                     ) : isReset ? (
                         <ResetConfirmContent onClose={closeModal} onConfirm={handleResetConfirm} />
+                    ) : isImport ? (
+                        <ImportSheetContent
+                            result={formData.result}
+                            onResult={(result) => setFormData(prev => ({ ...prev, result }))}
+                            onClose={closeModal}
+                        />
+                    ) : isRestore ? (
+                        <RestoreBackupContent
+                            pending={formData.pending}
+                            onPending={(pending) => setFormData(prev => ({ ...prev, pending }))}
+                            onConfirm={handleRestoreConfirm}
+                            onClose={closeModal}
+                        />
+                    ) : isBulk ? (
+                        <>
+                            <BulkActionContent
+                                action={data?.action}
+                                count={data?.count || 0}
+                                formData={formData}
+                                setFormData={setFormData}
+                            />
+                            <FormActions
+                                isDelete={data?.action === BULK_ACTIONS.DELETE}
+                                onCancel={closeModal}
+                                submitLabel={data?.action === BULK_ACTIONS.DELETE ? 'Delete' : 'Apply'}
+                            />
+                        </>
                     ) : isDelete ? (
                         <>
-                            <DeleteConfirmContent itemName={getDeleteItemName(data)} />
+                            <DeleteConfirmContent
+                                itemName={getDeleteItemName(data)}
+                                canUndo={type !== MODAL_TYPES.DELETE_SHEET}
+                            />
                             <FormActions isDelete onCancel={closeModal} />
                         </>
                     ) : isQuestion ? (
                         <>
                             <QuestionForm formData={formData} setFormData={setFormData} />
+                            {type === MODAL_TYPES.EDIT_QUESTION && data?.question?.id && (
+                                <AttemptLog questionId={data.question.id} />
+                            )}
                             <FormActions isDelete={false} onCancel={closeModal} />
                         </>
                     ) : (
@@ -474,7 +977,7 @@ function Modal({ modalState, closeModal }) {
                             <NameForm
                                 formData={formData}
                                 setFormData={setFormData}
-                                placeholder={type?.includes('Topic') ? 'Enter topic name' : 'Enter subtopic name'}
+                                placeholder={getNamePlaceholder(type)}
                             />
                             <FormActions isDelete={false} onCancel={closeModal} />
                         </>
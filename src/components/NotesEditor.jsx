@@ -0,0 +1,48 @@
+/**
+ * NotesEditor Component
+ * Markdown editor for question notes: the source on the left and a live
+ * preview on the right (stacked on narrow screens). Notes are kept exactly
+ * as typed; only the preview interprets them.
+ */
+
+import { useDeferredValue } from 'react'
+import Markdown from './Markdown'
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function NotesEditor({ id, value, onChange }) {
+    // Typing stays responsive while a long note re-renders
+    const previewSource = useDeferredValue(value)
+    const hasContent = Boolean(previewSource.trim())
+
+    return (
+        <div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <textarea
+                    id={id}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    className="w-full px-4 py-2.5 bg-[#252525] border border-[#333] rounded-lg text-white font-mono text-sm placeholder-gray-500 focus:outline-none focus:border-[#6366f1] focus:ring-1 focus:ring-[#6366f1] transition-colors resize-y min-h-[220px]"
+                    placeholder="Add your notes, approach, or key learnings..."
+                    spellCheck={false}
+                    aria-describedby={`${id}-hint`}
+                />
+                <section
+                    className="px-4 py-2.5 rounded-lg border border-[#333] bg-[#151515] min-h-[220px] max-h-[420px] overflow-y-auto"
+                    aria-label="Notes preview"
+                >
+                    {hasContent
+                        ? <Markdown source={previewSource} />
+                        : <p className="text-sm text-gray-500">Preview appears here.</p>}
+                </section>
+            </div>
+            <p id={`${id}-hint`} className="mt-1.5 text-xs text-gray-500">
+                Markdown supported: **bold**, `code`, ```cpp fenced blocks (C++, Java, Python, JS), and $O(n \log n)$ math.
+            </p>
+        </div>
+    )
+}
+
+export default NotesEditor
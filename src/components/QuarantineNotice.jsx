@@ -0,0 +1,53 @@
+/**
+ * QuarantineNotice Component
+ * Tells the user about saved records that could not be migrated and lets
+ * them download or discard them
+ */
+
+import { useStore, THEMES } from '../store/useStore'
+import { downloadJson } from '../utils/files'
+
+function QuarantineNotice() {
+    const quarantine = useStore(state => state.quarantine)
+    const dismissQuarantine = useStore(state => state.dismissQuarantine)
+    const theme = useStore(state => state.theme)
+
+    if (!quarantine?.length) return null
+
+    const isLight = theme === THEMES.LIGHT
+
+    const handleDownload = () => {
+        downloadJson({ quarantine }, 'codolio-quarantine.json')
+    }
+
+    return (
+        <div
+            className={`flex flex-wrap items-center gap-3 mb-6 px-4 py-3 rounded-xl border ${isLight
+                ? 'bg-amber-50 border-amber-200 text-amber-800'
+                : 'bg-amber-500/10 border-amber-500/30 text-amber-300'
+                }`}
+            role="alert"
+        >
+            <p className="flex-1 min-w-[200px] text-sm">
+                {quarantine.length} saved {quarantine.length === 1 ? 'record' : 'records'} could not be upgraded
+                to the current format and {quarantine.length === 1 ? 'was' : 'were'} set aside.
+            </p>
+            <button
+                type="button"
+                onClick={handleDownload}
+                className="px-3 py-1.5 text-sm font-medium rounded-lg bg-amber-500/20 hover:bg-amber-500/30 transition-colors"
+            >
+                Download
+            </button>
+            <button
+                type="button"
+                onClick={dismissQuarantine}
+                className="px-3 py-1.5 text-sm rounded-lg hover:bg-amber-500/20 transition-colors"
+            >
+                Discard
+            </button>
+        </div>
+    )
+}
+
+export default QuarantineNotice
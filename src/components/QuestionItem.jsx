@@ -4,9 +4,18 @@
  * UI matches the Codolio design reference with table-like layout
  */
 
+import { useState, useEffect, useRef, useId, useCallback, memo } from 'react'
+import { createPortal } from 'react-dom'
 import { useSortable } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
 import { useStore, DIFFICULTY_LEVELS } from '../store/useStore'
+import { DRAG_TYPES, useDropPosition, withMoveToEdgeKeys } from '../hooks/useSheetDragAndDrop'
+import { useTreeRowProps } from '../hooks/useTreeNavigation'
+import { getTimerElapsedMs, isTimerRunning, formatClock } from '../store/timer'
+import { getTitleMatchIndices } from '../store/search'
+import { splitByIndices } from '../utils/fuzzy'
+import DropIndicator from './DropIndicator'
+import Markdown from './Markdown'
 
 // ============================================================================
 // Constants
@@ -21,6 +30,12 @@ const DIFFICULTY_COLORS = Object.freeze({
 
 const MAX_VISIBLE_TAGS = 2
 
+const TIMER_TICK_MS = 1000
+
+// Hover time before the notes preview opens, so sweeping past doesn't flash it
+const NOTES_PREVIEW_DELAY_MS = 350
+const NOTES_PREVIEW_MARGIN = 8
+
 // ============================================================================
 // Icon Components
 // ============================================================================
@@ -57,6 +72,38 @@ function NotesIcon({ className }) {
     )
 }
 
+function ClockIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+    )
+}
+
+function PauseIcon({ className }) {
+    return (
+        <svg className={className} fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M7 5h3v14H7zM14 5h3v14h-3z" />
+        </svg>
+    )
+}
+
+function PlayIcon({ className }) {
+    return (
+        <svg className={className} fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M8 5v14l11-7z" />
+        </svg>
+    )
+}
+
+function StopIcon({ className }) {
+    return (
+        <svg className={className} fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M6 6h12v12H6z" />
+        </svg>
+    )
+}
+
 function DragHandleIcon({ className }) {
     return (
         <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -66,13 +113,330 @@ function DragHandleIcon({ className }) {
 }
 
 // ============================================================================
-// Main Component
+// Highlight Component
 // ============================================================================
 
-function QuestionItem({ question, topicId, subtopicId, openModal }) {
+function HighlightedText({ text, indices }) {
+    return splitByIndices(text, indices).map((segment, index) => (
+        segment.isMatch
+            ? <mark key={index} className="bg-[#6366f1]/30 text-inherit rounded-sm">{segment.text}</mark>
+            : <span key={index}>{segment.text}</span>
+    ))
+}
+
+// ============================================================================
+// Timer Component
+// ============================================================================
+
+/**
+ * Running clock for the timed question. Turns red past the difficulty target.
+ * Marking the question solved saves the session as a solve.
+ */
+function QuestionTimer({ difficulty }) {
+    const activeTimer = useStore(state => state.activeTimer)
+    const targetMinutes = useStore(state => state.timerTargets[difficulty] || 0)
+    const startTimer = useStore(state => state.startTimer)
+    const pauseTimer = useStore(state => state.pauseTimer)
+    const stopTimer = useStore(state => state.stopTimer)
+
+    const [now, setNow] = useState(() => Date.now())
+    const isRunning = isTimerRunning(activeTimer)
+
+    useEffect(() => {
+        if (!isRunning) return
+        const interval = setInterval(() => setNow(Date.now()), TIMER_TICK_MS)
+        return () => clearInterval(interval)
+    }, [isRunning])
+
+    const elapsedSeconds = getTimerElapsedMs(activeTimer, isRunning ? Math.max(now, activeTimer.runningSince) : now) / 1000
+    const isOverTarget = targetMinutes > 0 && elapsedSeconds > targetMinutes * 60
+
+    return (
+        <div className="flex items-center gap-1">
+            <span
+                className={`text-xs font-mono tabular-nums ${isOverTarget ? 'text-[#ef4444]' : isRunning ? 'text-[#6366f1]' : 'text-gray-500'}`}
+                title={targetMinutes > 0 ? `Target: ${targetMinutes} min` : 'No target set'}
+                role="timer"
+            >
+                {formatClock(elapsedSeconds)}
+            </span>
+            <button
+                onClick={(e) => {
+                    e.stopPropagation()
+                    if (isRunning) {
+                        pauseTimer()
+                    } else {
+                        startTimer(activeTimer.questionId)
+                    }
+                }}
+                className="p-0.5 text-gray-400 hover:text-[#6366f1] transition-colors"
+                title={isRunning ? 'Pause timer' : 'Resume timer'}
+                aria-label={isRunning ? 'Pause timer' : 'Resume timer'}
+            >
+                {isRunning ? <PauseIcon className="w-3.5 h-3.5" /> : <PlayIcon className="w-3.5 h-3.5" />}
+            </button>
+            <button
+                onClick={(e) => { e.stopPropagation(); stopTimer() }}
+                className="p-0.5 text-gray-400 hover:text-[#ef4444] transition-colors"
+                title="Stop and save session (mark solved to save it as a solve)"
+                aria-label="Stop timer and save session"
+            >
+                <StopIcon className="w-3.5 h-3.5" />
+            </button>
+        </div>
+    )
+}
+
+// ============================================================================
+// Cell Components (shared with QuestionsTable)
+// ============================================================================
+
+export function SolvedToggle({ question, isLight }) {
     const toggleQuestionSolved = useStore(state => state.toggleQuestionSolved)
+
+    return (
+        <button
+            onClick={() => toggleQuestionSolved(question.id)}
+            className={`w-5 h-5 rounded-full border-2 flex items-center justify-center transition-all ${question.isSolved
+                ? 'bg-[#22c55e] border-[#22c55e]'
+                : isLight
+                    ? 'border-gray-300 hover:border-[#22c55e]'
+                    : 'border-[#3d3d3d] hover:border-[#22c55e]'
+                }`}
+            aria-label={question.isSolved ? 'Mark as unsolved' : 'Mark as solved'}
+            aria-pressed={question.isSolved}
+        >
+            {question.isSolved && (
+                <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                </svg>
+            )}
+        </button>
+    )
+}
+
+export function QuestionTitle({ question, isLight }) {
+    const searchQuery = useStore(state => state.searchQuery)
+    const titleMatches = searchQuery ? getTitleMatchIndices(searchQuery, question.title) : []
+
+    return (
+        <>
+            <span className={`text-sm truncate ${question.isSolved
+                ? isLight ? 'text-gray-400' : 'text-gray-500'
+                : isLight ? 'text-gray-700' : 'text-gray-200'
+                }`}
+                title={question.title}
+            >
+                <HighlightedText text={question.title} indices={titleMatches} />
+            </span>
+            {question.isRemovedUpstream && (
+                <span
+                    className="flex-shrink-0 text-xs px-1.5 py-0.5 rounded border border-red-500/30 text-red-400"
+                    title="This question is no longer in the original sheet"
+                >
+                    Removed
+                </span>
+            )}
+        </>
+    )
+}
+
+export function ProblemLink({ url }) {
+    return url ? (
+        <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-[#ffa116] hover:text-[#ffb84d] transition-colors"
+            title="Open on LeetCode"
+            onClick={(e) => e.stopPropagation()}
+            aria-label="Open problem on LeetCode"
+        >
+            <LeetCodeIcon className="w-5 h-5" />
+        </a>
+    ) : (
+        <span className="text-gray-600">
+            <LeetCodeIcon className="w-5 h-5" />
+        </span>
+    )
+}
+
+export function DifficultyLabel({ difficulty }) {
+    const difficultyColor = DIFFICULTY_COLORS[difficulty] || DIFFICULTY_COLORS[DIFFICULTY_LEVELS.MEDIUM]
+    return (
+        <span className={`text-sm font-medium ${difficultyColor}`}>
+            {difficulty}
+        </span>
+    )
+}
+
+export function VideoLink({ resource }) {
+    return resource ? (
+        <a
+            href={resource}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-[#ff0000] hover:text-[#ff3333] transition-colors"
+            title="Watch video solution"
+            onClick={(e) => e.stopPropagation()}
+            aria-label="Watch video solution"
+        >
+            <YouTubeIcon className="w-6 h-6" />
+        </a>
+    ) : (
+        <span className="text-gray-600">
+            <YouTubeIcon className="w-6 h-6" />
+        </span>
+    )
+}
+
+export function TagList({ tags, isLight }) {
+    return (
+        <>
+            {tags.slice(0, 3).map((tag, idx) => (
+                <span
+                    key={idx}
+                    className={`text-xs px-2 py-0.5 rounded border whitespace-nowrap truncate max-w-[120px] ${isLight
+                        ? 'border-gray-200 text-gray-600 bg-gray-50'
+                        : 'border-[#3d3d3d] text-gray-400 bg-transparent'
+                        }`}
+                    title={tag}
+                >
+                    {tag}
+                </span>
+            ))}
+            {tags.length > 3 && (
+                <span className="text-xs text-gray-500 whitespace-nowrap flex-shrink-0">
+                    +{tags.length - 3}
+                </span>
+            )}
+        </>
+    )
+}
+
+export function StarToggle({ question }) {
     const toggleQuestionStarred = useStore(state => state.toggleQuestionStarred)
+
+    return (
+        <button
+            onClick={(e) => {
+                e.stopPropagation()
+                toggleQuestionStarred(question.id)
+            }}
+            className={`${question.isStarred ? 'text-[#f59e0b]' : 'text-gray-500'} hover:text-[#f59e0b] transition-colors`}
+            title={question.isStarred ? "Remove from favorites" : "Add to favorites"}
+            aria-label={question.isStarred ? "Remove from favorites" : "Add to favorites"}
+        >
+            <StarIcon className={`w-5 h-5 ${question.isStarred ? 'fill-current' : ''}`} />
+        </button>
+    )
+}
+
+/**
+ * Where the notes preview goes: to the left of the button (the notes column
+ * is the last one), opening downwards in the top half of the viewport and
+ * upwards in the bottom half
+ */
+function getNotesPreviewPosition(rect) {
+    const right = Math.max(NOTES_PREVIEW_MARGIN, window.innerWidth - rect.left + NOTES_PREVIEW_MARGIN)
+    return rect.top < window.innerHeight / 2
+        ? { top: rect.top, right }
+        : { bottom: window.innerHeight - rect.bottom, right }
+}
+
+/**
+ * Rendered notes shown while the notes button is hovered or focused. It is
+ * portaled to the body so the card's overflow doesn't clip it.
+ */
+function NotesPreview({ id, notes, position, isLight }) {
+    return createPortal(
+        <div
+            id={id}
+            role="tooltip"
+            style={position}
+            className={`fixed z-40 w-[360px] max-w-[calc(100vw-16px)] max-h-[320px] overflow-hidden p-4 rounded-lg border shadow-2xl pointer-events-none animate-fadeIn ${isLight
+                ? 'bg-white border-gray-200'
+                : 'bg-[#1a1a1a] border-[#333]'
+                }`}
+        >
+            <Markdown source={notes} isLight={isLight} />
+        </div>,
+        document.body
+    )
+}
+
+export function NotesButton({ question, isLight, onOpen }) {
+    const [previewPosition, setPreviewPosition] = useState(null)
+    const previewTimer = useRef(null)
+    const previewId = useId()
+    const hasNotes = Boolean(question.notes)
+
+    const hidePreview = useCallback(() => {
+        clearTimeout(previewTimer.current)
+        setPreviewPosition(null)
+    }, [])
+
+    const schedulePreview = (e) => {
+        if (!hasNotes) return
+        const rect = e.currentTarget.getBoundingClientRect()
+        clearTimeout(previewTimer.current)
+        previewTimer.current = setTimeout(() => setPreviewPosition(getNotesPreviewPosition(rect)), NOTES_PREVIEW_DELAY_MS)
+    }
+
+    useEffect(() => () => clearTimeout(previewTimer.current), [])
+
+    // The preview is placed once, so it closes rather than drift on scroll
+    useEffect(() => {
+        if (!previewPosition) return
+        window.addEventListener('scroll', hidePreview, { capture: true, passive: true })
+        return () => window.removeEventListener('scroll', hidePreview, { capture: true })
+    }, [previewPosition, hidePreview])
+
+    return (
+        <>
+            <button
+                onClick={(e) => { e.stopPropagation(); hidePreview(); onOpen() }}
+                onMouseEnter={schedulePreview}
+                onMouseLeave={hidePreview}
+                onFocus={schedulePreview}
+                onBlur={hidePreview}
+                onKeyDown={(e) => {
+                    if (e.key === 'Escape' && previewPosition) {
+                        // Close only the preview, not the selection
+                        e.stopPropagation()
+                        hidePreview()
+                    }
+                }}
+                className={`${hasNotes ? 'text-[#6366f1]' : 'text-gray-500'} hover:text-[#6366f1] transition-colors`}
+                title={hasNotes ? undefined : 'Add notes'}
+                aria-label={hasNotes ? 'View or edit notes' : 'Add notes'}
+                aria-describedby={previewPosition ? previewId : undefined}
+            >
+                <NotesIcon className="w-5 h-5" />
+            </button>
+            {previewPosition && (
+                <NotesPreview id={previewId} notes={question.notes} position={previewPosition} isLight={isLight} />
+            )}
+        </>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function QuestionItem({ question, topicId, subtopicId, openModal, posInSet, setSize }) {
+    const startTimer = useStore(state => state.startTimer)
+    const moveQuestion = useStore(state => state.moveQuestion)
+    const toggleQuestionSelected = useStore(state => state.toggleQuestionSelected)
+    const isSelected = useStore(state => Boolean(state.selectedQuestionIds[question.id]))
+    // Checkboxes stay visible on every row once anything is selected
+    const hasSelection = useStore(state => Object.keys(state.selectedQuestionIds).length > 0)
+    const isTimed = useStore(state => (
+        state.activeTimer?.questionId === question.id && state.activeTimer.sheetId === state.activeSheetId
+    ))
     const theme = useStore(state => state.theme)
+    const treeRowProps = useTreeRowProps(question.id)
 
     const {
         attributes,
@@ -83,8 +447,9 @@ function QuestionItem({ question, topicId, subtopicId, openModal }) {
         isDragging,
     } = useSortable({
         id: question.id,
-        data: { type: 'question', question, topicId, subtopicId }
+        data: { type: DRAG_TYPES.QUESTION, question, topicId, subtopicId }
     })
+    const dropPosition = useDropPosition(question.id)
 
     const style = {
         transform: CSS.Transform.toString(transform),
@@ -93,159 +458,116 @@ function QuestionItem({ question, topicId, subtopicId, openModal }) {
     }
 
     const isLight = theme === 'light'
-    const difficultyColor = DIFFICULTY_COLORS[question.difficulty] || DIFFICULTY_COLORS[DIFFICULTY_LEVELS.MEDIUM]
     const tags = Array.isArray(question.tags) ? question.tags : []
-    const hasResource = Boolean(question.resource)
 
     return (
-        <div ref={setNodeRef} style={style}>
-            <div className={`group flex items-center px-4 border-b ${isLight ? 'border-gray-100 hover:bg-gray-50' : 'border-[#252525] hover:bg-[#1a1a1a]'
-                } transition-colors`}>
+        <div ref={setNodeRef} style={style} className="relative">
+            <DropIndicator position={dropPosition} />
+            <div
+                {...treeRowProps}
+                role="row"
+                aria-level={3}
+                aria-posinset={posInSet}
+                aria-setsize={setSize}
+                aria-selected={isSelected}
+                className={`group flex items-center px-4 border-b focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-[#6366f1] ${isSelected
+                    ? isLight ? 'border-gray-100 bg-indigo-50' : 'border-[#252525] bg-indigo-500/10'
+                    : isLight ? 'border-gray-100 hover:bg-gray-50' : 'border-[#252525] hover:bg-[#1a1a1a]'
+                    } transition-colors`}
+            >
+
+                {/* Selection Checkbox - Fixed width; Shift-click selects a range */}
+                <div role="gridcell" className="w-6 flex-shrink-0 flex justify-center">
+                    <input
+                        type="checkbox"
+                        checked={isSelected}
+                        onChange={(e) => toggleQuestionSelected(question.id, { range: e.nativeEvent.shiftKey })}
+                        className={`w-3.5 h-3.5 cursor-pointer accent-[#6366f1] transition-opacity ${isSelected || hasSelection
+                            ? 'opacity-100'
+                            : 'opacity-0 group-hover:opacity-100 focus:opacity-100'
+                            }`}
+                        aria-label={`Select ${question.title}`}
+                    />
+                </div>
 
                 {/* Drag Handle - Fixed width */}
-                <div className="w-8 flex-shrink-0 flex justify-center">
+                <div role="gridcell" className="w-8 flex-shrink-0 flex justify-center">
                     <button
                         {...attributes}
-                        {...listeners}
-                        className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors opacity-0 group-hover:opacity-100"
-                        aria-label="Drag to reorder"
+                        {...withMoveToEdgeKeys(listeners, toBottom => (
+                            moveQuestion(question.id, subtopicId, subtopicId, toBottom ? undefined : 0)
+                        ))}
+                        className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        title="Drag to reorder (Home or End moves to the top or bottom)"
+                        aria-label="Drag to reorder (Home or End moves to the top or bottom)"
                     >
                         <DragHandleIcon className="w-3.5 h-3.5" />
                     </button>
                 </div>
 
                 {/* Checkbox - Fixed width */}
-                <div className="w-8 flex-shrink-0 flex justify-center py-3">
-                    <button
-                        onClick={() => toggleQuestionSolved(question.id)}
-                        className={`w-5 h-5 rounded-full border-2 flex items-center justify-center transition-all ${question.isSolved
-                            ? 'bg-[#22c55e] border-[#22c55e]'
-                            : isLight
-                                ? 'border-gray-300 hover:border-[#22c55e]'
-                                : 'border-[#3d3d3d] hover:border-[#22c55e]'
-                            }`}
-                        aria-label={question.isSolved ? 'Mark as unsolved' : 'Mark as solved'}
-                        aria-pressed={question.isSolved}
-                    >
-                        {question.isSolved && (
-                            <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
-                            </svg>
-                        )}
-                    </button>
+                <div role="gridcell" className="w-8 flex-shrink-0 flex justify-center py-3">
+                    <SolvedToggle question={question} isLight={isLight} />
                 </div>
 
                 {/* Question Title - Flexible width with truncation */}
-                <div className="flex-1 min-w-0 py-3 pr-12">
-                    <span className={`text-sm truncate block ${question.isSolved
-                        ? isLight ? 'text-gray-400' : 'text-gray-500'
-                        : isLight ? 'text-gray-700' : 'text-gray-200'
-                        }`}
-                        title={question.title}
-                    >
-                        {question.title}
-                    </span>
+                <div role="gridcell" className="flex-1 min-w-0 py-3 pr-12 flex items-center gap-2">
+                    <QuestionTitle question={question} isLight={isLight} />
                 </div>
 
-                {/* LeetCode Icon - Fixed width */}
-                <div className="w-12 flex-shrink-0 flex justify-center">
-                    {question.url ? (
-                        <a
-                            href={question.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-[#ffa116] hover:text-[#ffb84d] transition-colors"
-                            title="Open on LeetCode"
-                            onClick={(e) => e.stopPropagation()}
-                            aria-label="Open problem on LeetCode"
-                        >
-                            <LeetCodeIcon className="w-5 h-5" />
-                        </a>
+                {/* Timer - Fixed width */}
+                <div role="gridcell" className="w-24 flex-shrink-0 flex justify-center">
+                    {isTimed ? (
+                        <QuestionTimer difficulty={question.difficulty} />
                     ) : (
-                        <span className="text-gray-600">
-                            <LeetCodeIcon className="w-5 h-5" />
-                        </span>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); startTimer(question.id) }}
+                            className="p-1 text-gray-500 hover:text-[#6366f1] transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                            title="Start timer"
+                            aria-label="Start practice timer"
+                        >
+                            <ClockIcon className="w-4 h-4" />
+                        </button>
                     )}
                 </div>
 
+                {/* LeetCode Icon - Fixed width */}
+                <div role="gridcell" className="w-12 flex-shrink-0 flex justify-center">
+                    <ProblemLink url={question.url} />
+                </div>
+
                 {/* Difficulty - Fixed width */}
-                <div className="w-24 flex-shrink-0 text-center">
-                    <span className={`text-sm font-medium ${difficultyColor}`}>
-                        {question.difficulty}
-                    </span>
+                <div role="gridcell" className="w-24 flex-shrink-0 text-center">
+                    <DifficultyLabel difficulty={question.difficulty} />
                 </div>
 
                 {/* YouTube Icon - Fixed width */}
-                <div className="w-12 flex-shrink-0 flex justify-center">
-                    {hasResource ? (
-                        <a
-                            href={question.resource}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-[#ff0000] hover:text-[#ff3333] transition-colors"
-                            title="Watch video solution"
-                            onClick={(e) => e.stopPropagation()}
-                            aria-label="Watch video solution"
-                        >
-                            <YouTubeIcon className="w-6 h-6" />
-                        </a>
-                    ) : (
-                        <span className="text-gray-600">
-                            <YouTubeIcon className="w-6 h-6" />
-                        </span>
-                    )}
+                <div role="gridcell" className="w-12 flex-shrink-0 flex justify-center">
+                    <VideoLink resource={question.resource} />
                 </div>
 
                 {/* Tags - Flexible width */}
-                <div className="hidden md:flex w-48 lg:w-64 xl:w-80 flex-shrink-0 items-center justify-end gap-2 px-2 overflow-hidden mr-8">
-                    {tags.slice(0, 3).map((tag, idx) => (
-                        <span
-                            key={idx}
-                            className={`text-xs px-2 py-0.5 rounded border whitespace-nowrap truncate max-w-[120px] ${isLight
-                                ? 'border-gray-200 text-gray-600 bg-gray-50'
-                                : 'border-[#3d3d3d] text-gray-400 bg-transparent'
-                                }`}
-                            title={tag}
-                        >
-                            {tag}
-                        </span>
-                    ))}
-                    {tags.length > 3 && (
-                        <span className="text-xs text-gray-500 whitespace-nowrap flex-shrink-0">
-                            +{tags.length - 3}
-                        </span>
-                    )}
+                <div role="gridcell" className="hidden md:flex w-48 lg:w-64 xl:w-80 flex-shrink-0 items-center justify-end gap-2 px-2 overflow-hidden mr-8">
+                    <TagList tags={tags} isLight={isLight} />
                 </div>
 
                 {/* Star Icon - Fixed width */}
-                <div className="w-12 flex-shrink-0 flex justify-center">
-                    <button
-                        onClick={(e) => {
-                            e.stopPropagation()
-                            toggleQuestionStarred(question.id)
-                        }}
-                        className={`${question.isStarred ? 'text-[#f59e0b]' : 'text-gray-500'} hover:text-[#f59e0b] transition-colors`}
-                        title={question.isStarred ? "Remove from favorites" : "Add to favorites"}
-                        aria-label={question.isStarred ? "Remove from favorites" : "Add to favorites"}
-                    >
-                        <StarIcon className={`w-5 h-5 ${question.isStarred ? 'fill-current' : ''}`} />
-                    </button>
+                <div role="gridcell" className="w-12 flex-shrink-0 flex justify-center">
+                    <StarToggle question={question} />
                 </div>
 
                 {/* Notes Icon - Fixed width */}
-                <div className="w-12 flex-shrink-0 flex justify-center">
-                    <button
-                        onClick={(e) => { e.stopPropagation(); openModal('editQuestion', { topicId, subtopicId, question }) }}
-                        className={`${question.notes ? 'text-[#6366f1]' : 'text-gray-500'} hover:text-[#6366f1] transition-colors`}
-                        title="View/Edit notes"
-                        aria-label="View or edit notes"
-                    >
-                        <NotesIcon className="w-5 h-5" />
-                    </button>
+                <div role="gridcell" className="w-12 flex-shrink-0 flex justify-center">
+                    <NotesButton
+                        question={question}
+                        isLight={isLight}
+                        onOpen={() => openModal('editQuestion', { topicId, subtopicId, question })}
+                    />
                 </div>
             </div>
         </div>
     )
 }
 
-export default QuestionItem
+// Rows re-render only when their own entity changes (see selectTopics)
+export default memo(QuestionItem)
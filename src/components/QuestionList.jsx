@@ -1,30 +1,43 @@
 /**
  * QuestionList Component
- * Renders filtered list of questions with drag-and-drop support
+ * Renders filtered list of questions with drag-and-drop support; drags are
+ * handled by the sheet-wide DndContext (see useSheetDragAndDrop).
+ * Only rows near the viewport are mounted (see useWindowedList).
  */
 
-import { DndContext, closestCenter } from '@dnd-kit/core'
+import { useMemo } from 'react'
 import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable'
-import { useStore, filterQuestions, FILTER_ALL } from '../store/useStore'
+import { useShallow } from 'zustand/react/shallow'
+import { useStore, filterQuestions, selectFilters, hasActiveFilters } from '../store/useStore'
+import { useWindowedList } from '../hooks/useWindowedList'
+import { useDraggingId } from '../hooks/useSheetDragAndDrop'
 import QuestionItem from './QuestionItem'
 
+// Collapsed question row height in px, used until rows are measured
+const QUESTION_ROW_HEIGHT = 45
+
 function QuestionList({ questions, topicId, subtopicId, openModal }) {
-    const reorderQuestions = useStore(state => state.reorderQuestions)
-    const searchQuery = useStore(state => state.searchQuery)
-    const filterDifficulty = useStore(state => state.filterDifficulty)
-    const filterStatus = useStore(state => state.filterStatus)
+    const filters = useStore(useShallow(selectFilters))
     const theme = useStore(state => state.theme)
+    const topicName = useStore(state => state.topicsById[topicId]?.name)
+    const subtopicName = useStore(state => state.subtopicsById[subtopicId]?.name)
+    // The dragged row stays mounted even when scrolled out of view
+    const draggingId = useDraggingId()
 
-    const handleDragEnd = (event) => {
-        const { active, over } = event
-        if (active && over && active.id !== over.id) {
-            reorderQuestions(topicId, subtopicId, active.id, over.id)
-        }
-    }
-
-    // Apply filters
-    const filteredQuestions = filterQuestions(questions, searchQuery, filterDifficulty, filterStatus)
-    const hasFilters = searchQuery || filterDifficulty !== FILTER_ALL || filterStatus !== FILTER_ALL
+    // Apply filters; a search query also orders by relevance. `questions`
+    // keeps its identity until this subtopic changes (see selectTopics) and
+    // useShallow keeps `filters` stable, so other store updates reuse this.
+    const filteredQuestions = useMemo(
+        () => filterQuestions(questions, filters, { topicName, subtopicName }),
+        [questions, filters, topicName, subtopicName]
+    )
+    const questionIds = useMemo(() => filteredQuestions.map(q => q.id), [filteredQuestions])
+    const hasFilters = hasActiveFilters(filters)
+    const { start, end, containerProps, getRowProps } = useWindowedList({
+        keys: questionIds,
+        estimateSize: QUESTION_ROW_HEIGHT,
+        pinnedKey: draggingId,
+    })
     const isLight = theme === 'light'
 
     if (filteredQuestions.length === 0) {
@@ -36,21 +49,22 @@ function QuestionList({ questions, topicId, subtopicId, openModal }) {
     }
 
     return (
-        <DndContext collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-            <SortableContext items={filteredQuestions.map(q => q.id)} strategy={verticalListSortingStrategy}>
-                <div>
-                    {filteredQuestions.map((question) => (
+        <SortableContext items={questionIds} strategy={verticalListSortingStrategy}>
+            <div {...containerProps} role="rowgroup">
+                {filteredQuestions.slice(start, end).map((question, index) => (
+                    <div key={question.id} {...getRowProps(question.id)}>
                         <QuestionItem
-                            key={question.id}
                             question={question}
                             topicId={topicId}
                             subtopicId={subtopicId}
                             openModal={openModal}
+                            posInSet={start + index + 1}
+                            setSize={filteredQuestions.length}
                         />
-                    ))}
-                </div>
-            </SortableContext>
-        </DndContext>
+                    </div>
+                ))}
+            </div>
+        </SortableContext>
     )
 }
 
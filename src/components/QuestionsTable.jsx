@@ -0,0 +1,324 @@
+/**
+ * QuestionsTable Component
+ * Flat view of every question in the sheet as one table, with sortable
+ * columns, column show/hide and a sticky header. Uses the same filters
+ * as the topic view and the QuestionItem cell components.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { useShallow } from 'zustand/react/shallow'
+import {
+    useStore,
+    selectTopics,
+    flattenQuestions,
+    filterQuestions,
+    sortQuestionRows,
+    getLastAttemptedAt,
+    selectFilters,
+    hasActiveFilters,
+    TABLE_SORT_KEYS,
+    SORT_ASC,
+    VIEWS,
+    THEMES,
+} from '../store/useStore'
+import { toDateKey, daysBetween } from '../utils/dates'
+import {
+    SolvedToggle,
+    QuestionTitle,
+    ProblemLink,
+    DifficultyLabel,
+    VideoLink,
+    TagList,
+    StarToggle,
+    NotesButton,
+} from './QuestionItem'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Table columns in display order. Title is always shown.
+ */
+const TABLE_COLUMNS = Object.freeze([
+    { key: 'title', label: 'Title', sortKey: TABLE_SORT_KEYS.TITLE, isFixed: true },
+    { key: 'topic', label: 'Topic', sortKey: TABLE_SORT_KEYS.TOPIC, className: 'w-56' },
+    { key: 'difficulty', label: 'Difficulty', sortKey: TABLE_SORT_KEYS.DIFFICULTY, className: 'w-28 text-center' },
+    { key: 'status', label: 'Status', sortKey: TABLE_SORT_KEYS.STATUS, className: 'w-28' },
+    { key: 'lastAttempted', label: 'Last attempted', sortKey: TABLE_SORT_KEYS.LAST_ATTEMPTED, className: 'w-36' },
+    { key: 'links', label: 'Links', className: 'w-24 text-center' },
+    { key: 'tags', label: 'Tags', className: 'w-64' },
+    { key: 'starred', label: 'Star', className: 'w-16 text-center' },
+    { key: 'notes', label: 'Notes', className: 'w-16 text-center' },
+])
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function formatLastAttempted(at, todayKey) {
+    if (!at) return '—'
+    const date = new Date(at)
+    const days = daysBetween(toDateKey(date), todayKey)
+    if (days <= 0) return 'Today'
+    if (days === 1) return 'Yesterday'
+    if (days < 30) return `${days} days ago`
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+}
+
+// ============================================================================
+// Icon Components
+// ============================================================================
+
+function SortIcon({ className, direction }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            {direction === SORT_ASC
+                ? <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                : direction
+                    ? <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                    : <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 9l4-4 4 4m0 6l-4 4-4-4" />}
+        </svg>
+    )
+}
+
+function ColumnsIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
+        </svg>
+    )
+}
+
+// ============================================================================
+// Sub-Components
+// ============================================================================
+
+function ColumnsMenu({ hiddenColumns, isLight }) {
+    const toggleTableColumn = useStore(state => state.toggleTableColumn)
+    const [isOpen, setIsOpen] = useState(false)
+    const containerRef = useRef(null)
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) {
+                setIsOpen(false)
+            }
+        }
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setIsOpen(false)
+            }
+        }
+
+        document.addEventListener('mousedown', handlePointerDown)
+        document.addEventListener('keydown', handleKeyDown)
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown)
+            document.removeEventListener('keydown', handleKeyDown)
+        }
+    }, [isOpen])
+
+    const menuClass = isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'
+    const itemHover = isLight ? 'hover:bg-gray-50' : 'hover:bg-[#252525]'
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                className={`px-3 py-2 text-sm rounded-lg flex items-center gap-2 transition-colors ${isLight ? 'bg-gray-100 hover:bg-gray-200 text-gray-700' : 'bg-[#252525] hover:bg-[#333] text-gray-300'}`}
+                aria-haspopup="true"
+                aria-expanded={isOpen}
+            >
+                <ColumnsIcon className="w-4 h-4" />
+                Columns
+            </button>
+
+            {isOpen && (
+                <ul className={`absolute right-0 top-full mt-2 w-52 py-1 rounded-lg border shadow-2xl z-40 animate-slideIn ${menuClass}`}>
+                    {TABLE_COLUMNS.filter(column => !column.isFixed).map(column => (
+                        <li key={column.key}>
+                            <label className={`flex items-center gap-2 px-3 py-2 text-sm cursor-pointer ${itemHover} ${isLight ? 'text-gray-700' : 'text-gray-300'}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={!hiddenColumns.includes(column.key)}
+                                    onChange={() => toggleTableColumn(column.key)}
+                                    className="accent-[#6366f1]"
+                                />
+                                {column.label}
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function QuestionsTable({ openModal }) {
+    const topics = useStore(selectTopics)
+    const filters = useStore(useShallow(selectFilters))
+    const tableSettings = useStore(state => state.tableSettings)
+    const setTableSort = useStore(state => state.setTableSort)
+    const setActiveView = useStore(state => state.setActiveView)
+    const theme = useStore(state => state.theme)
+
+    const [now] = useState(() => new Date())
+    const todayKey = toDateKey(now)
+
+    const rows = useMemo(() => {
+        const allRows = flattenQuestions(topics)
+        const rowsById = new Map(allRows.map(row => [row.question.id, row]))
+        const matches = filterQuestions(allRows.map(row => row.question), filters, question => rowsById.get(question.id))
+        return sortQuestionRows(matches.map(question => rowsById.get(question.id)), tableSettings.sortKey, tableSettings.sortDirection)
+    }, [topics, filters, tableSettings.sortKey, tableSettings.sortDirection])
+
+    const isLight = theme === THEMES.LIGHT
+    const textColor = isLight ? 'text-gray-800' : 'text-white'
+    const mutedColor = isLight ? 'text-gray-500' : 'text-gray-400'
+    const headerClass = isLight ? 'bg-gray-50 text-gray-500 border-gray-200' : 'bg-[#1a1a1a] text-gray-400 border-[#333]'
+    const rowClass = isLight ? 'border-gray-100 hover:bg-gray-50' : 'border-[#252525] hover:bg-[#1a1a1a]'
+
+    const visibleColumns = TABLE_COLUMNS.filter(column => !tableSettings.hiddenColumns.includes(column.key))
+    const isVisible = (key) => visibleColumns.some(column => column.key === key)
+
+    return (
+        <section aria-labelledby="questions-table-title">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div>
+                    <h2 id="questions-table-title" className={`text-xl font-semibold ${textColor}`}>All questions</h2>
+                    <p className={`text-sm ${mutedColor}`}>
+                        {rows.length} {rows.length === 1 ? 'question' : 'questions'}
+                        {hasActiveFilters(filters) && ' match the current filters'}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <ColumnsMenu hiddenColumns={tableSettings.hiddenColumns} isLight={isLight} />
+                    <button
+                        type="button"
+                        onClick={() => setActiveView(VIEWS.TOPICS)}
+                        className={`px-4 py-2 text-sm rounded-lg transition-colors ${isLight ? 'hover:bg-gray-200 text-gray-600' : 'hover:bg-[#252525] text-gray-400'}`}
+                    >
+                        Back to topics
+                    </button>
+                </div>
+            </div>
+
+            <div className={`max-h-[calc(100vh-16rem)] overflow-auto rounded-xl border ${isLight ? 'bg-white border-gray-200' : 'bg-[#141414] border-[#252525]'}`}>
+                <table className="w-full text-left border-collapse">
+                    <thead>
+                        <tr>
+                            {visibleColumns.map(column => {
+                                const isSorted = tableSettings.sortKey === column.sortKey
+                                return (
+                                    <th
+                                        key={column.key}
+                                        scope="col"
+                                        aria-sort={isSorted ? (tableSettings.sortDirection === SORT_ASC ? 'ascending' : 'descending') : undefined}
+                                        className={`sticky top-0 z-10 px-4 py-2.5 text-xs font-medium uppercase tracking-wide border-b whitespace-nowrap ${headerClass} ${column.className || ''}`}
+                                    >
+                                        {column.sortKey ? (
+                                            <button
+                                                type="button"
+                                                onClick={() => setTableSort(column.sortKey)}
+                                                className={`inline-flex items-center gap-1 uppercase hover:text-[#6366f1] transition-colors ${isSorted ? 'text-[#6366f1]' : ''}`}
+                                                title={`Sort by ${column.label.toLowerCase()}`}
+                                            >
+                                                {column.label}
+                                                <SortIcon
+                                                    className={`w-3.5 h-3.5 ${isSorted ? '' : 'opacity-40'}`}
+                                                    direction={isSorted ? tableSettings.sortDirection : null}
+                                                />
+                                            </button>
+                                        ) : column.label}
+                                    </th>
+                                )
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(({ question, topicId, topicName, subtopicId, subtopicName }) => (
+                            <tr key={question.id} className={`group border-b transition-colors ${rowClass}`}>
+                                <td className="px-4 py-3 max-w-0 w-full">
+                                    <div className="flex items-center gap-2 min-w-0">
+                                        <QuestionTitle question={question} isLight={isLight} />
+                                    </div>
+                                </td>
+                                {isVisible('topic') && (
+                                    <td className={`px-4 py-3 text-xs ${mutedColor}`}>
+                                        <span className="block truncate max-w-[14rem]" title={`${topicName} › ${subtopicName}`}>
+                                            {topicName} › {subtopicName}
+                                        </span>
+                                    </td>
+                                )}
+                                {isVisible('difficulty') && (
+                                    <td className="px-4 py-3 text-center">
+                                        <DifficultyLabel difficulty={question.difficulty} />
+                                    </td>
+                                )}
+                                {isVisible('status') && (
+                                    <td className="px-4 py-3">
+                                        <div className={`flex items-center gap-2 text-xs ${mutedColor}`}>
+                                            <SolvedToggle question={question} isLight={isLight} />
+                                            {question.isSolved ? 'Solved' : 'Unsolved'}
+                                        </div>
+                                    </td>
+                                )}
+                                {isVisible('lastAttempted') && (
+                                    <td className={`px-4 py-3 text-xs whitespace-nowrap ${mutedColor}`}>
+                                        {formatLastAttempted(getLastAttemptedAt(question), todayKey)}
+                                    </td>
+                                )}
+                                {isVisible('links') && (
+                                    <td className="px-4 py-3">
+                                        <div className="flex items-center justify-center gap-3">
+                                            <ProblemLink url={question.url} />
+                                            <VideoLink resource={question.resource} />
+                                        </div>
+                                    </td>
+                                )}
+                                {isVisible('tags') && (
+                                    <td className="px-4 py-3">
+                                        <div className="flex items-center gap-2 overflow-hidden">
+                                            <TagList tags={Array.isArray(question.tags) ? question.tags : []} isLight={isLight} />
+                                        </div>
+                                    </td>
+                                )}
+                                {isVisible('starred') && (
+                                    <td className="px-4 py-3 text-center">
+                                        <StarToggle question={question} />
+                                    </td>
+                                )}
+                                {isVisible('notes') && (
+                                    <td className="px-4 py-3 text-center">
+                                        <NotesButton
+                                            question={question}
+                                            isLight={isLight}
+                                            onOpen={() => openModal('editQuestion', { topicId, subtopicId, question })}
+                                        />
+                                    </td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {rows.length === 0 && (
+                    <p className={`px-8 py-10 text-center text-sm ${mutedColor}`}>
+                        {hasActiveFilters(filters) ? 'No questions match the current filters' : 'No questions yet'}
+                    </p>
+                )}
+            </div>
+        </section>
+    )
+}
+
+export default QuestionsTable
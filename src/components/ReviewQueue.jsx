@@ -0,0 +1,270 @@
+/**
+ * ReviewQueue Component
+ * "Due for revision" view listing solved questions whose spaced-repetition
+ * review is due, with a one-at-a-time review flow that reschedules them
+ */
+
+import { useState, useMemo } from 'react'
+import { useStore, selectTopics, getDueQuestions, DIFFICULTY_LEVELS, VIEWS, THEMES } from '../store/useStore'
+import { RECALL_GRADES, scheduleReview } from '../store/review'
+import { toDateKey, daysBetween } from '../utils/dates'
+import Markdown from './Markdown'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DIFFICULTY_COLORS = Object.freeze({
+    [DIFFICULTY_LEVELS.EASY]: 'text-[#22c55e]',
+    [DIFFICULTY_LEVELS.MEDIUM]: 'text-[#f59e0b]',
+    [DIFFICULTY_LEVELS.HARD]: 'text-[#ef4444]',
+    [DIFFICULTY_LEVELS.BASIC]: 'text-[#3b82f6]',
+})
+
+const GRADE_OPTIONS = Object.freeze([
+    { grade: RECALL_GRADES.AGAIN, label: 'Again', hint: "Couldn't recall the approach", className: 'bg-red-500/15 text-red-400 hover:bg-red-500/25' },
+    { grade: RECALL_GRADES.HARD, label: 'Hard', hint: 'Recalled with serious effort', className: 'bg-amber-500/15 text-amber-400 hover:bg-amber-500/25' },
+    { grade: RECALL_GRADES.GOOD, label: 'Good', hint: 'Recalled after a little thought', className: 'bg-emerald-500/15 text-emerald-400 hover:bg-emerald-500/25' },
+    { grade: RECALL_GRADES.EASY, label: 'Easy', hint: 'Recalled instantly', className: 'bg-sky-500/15 text-sky-400 hover:bg-sky-500/25' },
+])
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function formatDueLabel(review, todayKey) {
+    if (!review?.dueOn) return 'Not reviewed yet'
+    const overdue = daysBetween(review.dueOn, todayKey)
+    if (overdue <= 0) return 'Due today'
+    return overdue === 1 ? 'Overdue by 1 day' : `Overdue by ${overdue} days`
+}
+
+function formatInterval(days) {
+    if (days < 30) return `${days}d`
+    if (days < 365) return `${Math.round(days / 30)}mo`
+    return `${(days / 365).toFixed(1)}y`
+}
+
+// ============================================================================
+// Sub-Components
+// ============================================================================
+
+function ReviewCard({ item, now, isLight, onGrade }) {
+    const [showNotes, setShowNotes] = useState(false)
+    const { question } = item
+
+    return (
+        <div className={`p-6 rounded-xl border ${isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'}`}>
+            <p className={`text-xs mb-1 ${isLight ? 'text-gray-500' : 'text-gray-400'}`}>
+                {item.topicName} › {item.subtopicName}
+            </p>
+            <h3 className={`text-xl font-semibold mb-2 ${isLight ? 'text-gray-800' : 'text-white'}`}>
+                {question.title}
+            </h3>
+            <div className="flex items-center gap-3 text-sm mb-4">
+                <span className={`font-medium ${DIFFICULTY_COLORS[question.difficulty] || DIFFICULTY_COLORS[DIFFICULTY_LEVELS.MEDIUM]}`}>
+                    {question.difficulty}
+                </span>
+                {question.url && (
+                    <a
+                        href={question.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-[#6366f1] hover:underline"
+                    >
+                        Open problem
+                    </a>
+                )}
+                {question.resource && (
+                    <a
+                        href={question.resource}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-[#6366f1] hover:underline"
+                    >
+                        Video solution
+                    </a>
+                )}
+            </div>
+
+            <p className={`text-sm mb-3 ${isLight ? 'text-gray-600' : 'text-gray-300'}`}>
+                Try to recall the approach before looking at your notes.
+            </p>
+            {question.notes && (
+                showNotes ? (
+                    <Markdown
+                        source={question.notes}
+                        isLight={isLight}
+                        className={`p-3 rounded-lg mb-4 ${isLight ? 'bg-gray-50' : 'bg-[#252525]'}`}
+                    />
+                ) : (
+                    <button
+                        type="button"
+                        onClick={() => setShowNotes(true)}
+                        className="text-sm text-[#6366f1] hover:underline mb-4"
+                    >
+                        Show notes
+                    </button>
+                )
+            )}
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {GRADE_OPTIONS.map(option => (
+                    <button
+                        key={option.grade}
+                        type="button"
+                        onClick={() => onGrade(option.grade)}
+                        className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${option.className}`}
+                        title={option.hint}
+                    >
+                        {option.label}
+                        <span className="block text-xs opacity-70">
+                            {formatInterval(scheduleReview(question.review, option.grade, now).interval)}
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function ReviewQueue({ openModal }) {
+    const topics = useStore(selectTopics)
+    const theme = useStore(state => state.theme)
+    const reviewQuestion = useStore(state => state.reviewQuestion)
+    const setActiveView = useStore(state => state.setActiveView)
+
+    // Fixed for the session so the queue does not shift at midnight mid-review
+    const [now] = useState(() => new Date())
+    const [isReviewing, setIsReviewing] = useState(false)
+    const [reviewedCount, setReviewedCount] = useState(0)
+
+    const todayKey = toDateKey(now)
+    const due = useMemo(() => getDueQuestions(topics, todayKey), [topics, todayKey])
+
+    const isLight = theme === THEMES.LIGHT
+    const textColor = isLight ? 'text-gray-800' : 'text-white'
+    const mutedColor = isLight ? 'text-gray-500' : 'text-gray-400'
+    const rowClasses = isLight ? 'border-gray-100 hover:bg-gray-50' : 'border-[#252525] hover:bg-[#1a1a1a]'
+
+    // Graded questions move to a future date, so the head of the queue is always next
+    const current = due[0]
+
+    const handleGrade = (grade) => {
+        reviewQuestion(current.question.id, grade)
+        setReviewedCount(count => count + 1)
+    }
+
+    const handleStop = () => {
+        setIsReviewing(false)
+        setReviewedCount(0)
+    }
+
+    return (
+        <section aria-labelledby="review-title">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <div>
+                    <h2 id="review-title" className={`text-xl font-semibold ${textColor}`}>Due for revision</h2>
+                    <p className={`text-sm ${mutedColor}`}>
+                        {due.length === 0
+                            ? 'Nothing is due right now.'
+                            : `${due.length} solved ${due.length === 1 ? 'question is' : 'questions are'} due across all topics.`}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    {isReviewing ? (
+                        <button
+                            type="button"
+                            onClick={handleStop}
+                            className={`px-4 py-2 text-sm rounded-lg transition-colors ${isLight ? 'bg-gray-100 hover:bg-gray-200 text-gray-700' : 'bg-[#252525] hover:bg-[#333] text-gray-300'}`}
+                        >
+                            End review
+                        </button>
+                    ) : due.length > 0 && (
+                        <button
+                            type="button"
+                            onClick={() => setIsReviewing(true)}
+                            className="px-4 py-2 bg-[#6366f1] hover:bg-indigo-600 text-white text-sm font-medium rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+                        >
+                            Start review
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => setActiveView(VIEWS.TOPICS)}
+                        className={`px-4 py-2 text-sm rounded-lg transition-colors ${isLight ? 'hover:bg-gray-200 text-gray-600' : 'hover:bg-[#252525] text-gray-400'}`}
+                    >
+                        Back to topics
+                    </button>
+                </div>
+            </div>
+
+            {isReviewing ? (
+                current ? (
+                    <div className="max-w-2xl mx-auto">
+                        <p className={`text-sm mb-3 ${mutedColor}`}>
+                            {reviewedCount} reviewed · {due.length} left
+                        </p>
+                        <ReviewCard
+                            key={current.question.id}
+                            item={current}
+                            now={now}
+                            isLight={isLight}
+                            onGrade={handleGrade}
+                        />
+                    </div>
+                ) : (
+                    <div className={`text-center py-16 ${mutedColor}`}>
+                        <div className="text-5xl mb-4" aria-hidden="true">🎉</div>
+                        <p className={`text-lg font-medium ${textColor}`}>Review complete</p>
+                        <p className="text-sm">
+                            You reviewed {reviewedCount} {reviewedCount === 1 ? 'question' : 'questions'}.
+                        </p>
+                    </div>
+                )
+            ) : due.length === 0 ? (
+                <p className={`text-center py-16 text-sm ${mutedColor}`}>
+                    Solved questions come back here on their review date.
+                </p>
+            ) : (
+                <ul className={`rounded-xl border overflow-hidden ${isLight ? 'bg-white border-gray-200' : 'bg-[#141414] border-[#252525]'}`}>
+                    {due.map(item => (
+                        <li
+                            key={item.question.id}
+                            className={`flex items-center gap-4 px-4 py-3 border-b last:border-b-0 transition-colors ${rowClasses}`}
+                        >
+                            <div className="flex-1 min-w-0">
+                                <p className={`text-sm truncate ${isLight ? 'text-gray-700' : 'text-gray-200'}`} title={item.question.title}>
+                                    {item.question.isStarred && <span className="text-[#f59e0b] mr-1" aria-label="Starred">★</span>}
+                                    {item.question.title}
+                                </p>
+                                <p className={`text-xs truncate ${mutedColor}`}>
+                                    {item.topicName} › {item.subtopicName}
+                                </p>
+                            </div>
+                            <span className={`w-20 text-sm font-medium text-center ${DIFFICULTY_COLORS[item.question.difficulty] || DIFFICULTY_COLORS[DIFFICULTY_LEVELS.MEDIUM]}`}>
+                                {item.question.difficulty}
+                            </span>
+                            <span className={`hidden sm:block w-36 text-xs text-right ${mutedColor}`}>
+                                {formatDueLabel(item.question.review, todayKey)}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => openModal('editQuestion', { topicId: item.topicId, subtopicId: item.subtopicId, question: item.question })}
+                                className="text-xs text-[#6366f1] hover:underline"
+                            >
+                                History
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    )
+}
+
+export default ReviewQueue
@@ -0,0 +1,240 @@
+/**
+ * SavedViewsMenu Component
+ * Dropdown for saving the current search and filters as a named view,
+ * reopening saved views and copying a shareable link
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useShallow } from 'zustand/react/shallow'
+import { useStore, selectFilters, FILTER_ALL, TAG_MATCH_ANY, TAG_MATCH_ALL, THEMES } from '../store/useStore'
+import { buildFiltersUrl } from '../hooks/useUrlFilters'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Short description of a view's filters, e.g. "Hard · unsolved · #graph · starred · "tree""
+ */
+function describeView(view) {
+    const tags = view.filterTags || []
+    const flags = Object.entries(view.filterFlags || {})
+    const parts = [
+        view.filterDifficulty !== FILTER_ALL && view.filterDifficulty,
+        view.filterStatus !== FILTER_ALL && view.filterStatus,
+        tags.length > 0 && tags.map(tag => `#${tag}`).join(view.filterTagMatch === TAG_MATCH_ALL ? ' + ' : ' / '),
+        ...flags.map(([flag, required]) => required ? flag : `no ${flag}`),
+        view.searchQuery && `"${view.searchQuery}"`,
+    ].filter(Boolean)
+    return parts.length > 0 ? parts.join(' · ') : 'All questions'
+}
+
+function isSameView(view, filters) {
+    const tags = view.filterTags || []
+    const flags = Object.entries(view.filterFlags || {})
+    return view.searchQuery === filters.searchQuery &&
+        view.filterDifficulty === filters.filterDifficulty &&
+        view.filterStatus === filters.filterStatus &&
+        tags.length === filters.filterTags.length &&
+        tags.every(tag => filters.filterTags.includes(tag)) &&
+        (tags.length < 2 || (view.filterTagMatch || TAG_MATCH_ANY) === filters.filterTagMatch) &&
+        flags.length === Object.keys(filters.filterFlags).length &&
+        flags.every(([flag, required]) => filters.filterFlags[flag] === required)
+}
+
+// ============================================================================
+// Icon Components
+// ============================================================================
+
+function BookmarkIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+        </svg>
+    )
+}
+
+function LinkIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+        </svg>
+    )
+}
+
+function TrashIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function SavedViewsMenu() {
+    const savedViews = useStore(state => state.savedViews)
+    const current = useStore(useShallow(selectFilters))
+    const saveView = useStore(state => state.saveView)
+    const applyView = useStore(state => state.applyView)
+    const deleteView = useStore(state => state.deleteView)
+    const theme = useStore(state => state.theme)
+
+    const [isOpen, setIsOpen] = useState(false)
+    const [name, setName] = useState('')
+    const [copied, setCopied] = useState(false)
+    const containerRef = useRef(null)
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) {
+                setIsOpen(false)
+            }
+        }
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setIsOpen(false)
+            }
+        }
+
+        document.addEventListener('mousedown', handlePointerDown)
+        document.addEventListener('keydown', handleKeyDown)
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown)
+            document.removeEventListener('keydown', handleKeyDown)
+        }
+    }, [isOpen])
+
+    const isLight = theme === THEMES.LIGHT
+    const textColor = isLight ? 'text-gray-800' : 'text-white'
+    const menuClass = isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'
+    const itemHover = isLight ? 'hover:bg-gray-50' : 'hover:bg-[#252525]'
+    const dividerColor = isLight ? 'border-gray-200' : 'border-[#333]'
+    const buttonClass = isLight
+        ? 'bg-gray-50 border-gray-200 text-gray-900'
+        : 'bg-[#252525] border-[#333] text-white'
+    const inputClass = isLight
+        ? 'bg-gray-50 border-gray-200 text-gray-900 placeholder-gray-400'
+        : 'bg-[#252525] border-[#333] text-white placeholder-gray-500'
+
+    const activeView = savedViews.find(view => isSameView(view, current))
+
+    const handleSelect = (viewId) => {
+        applyView(viewId)
+        setIsOpen(false)
+    }
+
+    const handleSave = (e) => {
+        e.preventDefault()
+        if (saveView(name)) {
+            setName('')
+        }
+    }
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(buildFiltersUrl(current))
+            setCopied(true)
+            setTimeout(() => setCopied(false), 2000)
+        } catch (error) {
+            console.error('Failed to copy link:', error)
+        }
+    }
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                className={`px-4 py-2.5 border rounded-lg flex items-center gap-2 focus:outline-none focus:border-[#6366f1] transition-colors ${buttonClass}`}
+                aria-haspopup="listbox"
+                aria-expanded={isOpen}
+                title="Saved views"
+            >
+                <BookmarkIcon className={`w-4 h-4 ${activeView ? 'text-[#6366f1]' : 'text-gray-500'}`} />
+                <span className="max-w-[10rem] truncate">{activeView ? activeView.name : 'Views'}</span>
+            </button>
+
+            {isOpen && (
+                <div className={`absolute right-0 top-full mt-2 w-80 rounded-lg border shadow-2xl z-40 animate-slideIn ${menuClass}`}>
+                    {savedViews.length === 0 ? (
+                        <p className="px-4 py-3 text-sm text-gray-500">
+                            No saved views yet. Set up a search and filters, then save them below.
+                        </p>
+                    ) : (
+                        <ul role="listbox" aria-label="Saved views" className="py-1 max-h-72 overflow-y-auto">
+                            {savedViews.map(view => (
+                                <li
+                                    key={view.id}
+                                    role="option"
+                                    aria-selected={view.id === activeView?.id}
+                                    className={`group flex items-center gap-2 px-3 ${itemHover} transition-colors`}
+                                >
+                                    <button
+                                        type="button"
+                                        onClick={() => handleSelect(view.id)}
+                                        className="flex-1 min-w-0 py-2 text-left focus:outline-none"
+                                    >
+                                        <span className={`block text-sm truncate ${view.id === activeView?.id ? 'text-[#6366f1]' : textColor}`} title={view.name}>
+                                            {view.name}
+                                        </span>
+                                        <span className="block text-xs text-gray-500 truncate">
+                                            {describeView(view)}
+                                        </span>
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => deleteView(view.id)}
+                                        className="p-1 text-gray-500 hover:text-[#ef4444] transition-colors rounded opacity-0 group-hover:opacity-100 focus:opacity-100"
+                                        title="Delete View"
+                                        aria-label={`Delete view ${view.name}`}
+                                    >
+                                        <TrashIcon className="w-4 h-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <form onSubmit={handleSave} className={`border-t ${dividerColor} p-2 flex gap-2`}>
+                        <label className="sr-only" htmlFor="saved-view-name">View name</label>
+                        <input
+                            id="saved-view-name"
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="Name this view"
+                            maxLength={60}
+                            className={`flex-1 min-w-0 px-3 py-1.5 text-sm border rounded-lg focus:outline-none focus:border-[#6366f1] ${inputClass}`}
+                        />
+                        <button
+                            type="submit"
+                            disabled={!name.trim()}
+                            className="px-3 py-1.5 bg-[#6366f1] hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-colors"
+                        >
+                            Save
+                        </button>
+                    </form>
+
+                    <div className={`border-t ${dividerColor} p-1`}>
+                        <button
+                            type="button"
+                            onClick={handleCopyLink}
+                            className={`w-full flex items-center gap-2 px-3 py-2 text-sm ${textColor} rounded ${itemHover} transition-colors`}
+                        >
+                            <LinkIcon className="w-4 h-4" />
+                            {copied ? 'Link copied' : 'Copy link to this view'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default SavedViewsMenu
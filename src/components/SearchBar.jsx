@@ -3,8 +3,50 @@
  * Provides search and filter controls for questions
  */
 
-import { useStore, DIFFICULTY_LEVELS, FILTER_ALL, FILTER_SOLVED, FILTER_UNSOLVED } from '../store/useStore'
-import { getModifierKey } from '../hooks/useKeyboardShortcuts'
+import { useState, useMemo, useRef } from 'react'
+import { useShallow } from 'zustand/react/shallow'
+import {
+    useStore,
+    selectTopics,
+    selectFilters,
+    hasActiveFilters,
+    DIFFICULTY_LEVELS,
+    FILTER_ALL,
+    FILTER_SOLVED,
+    FILTER_UNSOLVED,
+    QUESTION_FLAGS,
+} from '../store/useStore'
+import { compileQuery, getQueryCompletions, getQuestionPlatform } from '../store/search'
+import { useShortcutHint } from '../hooks/useKeyboardShortcuts'
+import SavedViewsMenu from './SavedViewsMenu'
+import TagBrowser from './TagBrowser'
+import FilterMenu from './FilterMenu'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Tag, topic and platform values offered by query autocomplete
+ */
+function collectKnownValues(topics) {
+    const tags = new Set()
+    const platforms = new Set()
+    for (const topic of topics) {
+        for (const subtopic of topic.subtopics) {
+            for (const q of subtopic.questions) {
+                q.tags?.forEach(tag => tags.add(tag))
+                const platform = getQuestionPlatform(q)
+                if (platform) platforms.add(platform)
+            }
+        }
+    }
+    return {
+        tags: Array.from(tags).sort(),
+        topics: topics.map(t => t.name),
+        platforms: Array.from(platforms).sort(),
+    }
+}
 
 // ============================================================================
 // Icon Components (Inline for simplicity)
@@ -18,6 +60,22 @@ function SearchIcon({ className }) {
     )
 }
 
+function StarIcon({ className, filled }) {
+    return (
+        <svg className={className} fill={filled ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+        </svg>
+    )
+}
+
+function TagIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+        </svg>
+    )
+}
+
 function ClearIcon({ className }) {
     return (
         <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -31,21 +89,69 @@ function ClearIcon({ className }) {
 // ============================================================================
 
 function SearchBar() {
-    const searchQuery = useStore(state => state.searchQuery)
-    const filterDifficulty = useStore(state => state.filterDifficulty)
-    const filterStatus = useStore(state => state.filterStatus)
+    const filters = useStore(useShallow(selectFilters))
+    const { searchQuery, filterDifficulty, filterStatus, filterTags, filterFlags } = filters
     const theme = useStore(state => state.theme)
     const setSearchQuery = useStore(state => state.setSearchQuery)
     const setFilterDifficulty = useStore(state => state.setFilterDifficulty)
     const setFilterStatus = useStore(state => state.setFilterStatus)
+    const setFilterFlag = useStore(state => state.setFilterFlag)
+    const clearFilters = useStore(state => state.clearFilters)
+    const placeholder = useShortcutHint('Search, or filter like tag:graph diff:hard -solved', 'focusSearch')
+    const topics = useStore(selectTopics)
+
+    const inputRef = useRef(null)
+    const [cursor, setCursor] = useState(0)
+    const [showCompletions, setShowCompletions] = useState(false)
+    const [activeCompletion, setActiveCompletion] = useState(0)
+    const [showTags, setShowTags] = useState(false)
+
+    const knownValues = useMemo(() => collectKnownValues(topics), [topics])
+    const queryError = compileQuery(searchQuery).error
+    const completions = showCompletions
+        ? getQueryCompletions(searchQuery, cursor, knownValues)
+        : { items: [] }
+    const highlighted = Math.min(activeCompletion, Math.max(0, completions.items.length - 1))
 
     const isLight = theme === 'light'
-    const hasActiveFilters = searchQuery || filterDifficulty !== FILTER_ALL || filterStatus !== FILTER_ALL
+    const isFiltered = hasActiveFilters(filters)
+    const isStarredOnly = filterFlags[QUESTION_FLAGS.STARRED] === true
+
+    const updateQuery = (e) => {
+        setSearchQuery(e.target.value)
+        setCursor(e.target.selectionStart ?? e.target.value.length)
+        setShowCompletions(true)
+        setActiveCompletion(0)
+    }
+
+    const acceptCompletion = (item) => {
+        const nextQuery = searchQuery.slice(0, completions.from) + item.insert + searchQuery.slice(completions.to)
+        const nextCursor = completions.from + item.insert.length
+        setSearchQuery(nextQuery)
+        setCursor(nextCursor)
+        setActiveCompletion(0)
+        // Field names stay open so their values can be picked next
+        setShowCompletions(item.insert.endsWith(':'))
 
-    const clearAllFilters = () => {
-        setSearchQuery('')
-        setFilterDifficulty(FILTER_ALL)
-        setFilterStatus(FILTER_ALL)
+        const input = inputRef.current
+        input?.focus()
+        setTimeout(() => input?.setSelectionRange(nextCursor, nextCursor), 0)
+    }
+
+    const handleKeyDown = (e) => {
+        if (completions.items.length === 0) return
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault()
+            const step = e.key === 'ArrowDown' ? 1 : -1
+            setActiveCompletion((highlighted + step + completions.items.length) % completions.items.length)
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault()
+            acceptCompletion(completions.items[highlighted])
+        } else if (e.key === 'Escape') {
+            e.preventDefault()
+            setShowCompletions(false)
+        }
     }
 
     // Theme-aware classes
@@ -71,14 +177,62 @@ function SearchBar() {
             <div className="flex-1 min-w-[200px] relative">
                 <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500" />
                 <input
+                    ref={inputRef}
                     type="search"
                     data-search-input
                     value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    placeholder={`Search questions... (${getModifierKey()}+K)`}
+                    onChange={updateQuery}
+                    onKeyDown={handleKeyDown}
+                    onSelect={(e) => setCursor(e.target.selectionStart ?? 0)}
+                    onFocus={() => setShowCompletions(true)}
+                    onBlur={() => setShowCompletions(false)}
+                    placeholder={placeholder}
                     aria-label="Search questions"
-                    className={`w-full pl-10 pr-10 py-2.5 border rounded-lg focus:outline-none focus:border-[#6366f1] focus:ring-1 focus:ring-[#6366f1] transition-colors ${inputClass}`}
+                    aria-invalid={Boolean(queryError)}
+                    aria-describedby={queryError ? 'search-query-error' : undefined}
+                    aria-autocomplete="list"
+                    aria-expanded={completions.items.length > 0}
+                    aria-controls="search-completions"
+                    aria-activedescendant={completions.items.length > 0 ? `search-completion-${highlighted}` : undefined}
+                    role="combobox"
+                    autoComplete="off"
+                    spellCheck={false}
+                    className={`w-full pl-10 pr-10 py-2.5 border rounded-lg focus:outline-none focus:ring-1 transition-colors ${inputClass} ${queryError
+                        ? 'border-red-500/60 focus:border-red-500 focus:ring-red-500'
+                        : 'focus:border-[#6366f1] focus:ring-[#6366f1]'
+                        }`}
                 />
+                {completions.items.length > 0 && (
+                    <ul
+                        id="search-completions"
+                        role="listbox"
+                        className={`absolute left-0 right-0 top-full mt-1 z-30 py-1 rounded-lg border shadow-xl max-h-64 overflow-y-auto ${isLight ? 'bg-white border-gray-200' : 'bg-[#1f1f1f] border-[#333]'}`}
+                    >
+                        {completions.items.map((item, index) => (
+                            <li
+                                key={item.label}
+                                id={`search-completion-${index}`}
+                                role="option"
+                                aria-selected={index === highlighted}
+                                // Keep focus in the input while clicking a suggestion
+                                onMouseDown={(e) => { e.preventDefault(); acceptCompletion(item) }}
+                                onMouseEnter={() => setActiveCompletion(index)}
+                                className={`flex items-center justify-between gap-3 px-3 py-1.5 text-sm cursor-pointer ${index === highlighted
+                                    ? 'bg-[#6366f1]/15 text-[#6366f1]'
+                                    : isLight ? 'text-gray-700' : 'text-gray-300'
+                                    }`}
+                            >
+                                <span className="font-mono truncate">{item.label}</span>
+                                <span className="text-xs text-gray-500 truncate">{item.description}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {queryError && (
+                    <p id="search-query-error" className="absolute left-0 top-full mt-1 text-xs text-red-400" role="alert">
+                        {queryError.message} (at character {queryError.position + 1})
+                    </p>
+                )}
                 {searchQuery && (
                     <button
                         type="button"
@@ -119,11 +273,46 @@ function SearchBar() {
                 <option value={FILTER_UNSOLVED}>Unsolved</option>
             </select>
 
+            {/* Favourites */}
+            <button
+                type="button"
+                onClick={() => setFilterFlag(QUESTION_FLAGS.STARRED, isStarredOnly ? null : true)}
+                className={`px-4 py-2.5 border rounded-lg flex items-center gap-2 focus:outline-none focus:border-[#6366f1] transition-colors ${isStarredOnly ? 'border-[#f59e0b] text-[#f59e0b] bg-[#f59e0b]/10' : selectClass}`}
+                aria-pressed={isStarredOnly}
+                title="Show only starred questions"
+            >
+                <StarIcon className={`w-4 h-4 ${isStarredOnly ? '' : 'text-gray-500'}`} filled={isStarredOnly} />
+                Starred
+            </button>
+
+            {/* Flag Filters */}
+            <FilterMenu />
+
+            {/* Tag Browser Toggle */}
+            <button
+                type="button"
+                onClick={() => setShowTags(open => !open)}
+                className={`px-4 py-2.5 border rounded-lg flex items-center gap-2 focus:outline-none focus:border-[#6366f1] transition-colors ${selectClass}`}
+                aria-expanded={showTags}
+                aria-controls="tag-browser"
+            >
+                <TagIcon className={`w-4 h-4 ${filterTags.length > 0 ? 'text-[#6366f1]' : 'text-gray-500'}`} />
+                Tags
+                {filterTags.length > 0 && (
+                    <span className="px-1.5 min-w-[1.25rem] text-xs rounded-full bg-[#6366f1] text-white">
+                        {filterTags.length}
+                    </span>
+                )}
+            </button>
+
+            {/* Saved Views */}
+            <SavedViewsMenu />
+
             {/* Clear Filters */}
-            {hasActiveFilters && (
+            {isFiltered && (
                 <button
                     type="button"
-                    onClick={clearAllFilters}
+                    onClick={clearFilters}
                     className="px-4 py-2.5 text-gray-400 hover:text-white transition-colors flex items-center gap-2"
                     aria-label="Clear all filters"
                 >
@@ -131,6 +320,13 @@ function SearchBar() {
                     Clear
                 </button>
             )}
+
+            {/* Tag Browser */}
+            {showTags && (
+                <div id="tag-browser" className={`w-full pt-3 border-t ${isLight ? 'border-gray-200' : 'border-[#333]'}`}>
+                    <TagBrowser />
+                </div>
+            )}
         </div>
     )
 }
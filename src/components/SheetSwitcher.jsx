@@ -0,0 +1,187 @@
+/**
+ * SheetSwitcher Component
+ * Breadcrumb dropdown for switching between, creating, importing and deleting sheets
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useStore, selectTopics, calculateTotalProgress, THEMES } from '../store/useStore'
+
+// ============================================================================
+// Icon Components
+// ============================================================================
+
+function ChevronDownIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+    )
+}
+
+function PlusIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+        </svg>
+    )
+}
+
+function UploadIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+        </svg>
+    )
+}
+
+function TrashIcon({ className }) {
+    return (
+        <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function SheetSwitcher({ openModal }) {
+    const sheets = useStore(state => state.sheets)
+    const activeSheetId = useStore(state => state.activeSheetId)
+    const activeSheet = useStore(state => state.sheet)
+    const activeTopics = useStore(selectTopics)
+    const switchSheet = useStore(state => state.switchSheet)
+    const theme = useStore(state => state.theme)
+
+    const [isOpen, setIsOpen] = useState(false)
+    const containerRef = useRef(null)
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) {
+                setIsOpen(false)
+            }
+        }
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setIsOpen(false)
+            }
+        }
+
+        document.addEventListener('mousedown', handlePointerDown)
+        document.addEventListener('keydown', handleKeyDown)
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown)
+            document.removeEventListener('keydown', handleKeyDown)
+        }
+    }, [isOpen])
+
+    const isLight = theme === THEMES.LIGHT
+    const textColor = isLight ? 'text-gray-800' : 'text-white'
+    const menuClass = isLight ? 'bg-white border-gray-200' : 'bg-[#1a1a1a] border-[#333]'
+    const itemHover = isLight ? 'hover:bg-gray-50' : 'hover:bg-[#252525]'
+    const dividerColor = isLight ? 'border-gray-200' : 'border-[#333]'
+
+    // The active sheet's live data is in the top-level store fields
+    const entries = Object.entries(sheets).map(([id, workspace]) => {
+        const isActive = id === activeSheetId
+        const sheet = isActive ? activeSheet : workspace.sheet
+        return {
+            id,
+            name: sheet?.name || 'Question Sheet',
+            isActive,
+            progress: calculateTotalProgress(isActive ? activeTopics : selectTopics(workspace)),
+        }
+    })
+
+    const handleSelect = (sheetId) => {
+        switchSheet(sheetId)
+        setIsOpen(false)
+    }
+
+    const handleOpenModal = (type, data) => {
+        setIsOpen(false)
+        openModal(type, data)
+    }
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                className={`flex items-center gap-1 ${textColor} hover:text-[#6366f1] transition-colors rounded focus:outline-none focus:ring-2 focus:ring-[#6366f1]`}
+                aria-haspopup="listbox"
+                aria-expanded={isOpen}
+                aria-label="Switch sheet"
+            >
+                {activeSheet?.name || 'Question Sheet'}
+                <ChevronDownIcon className={`w-4 h-4 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+            </button>
+
+            {isOpen && (
+                <div className={`absolute left-0 top-full mt-2 w-80 rounded-lg border shadow-2xl z-40 animate-slideIn ${menuClass}`}>
+                    <ul role="listbox" aria-label="Sheets" className="py-1 max-h-72 overflow-y-auto">
+                        {entries.map(entry => (
+                            <li
+                                key={entry.id}
+                                role="option"
+                                aria-selected={entry.isActive}
+                                className={`group flex items-center gap-2 px-3 ${itemHover} transition-colors`}
+                            >
+                                <button
+                                    type="button"
+                                    onClick={() => handleSelect(entry.id)}
+                                    className="flex-1 min-w-0 flex items-center gap-2 py-2 text-left focus:outline-none"
+                                >
+                                    <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${entry.isActive ? 'bg-[#6366f1]' : 'bg-transparent'}`} />
+                                    <span className={`text-sm truncate ${entry.isActive ? textColor : 'text-gray-500'}`} title={entry.name}>
+                                        {entry.name}
+                                    </span>
+                                    <span className="ml-auto text-xs text-gray-500 flex-shrink-0">
+                                        {entry.progress.solved}/{entry.progress.total}
+                                    </span>
+                                </button>
+                                {entries.length > 1 && (
+                                    <button
+                                        type="button"
+                                        onClick={() => handleOpenModal('deleteSheet', { sheet: { id: entry.id, name: entry.name } })}
+                                        className="p-1 text-gray-500 hover:text-[#ef4444] transition-colors rounded opacity-0 group-hover:opacity-100 focus:opacity-100"
+                                        title="Delete Sheet"
+                                        aria-label={`Delete sheet ${entry.name}`}
+                                    >
+                                        <TrashIcon className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className={`border-t ${dividerColor} p-1`}>
+                        <button
+                            type="button"
+                            onClick={() => handleOpenModal('addSheet')}
+                            className={`w-full flex items-center gap-2 px-3 py-2 text-sm text-[#6366f1] rounded ${itemHover} transition-colors`}
+                        >
+                            <PlusIcon className="w-4 h-4" />
+                            New sheet
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleOpenModal('importSheet')}
+                            className={`w-full flex items-center gap-2 px-3 py-2 text-sm ${textColor} rounded ${itemHover} transition-colors`}
+                        >
+                            <UploadIcon className="w-4 h-4" />
+                            Import sheet JSON
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default SheetSwitcher
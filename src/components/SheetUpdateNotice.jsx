@@ -0,0 +1,88 @@
+/**
+ * SheetUpdateNotice Component
+ * Summarises what changed when upstream sheet updates were merged in
+ */
+
+import { useState } from 'react'
+import { useStore, THEMES } from '../store/useStore'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const CHANGE_GROUPS = Object.freeze([
+    { key: 'added', label: 'New' },
+    { key: 'updated', label: 'Changed' },
+    { key: 'removed', label: 'Removed from sheet' },
+    { key: 'restored', label: 'Back in sheet' },
+])
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function SheetUpdateNotice() {
+    const syncSummary = useStore(state => state.syncSummary)
+    const dismissSyncSummary = useStore(state => state.dismissSyncSummary)
+    const theme = useStore(state => state.theme)
+
+    const [showDetails, setShowDetails] = useState(false)
+
+    if (!syncSummary) return null
+
+    const isLight = theme === THEMES.LIGHT
+    const groups = CHANGE_GROUPS.filter(group => syncSummary[group.key]?.length > 0)
+    const counts = groups.map(group => `${syncSummary[group.key].length} ${group.label.toLowerCase()}`)
+
+    return (
+        <div
+            className={`mb-6 px-4 py-3 rounded-xl border ${isLight
+                ? 'bg-indigo-50 border-indigo-200 text-indigo-900'
+                : 'bg-indigo-500/10 border-indigo-500/30 text-indigo-200'
+                }`}
+            role="status"
+        >
+            <div className="flex flex-wrap items-center gap-3">
+                <p className="flex-1 min-w-[200px] text-sm">
+                    <span className="font-semibold">{syncSummary.sheetName}</span> was updated: {counts.join(', ')}.
+                    Your progress and notes were kept.
+                </p>
+                <button
+                    type="button"
+                    onClick={() => setShowDetails(show => !show)}
+                    className="px-3 py-1.5 text-sm font-medium rounded-lg bg-indigo-500/20 hover:bg-indigo-500/30 transition-colors"
+                    aria-expanded={showDetails}
+                >
+                    {showDetails ? 'Hide details' : 'Details'}
+                </button>
+                <button
+                    type="button"
+                    onClick={dismissSyncSummary}
+                    className="px-3 py-1.5 text-sm rounded-lg hover:bg-indigo-500/20 transition-colors"
+                >
+                    Dismiss
+                </button>
+            </div>
+
+            {showDetails && (
+                <div className="mt-3 grid gap-3 sm:grid-cols-2 max-h-64 overflow-y-auto text-sm">
+                    {groups.map(group => (
+                        <div key={group.key}>
+                            <h4 className="font-medium mb-1">{group.label}</h4>
+                            <ul className="space-y-0.5 opacity-80">
+                                {syncSummary[group.key].map(item => (
+                                    <li key={item.id} className="truncate" title={item.title}>
+                                        {item.title}
+                                        {item.fields && <span className="opacity-70"> ({item.fields.join(', ')})</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default SheetUpdateNotice
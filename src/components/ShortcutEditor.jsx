@@ -0,0 +1,252 @@
+/**
+ * ShortcutEditor Component
+ * Lists every shortcut action with its key bindings and lets the user add,
+ * remove and reset them. New bindings are recorded by pressing the keys;
+ * a binding already used elsewhere moves to the new action on save.
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useStore } from '../store/useStore'
+import {
+    SHORTCUT_ACTIONS,
+    MAX_CHORD_LENGTH,
+    eventToCombo,
+    getEffectiveBindings,
+    getShortcutAction,
+    findBindingConflicts,
+} from '../store/shortcuts'
+import { formatBinding, formatBindingLabel } from '../hooks/useKeyboardShortcuts'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Keys the recorder leaves alone: Escape cancels, Tab moves focus on
+const RECORDER_PASS_KEYS = Object.freeze(['Escape', 'Tab'])
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function describeConflicts(conflicts) {
+    return conflicts
+        .map(conflict => `${getShortcutAction(conflict.actionId)?.description} (${formatBindingLabel(conflict.binding)})`)
+        .join(', ')
+}
+
+// ============================================================================
+// Sub-Components
+// ============================================================================
+
+function BindingKeys({ binding }) {
+    const combos = formatBinding(binding)
+    return combos.map((keys, index) => (
+        <span key={index} className="flex items-center">
+            <kbd className="px-2 py-1 bg-[#252525] border border-[#444] rounded text-sm text-gray-300 font-mono">
+                {keys.join('+')}
+            </kbd>
+            {index < combos.length - 1 && (
+                <span className="text-gray-500 text-xs mx-1">then</span>
+            )}
+        </span>
+    ))
+}
+
+function BindingChip({ binding, description, conflicts, onRemove }) {
+    const hasConflict = conflicts.length > 0
+    return (
+        <span
+            className={`flex items-center gap-1 pl-1 rounded-md border ${hasConflict ? 'border-[#ef4444]' : 'border-transparent'}`}
+            title={hasConflict ? `Also bound to ${describeConflicts(conflicts)}` : undefined}
+        >
+            <BindingKeys binding={binding} />
+            <button
+                type="button"
+                onClick={onRemove}
+                className="p-1 text-gray-500 hover:text-[#ef4444] rounded transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]"
+                aria-label={`Remove ${formatBindingLabel(binding)} from ${description}`}
+            >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+            </button>
+        </span>
+    )
+}
+
+/**
+ * Captures key presses while focused. Up to MAX_CHORD_LENGTH presses make a
+ * chord; pressing more starts over.
+ */
+function BindingRecorder({ action, bindingsById, onSave, onCancel }) {
+    const [combos, setCombos] = useState([])
+    const recorderRef = useRef(null)
+    const binding = combos.join(' ')
+    const conflicts = binding ? findBindingConflicts(bindingsById, action.id, binding) : []
+    const isDuplicate = bindingsById[action.id].includes(binding)
+
+    useEffect(() => {
+        recorderRef.current?.focus()
+    }, [])
+
+    const handleKeyDown = (e) => {
+        if (RECORDER_PASS_KEYS.includes(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            if (e.key === 'Escape') {
+                // Keep the modal open; only stop recording
+                e.preventDefault()
+                e.stopPropagation()
+                onCancel()
+            }
+            return
+        }
+
+        const combo = eventToCombo(e.nativeEvent)
+        // Keep the keys away from the browser and the global shortcuts
+        e.preventDefault()
+        e.stopPropagation()
+        if (!combo) return
+        setCombos(prev => (prev.length < MAX_CHORD_LENGTH ? [...prev, combo] : [combo]))
+    }
+
+    return (
+        <div className="mt-2 p-3 rounded-lg bg-[#252525] border border-[#6366f1]/50">
+            <div
+                ref={recorderRef}
+                tabIndex={0}
+                onKeyDown={handleKeyDown}
+                className="flex items-center gap-1 min-h-[36px] px-3 py-1 rounded-md bg-[#1a1a1a] border border-[#444] focus:outline-none focus:ring-2 focus:ring-[#6366f1]"
+                role="textbox"
+                aria-label={`Press the new keys for ${action.description}`}
+                aria-describedby="binding-recorder-hint"
+            >
+                {binding
+                    ? <BindingKeys binding={binding} />
+                    : <span className="text-sm text-gray-500">Press keys…</span>}
+            </div>
+            <p id="binding-recorder-hint" className="mt-2 text-xs text-gray-500">
+                Press a key combination, optionally followed by a second one for a chord. Esc cancels.
+            </p>
+            {isDuplicate && (
+                <p className="mt-2 text-xs text-gray-400">Already assigned to this action.</p>
+            )}
+            {conflicts.length > 0 && (
+                <p className="mt-2 text-xs text-[#f59e0b]" role="alert">
+                    Conflicts with {describeConflicts(conflicts)}. Saving removes it from there.
+                </p>
+            )}
+            <div className="mt-3 flex items-center justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-3 py-1.5 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onSave(binding)}
+                    disabled={!binding || isDuplicate}
+                    className="px-3 py-1.5 text-sm bg-[#6366f1] hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                    {conflicts.length > 0 ? 'Reassign' : 'Save'}
+                </button>
+            </div>
+        </div>
+    )
+}
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function ShortcutEditor({ onClose }) {
+    const shortcutBindings = useStore(state => state.shortcutBindings)
+    const assignShortcut = useStore(state => state.assignShortcut)
+    const removeShortcut = useStore(state => state.removeShortcut)
+    const resetShortcuts = useStore(state => state.resetShortcuts)
+    const [recordingId, setRecordingId] = useState(null)
+
+    const bindingsById = getEffectiveBindings(shortcutBindings)
+    const isCustomized = Object.keys(shortcutBindings).length > 0
+
+    const handleSave = (actionId, binding) => {
+        assignShortcut(actionId, binding)
+        setRecordingId(null)
+    }
+
+    return (
+        <div>
+            <ul className="divide-y divide-[#333]">
+                {SHORTCUT_ACTIONS.map(action => {
+                    const bindings = bindingsById[action.id]
+                    return (
+                        <li key={action.id} className="py-2.5">
+                            <div className="flex items-center gap-3">
+                                <span className="flex-1 text-gray-300">{action.description}</span>
+                                <div className="flex flex-wrap items-center justify-end gap-2">
+                                    {bindings.length === 0 && (
+                                        <span className="text-sm text-gray-500">Not assigned</span>
+                                    )}
+                                    {bindings.map(binding => (
+                                        <BindingChip
+                                            key={binding}
+                                            binding={binding}
+                                            description={action.description}
+                                            conflicts={findBindingConflicts(bindingsById, action.id, binding)}
+                                            onRemove={() => removeShortcut(action.id, binding)}
+                                        />
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => setRecordingId(action.id)}
+                                        className="px-2 py-1 text-sm text-[#6366f1] hover:bg-indigo-500/10 rounded transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]"
+                                        aria-label={`Add key binding for ${action.description}`}
+                                    >
+                                        Add
+                                    </button>
+                                    {shortcutBindings[action.id] && (
+                                        <button
+                                            type="button"
+                                            onClick={() => resetShortcuts(action.id)}
+                                            className="px-2 py-1 text-sm text-gray-400 hover:text-white rounded transition-colors focus:outline-none focus:ring-2 focus:ring-[#6366f1]"
+                                            aria-label={`Reset key bindings for ${action.description}`}
+                                        >
+                                            Reset
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {recordingId === action.id && (
+                                <BindingRecorder
+                                    action={action}
+                                    bindingsById={bindingsById}
+                                    onSave={(binding) => handleSave(action.id, binding)}
+                                    onCancel={() => setRecordingId(null)}
+                                />
+                            )}
+                        </li>
+                    )
+                })}
+            </ul>
+            <div className="pt-4 flex items-center justify-between gap-3">
+                <button
+                    type="button"
+                    onClick={() => resetShortcuts()}
+                    disabled={!isCustomized}
+                    className="px-4 py-2 text-sm text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                    Reset all to defaults
+                </button>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-6 py-2 bg-[#6366f1] hover:bg-indigo-600 text-white rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-[#1a1a1a]"
+                >
+                    Done
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default ShortcutEditor
@@ -3,8 +3,11 @@
  * Displays detailed progress statistics in a floating panel
  */
 
-import { useMemo } from 'react'
-import { useStore, calculateDetailedStats, DIFFICULTY_LEVELS } from '../store/useStore'
+import { useState, useMemo } from 'react'
+import { useStore, selectTopics, calculateDetailedStats, calculateSolveTimes, getAllSheetTopics, DIFFICULTY_LEVELS } from '../store/useStore'
+import { collectSolveCounts, calculateStreaks, buildHeatmapWeeks, MAX_DAILY_GOAL } from '../store/activity'
+import { formatClock } from '../store/timer'
+import { toDateKey, fromDateKey } from '../utils/dates'
 
 // ============================================================================
 // Constants
@@ -19,6 +22,13 @@ const DIFFICULTY_COLORS = Object.freeze({
 
 const MAX_TOPICS_SHOWN = 5
 
+const HEATMAP_WEEKS = 18
+
+/**
+ * Heatmap shades, from no solves to meeting the daily goal or more
+ */
+const HEATMAP_LEVELS = Object.freeze(['bg-[#2a2a2a]', 'bg-[#14532d]', 'bg-[#15803d]', 'bg-[#22c55e]', 'bg-[#4ade80]'])
+
 // ============================================================================
 // Sub-Components
 // ============================================================================
@@ -106,12 +116,155 @@ function TopicProgress({ name, solved, total }) {
     )
 }
 
+function getHeatmapLevel(count, dailyGoal) {
+    if (count <= 0) return 0
+    return Math.min(HEATMAP_LEVELS.length - 1, Math.ceil((count / dailyGoal) * (HEATMAP_LEVELS.length - 2)))
+}
+
+function SolveHeatmap({ weeks, dailyGoal }) {
+    return (
+        <div className="flex gap-[3px]" role="img" aria-label={`Questions solved per day over the last ${weeks.length} weeks`}>
+            {weeks.map((days, weekIndex) => (
+                <div key={weekIndex} className="flex flex-col gap-[3px]">
+                    {days.map((day, dayIndex) => day ? (
+                        <div
+                            key={day.date}
+                            className={`w-3 h-3 rounded-sm ${HEATMAP_LEVELS[getHeatmapLevel(day.count, dailyGoal)]}`}
+                            title={`${day.count} solved on ${fromDateKey(day.date).toLocaleDateString()}`}
+                        />
+                    ) : (
+                        <div key={dayIndex} className="w-3 h-3" />
+                    ))}
+                </div>
+            ))}
+        </div>
+    )
+}
+
+/**
+ * Median timed solve per difficulty and topic, plus the per-difficulty
+ * targets the question timer warns against
+ */
+function SolveTimesSection({ topics }) {
+    const timerTargets = useStore(state => state.timerTargets)
+    const setTimerTarget = useStore(state => state.setTimerTarget)
+
+    const solveTimes = useMemo(() => calculateSolveTimes(topics), [topics])
+    const timedTopics = useMemo(
+        () => [...solveTimes.byTopic].sort((a, b) => b.count - a.count).slice(0, MAX_TOPICS_SHOWN),
+        [solveTimes.byTopic]
+    )
+
+    return (
+        <div>
+            <h4 className="text-sm font-medium text-gray-400 mb-2">Median Solve Time</h4>
+            <div className="space-y-1.5">
+                {Object.values(DIFFICULTY_LEVELS).map(difficulty => {
+                    const entry = solveTimes.byDifficulty[difficulty]
+                    const target = timerTargets[difficulty] || 0
+                    return (
+                        <div key={difficulty} className="flex items-center gap-2 text-xs">
+                            <span className="w-16 font-medium" style={{ color: DIFFICULTY_COLORS[difficulty] }}>
+                                {difficulty}
+                            </span>
+                            <span className={`flex-1 font-mono ${entry && target > 0 && entry.median > target * 60 ? 'text-[#ef4444]' : 'text-gray-300'}`}>
+                                {entry ? formatClock(entry.median) : '—'}
+                                {entry && <span className="text-gray-500 font-sans"> ({entry.count})</span>}
+                            </span>
+                            <label className="flex items-center gap-1 text-gray-500">
+                                <span className="sr-only">{difficulty} target in minutes</span>
+                                target
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={target}
+                                    onChange={(e) => setTimerTarget(difficulty, e.target.value)}
+                                    className="w-12 px-1.5 py-0.5 bg-[#252525] border border-[#333] rounded text-white focus:outline-none focus:border-[#6366f1]"
+                                />
+                                m
+                            </label>
+                        </div>
+                    )
+                })}
+            </div>
+            {timedTopics.length > 0 && (
+                <div className="space-y-1 mt-3">
+                    {timedTopics.map(topic => (
+                        <div key={topic.name} className="flex items-center gap-2 text-xs">
+                            <span className="text-gray-300 truncate flex-1" title={topic.name}>{topic.name}</span>
+                            <span className="text-gray-400 font-mono">{formatClock(topic.median)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+/**
+ * Solve heatmap, streaks and daily goal across all sheets. Mounted only
+ * while the panel is open, so "today" is fresh each time it opens.
+ */
+function ActivitySection() {
+    const sheets = useStore(state => state.sheets)
+    const activeSheetId = useStore(state => state.activeSheetId)
+    const topics = useStore(selectTopics)
+    const dailyGoal = useStore(state => state.dailyGoal)
+    const setDailyGoal = useStore(state => state.setDailyGoal)
+
+    const [today] = useState(() => new Date())
+
+    const counts = useMemo(
+        () => collectSolveCounts(getAllSheetTopics(sheets, activeSheetId, topics)),
+        [sheets, activeSheetId, topics]
+    )
+    const streaks = useMemo(() => calculateStreaks(counts, today), [counts, today])
+    const weeks = useMemo(() => buildHeatmapWeeks(counts, HEATMAP_WEEKS, today), [counts, today])
+
+    const solvedToday = counts[toDateKey(today)] || 0
+    const goalMet = solvedToday >= dailyGoal
+
+    return (
+        <div>
+            <h4 className="text-sm font-medium text-gray-400 mb-2">Activity</h4>
+            <div className="grid grid-cols-2 gap-2 mb-3">
+                <div className="p-2 bg-[#252525] rounded-lg text-center">
+                    <div className="text-lg font-bold text-white">{streaks.current}</div>
+                    <div className="text-xs text-gray-400">Current streak</div>
+                </div>
+                <div className="p-2 bg-[#252525] rounded-lg text-center">
+                    <div className="text-lg font-bold text-white">{streaks.longest}</div>
+                    <div className="text-xs text-gray-400">Longest streak</div>
+                </div>
+            </div>
+            <SolveHeatmap weeks={weeks} dailyGoal={dailyGoal} />
+            <div className="flex items-center justify-between gap-2 mt-3 text-xs">
+                <label htmlFor="daily-goal" className="flex items-center gap-2 text-gray-400">
+                    Daily goal
+                    <input
+                        id="daily-goal"
+                        type="number"
+                        min="1"
+                        max={MAX_DAILY_GOAL}
+                        value={dailyGoal}
+                        onChange={(e) => setDailyGoal(e.target.value)}
+                        className="w-14 px-2 py-1 bg-[#252525] border border-[#333] rounded text-white focus:outline-none focus:border-[#6366f1]"
+                    />
+                </label>
+                <span className={goalMet ? 'text-[#22c55e] font-medium' : 'text-gray-400'}>
+                    {goalMet ? '✓ ' : ''}{solvedToday}/{dailyGoal} today
+                </span>
+            </div>
+        </div>
+    )
+}
+
 // ============================================================================
 // Main Component
 // ============================================================================
 
 function StatsPanel() {
-    const topics = useStore(state => state.topics)
+    const topics = useStore(selectTopics)
     const showStats = useStore(state => state.showStats)
     const toggleStats = useStore(state => state.toggleStats)
 
@@ -139,7 +292,7 @@ function StatsPanel() {
 
     return (
         <aside
-            className="fixed right-4 top-24 w-80 bg-[#1a1a1a] border border-[#333] rounded-xl shadow-2xl z-40 animate-slideIn"
+            className="fixed right-4 top-24 w-80 max-h-[calc(100vh-7rem)] overflow-y-auto bg-[#1a1a1a] border border-[#333] rounded-xl shadow-2xl z-40 animate-slideIn"
             role="complementary"
             aria-label="Progress statistics"
         >
@@ -193,6 +346,12 @@ function StatsPanel() {
                     </div>
                 )}
 
+                {/* Timed solves */}
+                <SolveTimesSection topics={topics} />
+
+                {/* Solve activity */}
+                <ActivitySection />
+
                 {/* Keyboard shortcut hint */}
                 <div className="text-center pt-2 border-t border-[#333]">
                     <span className="text-xs text-gray-500">
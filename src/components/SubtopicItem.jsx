@@ -4,10 +4,14 @@
  * UI matches the Codolio design reference
  */
 
+import { memo } from 'react'
 import { useSortable } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
-import { useStore, calculateSubtopicProgress } from '../store/useStore'
+import { useStore, calculateSubtopicProgress, DROP_POSITIONS } from '../store/useStore'
+import { DRAG_TYPES, useDropPosition, useExpandOnDragHover, withMoveToEdgeKeys } from '../hooks/useSheetDragAndDrop'
+import { useTreeRowProps } from '../hooks/useTreeNavigation'
 import QuestionList from './QuestionList'
+import DropIndicator from './DropIndicator'
 
 // ============================================================================
 // Icon Components
@@ -63,12 +67,19 @@ function TrashIcon({ className }) {
 // Main Component
 // ============================================================================
 
-function SubtopicItem({ subtopic, topicId, openModal }) {
-    const expandedSubtopics = useStore(state => state.expandedSubtopics)
+function SubtopicItem({ subtopic, topicId, openModal, posInSet, setSize }) {
+    const isExpanded = useStore(state => Boolean(state.expandedSubtopics[subtopic.id]))
     const toggleSubtopicExpansion = useStore(state => state.toggleSubtopicExpansion)
+    const expandSubtopic = useStore(state => state.expandSubtopic)
+    const moveSubtopic = useStore(state => state.moveSubtopic)
     const theme = useStore(state => state.theme)
+    const treeRowProps = useTreeRowProps(subtopic.id)
+
+    // Questions dragged onto the subtopic open it; subtopics from other topics land before or after it
+    const dropPosition = useDropPosition(subtopic.id)
+    const isDropTarget = dropPosition === DROP_POSITIONS.INSIDE
+    useExpandOnDragHover(isDropTarget && !isExpanded, expandSubtopic, subtopic.id)
 
-    const isExpanded = expandedSubtopics[subtopic.id]
     const progress = calculateSubtopicProgress(subtopic)
 
     const {
@@ -80,7 +91,7 @@ function SubtopicItem({ subtopic, topicId, openModal }) {
         isDragging,
     } = useSortable({
         id: subtopic.id,
-        data: { type: 'subtopic', subtopic, topicId }
+        data: { type: DRAG_TYPES.SUBTOPIC, subtopic, topicId }
     })
 
     const style = {
@@ -96,18 +107,22 @@ function SubtopicItem({ subtopic, topicId, openModal }) {
     }
 
     return (
-        <div ref={setNodeRef} style={style}>
+        <div ref={setNodeRef} style={style} className="relative">
+            <DropIndicator position={dropPosition} />
             <div className="group">
                 {/* Subtopic Header - Matches reference design */}
                 <div
-                    className={`flex items-center gap-3 px-4 py-3 cursor-pointer transition-colors ${isLight
+                    {...treeRowProps}
+                    className={`flex items-center gap-3 px-4 py-3 cursor-pointer transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-[#6366f1] ${isLight
                             ? 'bg-gray-50 hover:bg-gray-100 border-b border-gray-200'
                             : 'bg-[#161616] hover:bg-[#1a1a1a] border-b border-[#252525]'
-                        }`}
+                        } ${isDropTarget ? 'ring-2 ring-inset ring-[#6366f1]' : ''}`}
                     onClick={handleToggle}
-                    role="button"
+                    role="row"
+                    aria-level={2}
+                    aria-posinset={posInSet}
+                    aria-setsize={setSize}
                     aria-expanded={isExpanded}
-                    tabIndex={0}
                     onKeyDown={(e) => {
                         if (e.key === 'Enter' || e.key === ' ') {
                             e.preventDefault()
@@ -116,31 +131,36 @@ function SubtopicItem({ subtopic, topicId, openModal }) {
                     }}
                 >
                     {/* Drag Handle - visible on hover */}
-                    <button
-                        {...attributes}
-                        {...listeners}
-                        className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors opacity-0 group-hover:opacity-100"
-                        onClick={(e) => e.stopPropagation()}
-                        aria-label="Drag to reorder"
-                    >
-                        <DragHandleIcon className="w-4 h-4" />
-                    </button>
+                    <div role="gridcell" className="flex">
+                        <button
+                            {...attributes}
+                            {...withMoveToEdgeKeys(listeners, toBottom => (
+                                moveSubtopic(subtopic.id, topicId, topicId, toBottom ? undefined : 0)
+                            ))}
+                            className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                            onClick={(e) => e.stopPropagation()}
+                            title="Drag to reorder (Home or End moves to the top or bottom)"
+                            aria-label="Drag to reorder (Home or End moves to the top or bottom)"
+                        >
+                            <DragHandleIcon className="w-4 h-4" />
+                        </button>
+                    </div>
 
                     {/* Subtopic Name */}
-                    <span className={`font-medium text-sm ${isLight ? 'text-gray-700' : 'text-gray-200'}`}>
+                    <span role="gridcell" className={`font-medium text-sm ${isLight ? 'text-gray-700' : 'text-gray-200'}`}>
                         {subtopic.name}
                     </span>
 
                     {/* Progress Count */}
-                    <span className={`text-sm ${isLight ? 'text-gray-500' : 'text-gray-500'} ml-2`}>
+                    <span role="gridcell" className={`text-sm ${isLight ? 'text-gray-500' : 'text-gray-500'} ml-2`}>
                         {progress.solved} / {progress.total}
                     </span>
 
                     {/* Spacer */}
                     <div className="flex-1" />
 
-                    {/* Action Buttons - visible on hover */}
-                    <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {/* Action Buttons - visible on hover or keyboard focus */}
+                    <div role="gridcell" className="flex items-center gap-1 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
                         <button
                             onClick={(e) => {
                                 e.stopPropagation()
@@ -199,4 +219,5 @@ function SubtopicItem({ subtopic, topicId, openModal }) {
     )
 }
 
-export default SubtopicItem
+// Rows re-render only when their own entity changes (see selectTopics)
+export default memo(SubtopicItem)
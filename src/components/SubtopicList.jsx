@@ -1,27 +1,34 @@
 /**
  * SubtopicList Component
- * Renders list of subtopics with drag-and-drop support
+ * Renders list of subtopics with drag-and-drop support; drags are handled
+ * by the sheet-wide DndContext (see useSheetDragAndDrop).
+ * Only rows near the viewport are mounted (see useWindowedList).
  */
 
-import { DndContext, closestCenter } from '@dnd-kit/core'
 import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable'
 import { useStore } from '../store/useStore'
+import { useWindowedList } from '../hooks/useWindowedList'
+import { useDraggingId } from '../hooks/useSheetDragAndDrop'
 import SubtopicItem from './SubtopicItem'
 
+// Collapsed subtopic header height in px, used until rows are measured
+const SUBTOPIC_ROW_HEIGHT = 52
+
 function SubtopicList({ topic, openModal }) {
-    const reorderSubtopics = useStore(state => state.reorderSubtopics)
     const theme = useStore(state => state.theme)
 
-    const handleDragEnd = (event) => {
-        const { active, over } = event
-        if (active && over && active.id !== over.id) {
-            reorderSubtopics(topic.id, active.id, over.id)
-        }
-    }
+    // The dragged row stays mounted even when scrolled out of view
+    const draggingId = useDraggingId()
 
+    const subtopics = topic.subtopics || []
+    const { start, end, containerProps, getRowProps } = useWindowedList({
+        keys: subtopics.map(s => s.id),
+        estimateSize: SUBTOPIC_ROW_HEIGHT,
+        pinnedKey: draggingId,
+    })
     const isLight = theme === 'light'
 
-    if (!topic.subtopics || topic.subtopics.length === 0) {
+    if (subtopics.length === 0) {
         return (
             <div className={`px-6 py-8 text-center text-sm ${isLight ? 'text-gray-500' : 'text-gray-600'}`}>
                 No subtopics yet. Add one to get started.
@@ -30,20 +37,21 @@ function SubtopicList({ topic, openModal }) {
     }
 
     return (
-        <DndContext collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-            <SortableContext items={topic.subtopics.map(s => s.id)} strategy={verticalListSortingStrategy}>
-                <div>
-                    {topic.subtopics.map((subtopic) => (
+        <SortableContext items={subtopics.map(s => s.id)} strategy={verticalListSortingStrategy}>
+            <div {...containerProps} role="rowgroup">
+                {subtopics.slice(start, end).map((subtopic, index) => (
+                    <div key={subtopic.id} {...getRowProps(subtopic.id)}>
                         <SubtopicItem
-                            key={subtopic.id}
                             subtopic={subtopic}
                             topicId={topic.id}
                             openModal={openModal}
+                            posInSet={start + index + 1}
+                            setSize={subtopics.length}
                         />
-                    ))}
-                </div>
-            </SortableContext>
-        </DndContext>
+                    </div>
+                ))}
+            </div>
+        </SortableContext>
     )
 }
 
@@ -0,0 +1,143 @@
+/**
+ * TagBrowser Component
+ * Lists every tag in the sheet with solved/total counts and lets the user
+ * filter by several tags, matching any (OR) or all (AND) of them
+ */
+
+import { useState, useMemo } from 'react'
+import { useStore, selectTopics, calculateTagStats, TAG_MATCH_ANY, TAG_MATCH_ALL, THEMES } from '../store/useStore'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const MATCH_OPTIONS = Object.freeze([
+    { value: TAG_MATCH_ANY, label: 'Any', hint: 'Questions with at least one selected tag' },
+    { value: TAG_MATCH_ALL, label: 'All', hint: 'Questions with every selected tag' },
+])
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function TagBrowser() {
+    const topics = useStore(selectTopics)
+    const filterTags = useStore(state => state.filterTags)
+    const filterTagMatch = useStore(state => state.filterTagMatch)
+    const toggleFilterTag = useStore(state => state.toggleFilterTag)
+    const setFilterTags = useStore(state => state.setFilterTags)
+    const setFilterTagMatch = useStore(state => state.setFilterTagMatch)
+    const theme = useStore(state => state.theme)
+
+    const [tagQuery, setTagQuery] = useState('')
+
+    const tagStats = useMemo(() => calculateTagStats(topics), [topics])
+    const needle = tagQuery.trim().toLowerCase()
+    // Selected tags stay visible while narrowing the list
+    const visibleTags = needle
+        ? tagStats.filter(entry => entry.tag.toLowerCase().includes(needle) || filterTags.includes(entry.tag))
+        : tagStats
+
+    const isLight = theme === THEMES.LIGHT
+    const mutedColor = isLight ? 'text-gray-500' : 'text-gray-400'
+    const inputClass = isLight
+        ? 'bg-gray-50 border-gray-200 text-gray-900 placeholder-gray-400'
+        : 'bg-[#252525] border-[#333] text-white placeholder-gray-500'
+    const chipClass = isLight
+        ? 'bg-gray-50 border-gray-200 text-gray-700 hover:border-gray-300'
+        : 'bg-[#252525] border-[#333] text-gray-300 hover:border-[#444]'
+
+    if (tagStats.length === 0) {
+        return (
+            <p className={`w-full text-sm ${mutedColor}`}>
+                This sheet has no tagged questions.
+            </p>
+        )
+    }
+
+    return (
+        <div className="w-full" aria-label="Filter by tags" role="group">
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <label className="sr-only" htmlFor="tag-browser-search">Find a tag</label>
+                <input
+                    id="tag-browser-search"
+                    type="search"
+                    value={tagQuery}
+                    onChange={(e) => setTagQuery(e.target.value)}
+                    placeholder={`Find among ${tagStats.length} tags`}
+                    className={`flex-1 min-w-[160px] px-3 py-1.5 text-sm border rounded-lg focus:outline-none focus:border-[#6366f1] ${inputClass}`}
+                />
+                <div className={`flex items-center gap-2 text-sm ${mutedColor}`}>
+                    <span id="tag-match-label">Match</span>
+                    <div
+                        role="radiogroup"
+                        aria-labelledby="tag-match-label"
+                        className={`flex rounded-lg border overflow-hidden ${isLight ? 'border-gray-200' : 'border-[#333]'}`}
+                    >
+                        {MATCH_OPTIONS.map(option => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                role="radio"
+                                aria-checked={filterTagMatch === option.value}
+                                onClick={() => setFilterTagMatch(option.value)}
+                                title={option.hint}
+                                className={`px-3 py-1 text-xs font-medium transition-colors ${filterTagMatch === option.value
+                                    ? 'bg-[#6366f1] text-white'
+                                    : isLight ? 'text-gray-600 hover:bg-gray-100' : 'text-gray-400 hover:bg-[#252525]'
+                                    }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {filterTags.length > 0 && (
+                    <button
+                        type="button"
+                        onClick={() => setFilterTags([])}
+                        className="text-sm text-[#6366f1] hover:underline"
+                    >
+                        Clear {filterTags.length} {filterTags.length === 1 ? 'tag' : 'tags'}
+                    </button>
+                )}
+            </div>
+
+            <ul className="flex flex-wrap gap-2 max-h-48 overflow-y-auto">
+                {visibleTags.map(({ tag, solved, total }) => {
+                    const isSelected = filterTags.includes(tag)
+                    return (
+                        <li key={tag}>
+                            <button
+                                type="button"
+                                aria-pressed={isSelected}
+                                onClick={() => toggleFilterTag(tag)}
+                                className={`flex items-center gap-2 px-2.5 py-1 text-xs border rounded-full transition-colors ${isSelected
+                                    ? 'bg-[#6366f1]/15 border-[#6366f1] text-[#6366f1]'
+                                    : chipClass
+                                    }`}
+                                title={`${solved} of ${total} solved`}
+                            >
+                                <span>{tag}</span>
+                                <span className={isSelected ? '' : mutedColor}>
+                                    {solved}/{total}
+                                </span>
+                                <span className={`w-8 h-1 rounded-full overflow-hidden ${isLight ? 'bg-gray-200' : 'bg-[#333]'}`} aria-hidden="true">
+                                    <span
+                                        className="block h-full bg-[#22c55e]"
+                                        style={{ width: `${Math.round((solved / total) * 100)}%` }}
+                                    />
+                                </span>
+                            </button>
+                        </li>
+                    )
+                })}
+                {visibleTags.length === 0 && (
+                    <li className={`text-sm ${mutedColor}`}>No tags match "{tagQuery}"</li>
+                )}
+            </ul>
+        </div>
+    )
+}
+
+export default TagBrowser
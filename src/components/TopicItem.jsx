@@ -3,9 +3,12 @@
  * Displays topic header with progress and expandable subtopic list
  */
 
+import { memo } from 'react'
 import { useSortable } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
-import { useStore, calculateTopicProgress } from '../store/useStore'
+import { useStore, calculateTopicProgress, DROP_POSITIONS } from '../store/useStore'
+import { DRAG_TYPES, useDropPosition, useExpandOnDragHover, withMoveToEdgeKeys } from '../hooks/useSheetDragAndDrop'
+import { useTreeRowProps } from '../hooks/useTreeNavigation'
 import SubtopicList from './SubtopicList'
 
 // ============================================================================
@@ -62,12 +65,18 @@ function TrashIcon({ className }) {
 // Main Component
 // ============================================================================
 
-function TopicItem({ topic, openModal }) {
-    const expandedTopics = useStore(state => state.expandedTopics)
+function TopicItem({ topic, openModal, posInSet, setSize }) {
+    const isExpanded = useStore(state => Boolean(state.expandedTopics[topic.id]))
     const toggleTopicExpansion = useStore(state => state.toggleTopicExpansion)
+    const expandTopic = useStore(state => state.expandTopic)
+    const moveTopic = useStore(state => state.moveTopic)
     const theme = useStore(state => state.theme)
+    const treeRowProps = useTreeRowProps(topic.id)
+
+    // Subtopics (or questions) dragged onto the topic open it, then drop inside
+    const isDropTarget = useDropPosition(topic.id) === DROP_POSITIONS.INSIDE
+    useExpandOnDragHover(isDropTarget && !isExpanded, expandTopic, topic.id)
 
-    const isExpanded = expandedTopics[topic.id]
     const progress = calculateTopicProgress(topic)
 
     const {
@@ -79,7 +88,7 @@ function TopicItem({ topic, openModal }) {
         isDragging,
     } = useSortable({
         id: topic.id,
-        data: { type: 'topic', topic }
+        data: { type: DRAG_TYPES.TOPIC, topic }
     })
 
     const style = {
@@ -100,15 +109,18 @@ function TopicItem({ topic, openModal }) {
             <div className={`rounded-lg border overflow-hidden ${isLight
                 ? 'bg-white border-gray-200'
                 : 'bg-[#1a1a1a] border-[#2a2a2a]'
-                }`}>
+                } ${isDropTarget ? 'ring-2 ring-[#6366f1]' : ''}`}>
                 {/* Topic Header */}
                 <div
-                    className={`group flex items-center gap-3 px-4 py-4 cursor-pointer transition-colors ${isLight ? 'hover:bg-gray-50' : 'hover:bg-[#1f1f1f]'
+                    {...treeRowProps}
+                    className={`group flex items-center gap-3 px-4 py-4 cursor-pointer transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-[#6366f1] ${isLight ? 'hover:bg-gray-50' : 'hover:bg-[#1f1f1f]'
                         }`}
                     onClick={handleToggle}
-                    role="button"
+                    role="row"
+                    aria-level={1}
+                    aria-posinset={posInSet}
+                    aria-setsize={setSize}
                     aria-expanded={isExpanded}
-                    tabIndex={0}
                     onKeyDown={(e) => {
                         if (e.key === 'Enter' || e.key === ' ') {
                             e.preventDefault()
@@ -117,18 +129,21 @@ function TopicItem({ topic, openModal }) {
                     }}
                 >
                     {/* Drag Handle */}
-                    <button
-                        {...attributes}
-                        {...listeners}
-                        className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors"
-                        onClick={(e) => e.stopPropagation()}
-                        aria-label="Drag to reorder"
-                    >
-                        <DragHandleIcon className="w-5 h-5" />
-                    </button>
+                    <div role="gridcell" className="flex">
+                        <button
+                            {...attributes}
+                            {...withMoveToEdgeKeys(listeners, toBottom => moveTopic(topic.id, toBottom ? undefined : 0))}
+                            className="cursor-grab active:cursor-grabbing p-1 text-gray-600 hover:text-gray-400 transition-colors"
+                            onClick={(e) => e.stopPropagation()}
+                            title="Drag to reorder (Home or End moves to the top or bottom)"
+                            aria-label="Drag to reorder (Home or End moves to the top or bottom)"
+                        >
+                            <DragHandleIcon className="w-5 h-5" />
+                        </button>
+                    </div>
 
                     {/* Topic Name and Progress */}
-                    <div className="flex-1 min-w-0">
+                    <div role="gridcell" className="flex-1 min-w-0">
                         <div className="flex items-center gap-3">
                             <h3 className={`font-semibold ${isLight ? 'text-gray-800' : 'text-white'}`}>
                                 {topic.name}
@@ -147,8 +162,8 @@ function TopicItem({ topic, openModal }) {
                         </div>
                     </div>
 
-                    {/* Action Buttons - visible on hover */}
-                    <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {/* Action Buttons - visible on hover or keyboard focus */}
+                    <div role="gridcell" className="flex items-center gap-1 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
                         <button
                             onClick={(e) => {
                                 e.stopPropagation()
@@ -211,4 +226,5 @@ function TopicItem({ topic, openModal }) {
     )
 }
 
-export default TopicItem
+// Rows re-render only when their own entity changes (see selectTopics)
+export default memo(TopicItem)
@@ -1,15 +1,33 @@
 /**
  * TopicList Component
- * Renders the list of topics with empty state
+ * Renders the list of topics with empty state.
+ * Only rows near the viewport are mounted (see useWindowedList).
+ * The list is an ARIA treegrid navigated with the keyboard (see useTreeNavigation).
  */
 
 import { useStore } from '../store/useStore'
+import { useWindowedList } from '../hooks/useWindowedList'
+import { useDraggingId } from '../hooks/useSheetDragAndDrop'
+import { useTreeNavigation } from '../hooks/useTreeNavigation'
 import TopicItem from './TopicItem'
 
+// Collapsed topic header height in px, used until rows are measured
+const TOPIC_ROW_HEIGHT = 74
+
 function TopicList({ topics, openModal }) {
     const theme = useStore(state => state.theme)
     const isLight = theme === 'light'
 
+    // The dragged row stays mounted even when scrolled out of view
+    const draggingId = useDraggingId()
+    const handleTreeKeyDown = useTreeNavigation(openModal)
+
+    const { start, end, containerProps, getRowProps } = useWindowedList({
+        keys: (topics || []).map(t => t.id),
+        estimateSize: TOPIC_ROW_HEIGHT,
+        pinnedKey: draggingId,
+    })
+
     if (!topics || topics.length === 0) {
         return (
             <div className="text-center py-16">
@@ -27,9 +45,22 @@ function TopicList({ topics, openModal }) {
     }
 
     return (
-        <div className="space-y-1">
-            {topics.map((topic) => (
-                <TopicItem key={topic.id} topic={topic} openModal={openModal} />
+        <div
+            {...containerProps}
+            role="treegrid"
+            aria-label="Topics"
+            aria-multiselectable="true"
+            onKeyDown={handleTreeKeyDown}
+        >
+            {topics.slice(start, end).map((topic, index) => (
+                <div key={topic.id} {...getRowProps(topic.id)}>
+                    <TopicItem
+                        topic={topic}
+                        openModal={openModal}
+                        posInSet={start + index + 1}
+                        setSize={topics.length}
+                    />
+                </div>
             ))}
         </div>
     )
@@ -0,0 +1,69 @@
+/**
+ * UndoToast Component
+ * Offers a one-click undo after a destructive change to the topic tree
+ */
+
+import { useEffect } from 'react'
+import { useStore, THEMES } from '../store/useStore'
+import { useShortcutHint } from '../hooks/useKeyboardShortcuts'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TOAST_DURATION_MS = 6000
+
+// ============================================================================
+// Main Component
+// ============================================================================
+
+function UndoToast() {
+    const undoToast = useStore(state => state.undoToast)
+    const undo = useStore(state => state.undo)
+    const dismissUndoToast = useStore(state => state.dismissUndoToast)
+    const theme = useStore(state => state.theme)
+    const undoTitle = useShortcutHint('Undo', 'undo')
+
+    // Each toast gets a fresh timer, keyed by its id
+    const toastId = undoToast?.id
+    useEffect(() => {
+        if (!toastId) return
+
+        const timer = setTimeout(dismissUndoToast, TOAST_DURATION_MS)
+        return () => clearTimeout(timer)
+    }, [toastId, dismissUndoToast])
+
+    if (!undoToast) return null
+
+    const isLight = theme === THEMES.LIGHT
+
+    return (
+        <div
+            className={`fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 pl-4 pr-2 py-2 rounded-xl border shadow-lg animate-fadeIn ${isLight
+                ? 'bg-white border-gray-200 text-gray-800'
+                : 'bg-[#1a1a1a] border-[#333] text-gray-200'
+                }`}
+            role="status"
+        >
+            <span className="text-sm">{undoToast.message}</span>
+            <button
+                type="button"
+                onClick={undo}
+                className="px-3 py-1.5 text-sm font-medium rounded-lg text-[#6366f1] hover:bg-indigo-500/10 transition-colors"
+                title={undoTitle}
+            >
+                Undo
+            </button>
+            <button
+                type="button"
+                onClick={dismissUndoToast}
+                className={`px-2 py-1.5 text-sm rounded-lg transition-colors ${isLight ? 'hover:bg-gray-100' : 'hover:bg-[#252525]'}`}
+                aria-label="Dismiss"
+            >
+                ✕
+            </button>
+        </div>
+    )
+}
+
+export default UndoToast
@@ -0,0 +1,297 @@
+/**
+ * Commands Hook
+ * Builds the command palette's list: every store action a user can trigger,
+ * plus one entry per topic, subtopic and question to jump to it. Commands
+ * read and update the store when run, so the list only rebuilds when the
+ * items it names change.
+ *
+ * A command is { id, title, group, hint?, run }. Ids are stable across
+ * sessions (recent commands are remembered by id) and match the action ids
+ * in SHORTCUT_ACTIONS, which is how the palette shows their key bindings.
+ */
+
+import { useMemo } from 'react'
+import {
+    useStore,
+    selectTopics,
+    selectFilters,
+    filterQuestions,
+    DIFFICULTY_LEVELS,
+    FILTER_ALL,
+    FILTER_SOLVED,
+    FILTER_UNSOLVED,
+    QUESTION_FLAGS,
+    BULK_ACTIONS,
+    VIEWS,
+} from '../store/useStore'
+import { getBackupFileName } from '../store/backup'
+import { isTimerRunning } from '../store/timer'
+import { downloadJson } from '../utils/files'
+import { fuzzyMatch, tokenizeQuery } from '../utils/fuzzy'
+import { revealRow } from './useWindowedList'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const COMMAND_GROUPS = Object.freeze({
+    GENERAL: 'General',
+    VIEW: 'View',
+    FILTER: 'Filter',
+    SELECTION: 'Selection',
+    SHEET: 'Sheet',
+    TIMER: 'Timer',
+    TOPIC: 'Topic',
+    SUBTOPIC: 'Subtopic',
+    QUESTION: 'Question',
+})
+
+const BULK_COMMAND_TITLES = Object.freeze({
+    [BULK_ACTIONS.SOLVE]: 'Mark selected questions solved',
+    [BULK_ACTIONS.UNSOLVE]: 'Mark selected questions unsolved',
+    [BULK_ACTIONS.STAR]: 'Star selected questions',
+    [BULK_ACTIONS.UNSTAR]: 'Unstar selected questions',
+    [BULK_ACTIONS.SET_DIFFICULTY]: 'Change difficulty of selected questions',
+    [BULK_ACTIONS.ADD_TAG]: 'Add tag to selected questions',
+    [BULK_ACTIONS.REMOVE_TAG]: 'Remove tag from selected questions',
+    [BULK_ACTIONS.MOVE]: 'Move selected questions',
+    [BULK_ACTIONS.DELETE]: 'Delete selected questions',
+})
+
+// Most commands listed at once; typing narrows the rest down
+const MAX_RESULTS = 50
+
+// Extra score for recently used commands, scaled by how recent
+const RECENT_BONUS = 0.5
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+const getStore = () => useStore.getState()
+
+function focusSearch() {
+    document.querySelector('[data-search-input]')?.focus()
+}
+
+/**
+ * Opens the topics view with the path to a row expanded, then scrolls to it
+ */
+function revealInTopics(path) {
+    const store = getStore()
+    store.setActiveView(VIEWS.TOPICS)
+    store.expandTopic(path[0])
+    if (path.length > 2) store.expandSubtopic(path[1])
+    revealRow(path)
+}
+
+function revealQuestion(topic, subtopic, question) {
+    // A question hidden by the current search or filters can't be shown
+    const isFilteredOut = filterQuestions(
+        [question],
+        selectFilters(getStore()),
+        { topicName: topic.name, subtopicName: subtopic.name }
+    ).length === 0
+    if (isFilteredOut) getStore().clearFilters()
+    revealInTopics([topic.id, subtopic.id, question.id])
+}
+
+function command(id, title, group, run, extra = {}) {
+    return { id, title, group, run, ...extra }
+}
+
+function buildActionCommands(openModal, { sheetCount, savedViews, selectionCount, activeTimer }) {
+    const commands = [
+        command('focusSearch', 'Focus search bar', COMMAND_GROUPS.GENERAL, focusSearch),
+        command('addTopic', 'Add topic', COMMAND_GROUPS.GENERAL, () => openModal('addTopic')),
+        command('undo', 'Undo last change', COMMAND_GROUPS.GENERAL, () => getStore().undo()),
+        command('redo', 'Redo last undone change', COMMAND_GROUPS.GENERAL, () => getStore().redo()),
+        command('toggleTheme', 'Toggle dark/light theme', COMMAND_GROUPS.GENERAL, () => getStore().toggleTheme()),
+        command('showShortcuts', 'Edit keyboard shortcuts', COMMAND_GROUPS.GENERAL, () => openModal('shortcuts')),
+
+        command('expandAll', 'Expand all topics', COMMAND_GROUPS.VIEW, () => getStore().expandAllTopics()),
+        command('collapseAll', 'Collapse all topics', COMMAND_GROUPS.VIEW, () => getStore().collapseAllTopics()),
+        command('toggleStats', 'Toggle statistics panel', COMMAND_GROUPS.VIEW, () => getStore().toggleStats()),
+        command('showTopics', 'Show topics', COMMAND_GROUPS.VIEW, () => getStore().setActiveView(VIEWS.TOPICS)),
+        command('showReview', 'Show revision queue', COMMAND_GROUPS.VIEW, () => getStore().setActiveView(VIEWS.REVIEW)),
+        command('showTable', 'Show all questions table', COMMAND_GROUPS.VIEW, () => getStore().setActiveView(VIEWS.TABLE)),
+
+        ...Object.values(DIFFICULTY_LEVELS).map(level => command(
+            `filterDifficulty:${level}`,
+            `Show only ${level} questions`,
+            COMMAND_GROUPS.FILTER,
+            () => getStore().setFilterDifficulty(level)
+        )),
+        command('filterDifficulty:all', 'Show all difficulties', COMMAND_GROUPS.FILTER, () => getStore().setFilterDifficulty(FILTER_ALL)),
+        command('filterStatus:solved', 'Show only solved questions', COMMAND_GROUPS.FILTER, () => getStore().setFilterStatus(FILTER_SOLVED)),
+        command('filterStatus:unsolved', 'Show only unsolved questions', COMMAND_GROUPS.FILTER, () => getStore().setFilterStatus(FILTER_UNSOLVED)),
+        command('filterStatus:all', 'Show solved and unsolved questions', COMMAND_GROUPS.FILTER, () => getStore().setFilterStatus(FILTER_ALL)),
+        command('filterStarred', 'Toggle starred questions only', COMMAND_GROUPS.FILTER, () => {
+            const store = getStore()
+            store.setFilterFlag(QUESTION_FLAGS.STARRED, store.filterFlags[QUESTION_FLAGS.STARRED] === true ? null : true)
+        }),
+        command('clearFilters', 'Clear search and filters', COMMAND_GROUPS.FILTER, () => getStore().clearFilters()),
+        ...savedViews.map(view => command(
+            `savedView:${view.id}`,
+            `Apply saved view: ${view.name}`,
+            COMMAND_GROUPS.FILTER,
+            () => getStore().applyView(view.id)
+        )),
+
+        command('selectAll', 'Select questions matching the filters', COMMAND_GROUPS.SELECTION, () => getStore().selectVisibleQuestions()),
+    ]
+
+    if (selectionCount > 0) {
+        commands.push(
+            command('clearSelection', 'Clear selection', COMMAND_GROUPS.SELECTION, () => getStore().clearQuestionSelection()),
+            ...Object.values(BULK_ACTIONS).map(action => command(
+                `bulk:${action}`,
+                BULK_COMMAND_TITLES[action],
+                COMMAND_GROUPS.SELECTION,
+                () => openModal('bulkAction', { action, count: selectionCount }),
+                { hint: `${selectionCount} selected` }
+            ))
+        )
+    }
+
+    commands.push(
+        command('addSheet', 'New sheet', COMMAND_GROUPS.SHEET, () => openModal('addSheet')),
+        command('importSheet', 'Import sheet JSON', COMMAND_GROUPS.SHEET, () => openModal('importSheet')),
+        command('exportBackup', 'Export backup', COMMAND_GROUPS.SHEET, () => {
+            const backup = getStore().exportBackup()
+            downloadJson(backup, getBackupFileName(backup))
+        }),
+        command('restoreBackup', 'Restore backup', COMMAND_GROUPS.SHEET, () => openModal('restoreBackup')),
+        command('resetProgress', 'Reset all progress', COMMAND_GROUPS.SHEET, () => openModal('resetProgress')),
+    )
+
+    if (sheetCount > 1) {
+        commands.push(command('deleteSheet', 'Delete current sheet', COMMAND_GROUPS.SHEET, () => {
+            const { activeSheetId, sheet } = getStore()
+            openModal('deleteSheet', { sheet: { id: activeSheetId, name: sheet?.name || 'Question Sheet' } })
+        }))
+    }
+
+    if (activeTimer) {
+        commands.push(
+            isTimerRunning(activeTimer)
+                ? command('pauseTimer', 'Pause practice timer', COMMAND_GROUPS.TIMER, () => getStore().pauseTimer())
+                : command('resumeTimer', 'Resume practice timer', COMMAND_GROUPS.TIMER, () => getStore().startTimer(activeTimer.questionId)),
+            command('stopTimer', 'Stop practice timer and save session', COMMAND_GROUPS.TIMER, () => getStore().stopTimer())
+        )
+    }
+
+    return commands
+}
+
+function buildSheetCommands(sheets, activeSheetId) {
+    return Object.entries(sheets)
+        .filter(([id]) => id !== activeSheetId)
+        .map(([id, workspace]) => command(
+            `sheet:${id}`,
+            `Switch to sheet: ${workspace.sheet?.name || 'Question Sheet'}`,
+            COMMAND_GROUPS.SHEET,
+            () => getStore().switchSheet(id)
+        ))
+}
+
+function buildItemCommands(topics, openModal) {
+    const commands = []
+    for (const topic of topics) {
+        commands.push(
+            command(`topic:${topic.id}`, topic.name, COMMAND_GROUPS.TOPIC, () => revealInTopics([topic.id])),
+            command(`addSubtopic:${topic.id}`, `Add subtopic to ${topic.name}`, COMMAND_GROUPS.TOPIC, () => (
+                openModal('addSubtopic', { topicId: topic.id })
+            ))
+        )
+
+        for (const subtopic of topic.subtopics) {
+            commands.push(
+                command(`subtopic:${subtopic.id}`, subtopic.name, COMMAND_GROUPS.SUBTOPIC, () => (
+                    revealInTopics([topic.id, subtopic.id])
+                ), { hint: topic.name }),
+                command(`addQuestion:${subtopic.id}`, `Add question to ${subtopic.name}`, COMMAND_GROUPS.SUBTOPIC, () => (
+                    openModal('addQuestion', { topicId: topic.id, subtopicId: subtopic.id })
+                ), { hint: topic.name })
+            )
+        }
+    }
+
+    // Questions last, so topic and subtopic names win ties
+    for (const topic of topics) {
+        for (const subtopic of topic.subtopics) {
+            for (const question of subtopic.questions) {
+                commands.push(command(`question:${question.id}`, question.title, COMMAND_GROUPS.QUESTION, () => (
+                    revealQuestion(topic, subtopic, question)
+                ), { hint: `${topic.name} › ${subtopic.name}` }))
+            }
+        }
+    }
+    return commands
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Orders commands for a palette query. Every term must fuzzy-match the
+ * title, group or hint; recently used commands rank higher. An empty query
+ * lists recent commands first, then the rest in their usual order.
+ * Returns [{ command, indices }] where `indices` are matched title characters.
+ */
+export function rankCommands(commands, query, recentIds = []) {
+    const terms = tokenizeQuery(query)
+    const recency = (id) => {
+        const index = recentIds.indexOf(id)
+        return index === -1 ? 0 : 1 - index / recentIds.length
+    }
+
+    if (terms.length === 0) {
+        const byId = new Map(commands.map(cmd => [cmd.id, cmd]))
+        const recent = recentIds.map(id => byId.get(id)).filter(Boolean)
+        const rest = commands.filter(cmd => !recentIds.includes(cmd.id))
+        return [...recent, ...rest].slice(0, MAX_RESULTS).map(cmd => ({ command: cmd, indices: [] }))
+    }
+
+    const results = []
+    commands.forEach((cmd, order) => {
+        let score = 0
+        const indices = []
+        for (const term of terms) {
+            const titleMatch = fuzzyMatch(term, cmd.title)
+            const otherMatch = fuzzyMatch(term, cmd.group) || fuzzyMatch(term, cmd.hint)
+            if (!titleMatch && !otherMatch) return
+            // Matches on the title count for more than group or hint matches
+            score += titleMatch ? titleMatch.score : otherMatch.score / 2
+            if (titleMatch) indices.push(...titleMatch.indices)
+        }
+        results.push({ command: cmd, indices, order, score: score / terms.length + RECENT_BONUS * recency(cmd.id) })
+    })
+
+    return results
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, MAX_RESULTS)
+        .map(({ command: cmd, indices }) => ({ command: cmd, indices }))
+}
+
+/**
+ * Every command available right now
+ * @param {Function} openModal - Opens a dialog by modal type and data
+ */
+export function useCommands(openModal) {
+    const topics = useStore(selectTopics)
+    const sheets = useStore(state => state.sheets)
+    const activeSheetId = useStore(state => state.activeSheetId)
+    const savedViews = useStore(state => state.savedViews)
+    const selectionCount = useStore(state => (
+        Object.keys(state.selectedQuestionIds).filter(id => state.questionsById[id]).length
+    ))
+    const activeTimer = useStore(state => state.activeTimer)
+
+    return useMemo(() => [
+        ...buildActionCommands(openModal, { sheetCount: Object.keys(sheets).length, savedViews, selectionCount, activeTimer }),
+        ...buildSheetCommands(sheets, activeSheetId),
+        ...buildItemCommands(topics, openModal),
+    ], [openModal, topics, sheets, activeSheetId, savedViews, selectionCount, activeTimer])
+}
@@ -0,0 +1,74 @@
+/**
+ * File Drop Hook
+ * Accepts files dragged from the desktop anywhere onto the page
+ */
+
+import { useState, useEffect, useRef } from 'react'
+
+/**
+ * Only react to drags that carry files, not text or in-page drags
+ */
+function hasFiles(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files')
+}
+
+/**
+ * Page-wide file drop hook
+ * @param {Function} onDrop - Called with the first dropped File
+ * @returns {boolean} Whether a file is currently dragged over the page
+ */
+export function useFileDrop(onDrop) {
+    const [isDragging, setIsDragging] = useState(false)
+
+    // dragenter/dragleave fire for every child element, so track nesting depth
+    const dragDepth = useRef(0)
+
+    useEffect(() => {
+        const handleDragEnter = (event) => {
+            if (!hasFiles(event)) return
+            event.preventDefault()
+            dragDepth.current += 1
+            setIsDragging(true)
+        }
+
+        const handleDragOver = (event) => {
+            if (!hasFiles(event)) return
+            event.preventDefault()
+            event.dataTransfer.dropEffect = 'copy'
+        }
+
+        const handleDragLeave = (event) => {
+            if (!hasFiles(event)) return
+            dragDepth.current = Math.max(0, dragDepth.current - 1)
+            if (dragDepth.current === 0) {
+                setIsDragging(false)
+            }
+        }
+
+        const handleDrop = (event) => {
+            if (!hasFiles(event)) return
+            event.preventDefault()
+            dragDepth.current = 0
+            setIsDragging(false)
+
+            const file = event.dataTransfer.files?.[0]
+            if (file) {
+                onDrop(file)
+            }
+        }
+
+        window.addEventListener('dragenter', handleDragEnter)
+        window.addEventListener('dragover', handleDragOver)
+        window.addEventListener('dragleave', handleDragLeave)
+        window.addEventListener('drop', handleDrop)
+
+        return () => {
+            window.removeEventListener('dragenter', handleDragEnter)
+            window.removeEventListener('dragover', handleDragOver)
+            window.removeEventListener('dragleave', handleDragLeave)
+            window.removeEventListener('drop', handleDrop)
+        }
+    }, [onDrop])
+
+    return isDragging
+}
@@ -1,36 +1,40 @@
 /**
  * Keyboard Shortcuts Hook
- * Provides global keyboard shortcuts for power-user navigation
+ * Provides global keyboard shortcuts for power-user navigation. Which keys
+ * trigger which action comes from the shortcut registry (store/shortcuts.js)
+ * merged with the user's own bindings, so bindings can be changed at runtime.
  */
 
-import { useEffect, useCallback } from 'react'
-import { useStore } from '../store/useStore'
+import { useEffect, useCallback, useRef } from 'react'
+import { useStore, VIEWS } from '../store/useStore'
+import {
+    CHORD_TIMEOUT_MS,
+    eventToCombo,
+    getEffectiveBindings,
+    matchKeySequence,
+    parseBinding,
+} from '../store/shortcuts'
 
 // ============================================================================
 // Constants
 // ============================================================================
 
-/**
- * Keyboard shortcuts configuration for help display
- * Keys array uses platform-agnostic naming (Mod = Ctrl/Cmd)
- */
-export const KEYBOARD_SHORTCUTS = Object.freeze([
-    { keys: ['Mod', 'K'], description: 'Focus search bar' },
-    { keys: ['Mod', 'N'], description: 'Add new topic' },
-    { keys: ['Mod', 'E'], description: 'Expand all topics' },
-    { keys: ['Mod', 'W'], description: 'Collapse all topics' },
-    { keys: ['T'], description: 'Toggle dark/light theme' },
-    { keys: ['S'], description: 'Toggle statistics panel' },
-    { keys: ['?'], description: 'Show keyboard shortcuts' },
-    { keys: ['Esc'], description: 'Close modal' },
-])
-
 /**
  * Detect if running on Mac for modifier key display
  */
 export const IS_MAC = typeof navigator !== 'undefined' &&
     /Mac|iPod|iPhone|iPad/.test(navigator.platform)
 
+// Display names for keys whose binding name isn't what users expect to read
+const KEY_LABELS = Object.freeze({
+    Escape: 'Esc',
+    Plus: '+',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+})
+
 /**
  * Get the modifier key label for the current platform
  */
@@ -39,10 +43,20 @@ export function getModifierKey() {
 }
 
 /**
- * Format keyboard shortcut for display
+ * Format a binding for display: one list of key labels per combo,
+ * e.g. 'Mod+K' → [['Ctrl', 'K']] and 'G T' → [['G'], ['T']]
  */
-export function formatShortcutKeys(keys) {
-    return keys.map(key => key === 'Mod' ? getModifierKey() : key)
+export function formatBinding(binding) {
+    return parseBinding(binding).map(keys => keys.map(key => (
+        key === 'Mod' ? getModifierKey() : KEY_LABELS[key] || key
+    )))
+}
+
+/**
+ * Binding as one line of text for titles and hints, e.g. 'Ctrl+K' or 'G T'
+ */
+export function formatBindingLabel(binding) {
+    return formatBinding(binding).map(keys => keys.join('+')).join(' ')
 }
 
 // ============================================================================
@@ -54,6 +68,11 @@ export function formatShortcutKeys(keys) {
  */
 const INTERACTIVE_ELEMENTS = ['INPUT', 'TEXTAREA', 'SELECT']
 
+/**
+ * Input types that take no typing, so shortcuts still work while focused
+ */
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio']
+
 /**
  * Check if the current target should block keyboard shortcuts
  */
@@ -61,7 +80,7 @@ function shouldBlockShortcut(target) {
     if (!target) return false
 
     // Check tag name
-    if (INTERACTIVE_ELEMENTS.includes(target.tagName)) {
+    if (INTERACTIVE_ELEMENTS.includes(target.tagName) && !NON_TEXT_INPUT_TYPES.includes(target.type)) {
         return true
     }
 
@@ -78,92 +97,148 @@ function shouldBlockShortcut(target) {
     return false
 }
 
+function toggleView(view) {
+    const { activeView, setActiveView } = useStore.getState()
+    setActiveView(activeView === view ? VIEWS.TOPICS : view)
+}
+
+/**
+ * Runs a shortcut action. Returns false when the action doesn't apply right
+ * now, leaving the key to the browser.
+ */
+function runShortcutAction(actionId, openModal) {
+    const store = useStore.getState()
+
+    switch (actionId) {
+        case 'commandPalette':
+            store.toggleCommandPalette()
+            return true
+        case 'focusSearch':
+            document.querySelector('[data-search-input]')?.focus()
+            return true
+        case 'addTopic':
+            openModal('addTopic')
+            return true
+        case 'expandAll':
+            store.expandAllTopics()
+            return true
+        case 'collapseAll':
+            store.collapseAllTopics()
+            return true
+        case 'undo':
+            store.undo()
+            return true
+        case 'redo':
+            store.redo()
+            return true
+        case 'selectAll':
+            // Only the topic list has selectable rows
+            if (store.activeView !== VIEWS.TOPICS) return false
+            store.selectVisibleQuestions()
+            return true
+        case 'clearSelection':
+            // An open modal handles Escape itself
+            if (document.querySelector('[aria-modal="true"]')) return false
+            if (Object.keys(store.selectedQuestionIds).length === 0) return false
+            store.clearQuestionSelection()
+            return true
+        case 'showTopics':
+            store.setActiveView(VIEWS.TOPICS)
+            return true
+        case 'showReview':
+            store.setActiveView(VIEWS.REVIEW)
+            return true
+        case 'showTable':
+            store.setActiveView(VIEWS.TABLE)
+            return true
+        case 'toggleReview':
+            toggleView(VIEWS.REVIEW)
+            return true
+        case 'toggleTable':
+            toggleView(VIEWS.TABLE)
+            return true
+        case 'toggleTheme':
+            store.toggleTheme()
+            return true
+        case 'toggleStats':
+            store.toggleStats()
+            return true
+        case 'showShortcuts':
+            openModal('shortcuts')
+            return true
+        default:
+            return false
+    }
+}
+
 /**
  * Keyboard shortcuts hook
  * @param {Function} openModal - Function to open modal with type and data
  */
 export function useKeyboardShortcuts(openModal) {
-    const expandAllTopics = useStore(state => state.expandAllTopics)
-    const collapseAllTopics = useStore(state => state.collapseAllTopics)
-    const toggleTheme = useStore(state => state.toggleTheme)
-    const toggleStats = useStore(state => state.toggleStats)
+    // Keys of a chord in progress: { sequence, timeoutId }
+    const pendingChord = useRef(null)
 
-    const handleKeyDown = useCallback((event) => {
-        // Don't trigger shortcuts when typing in interactive elements
-        if (shouldBlockShortcut(event.target)) {
-            return
-        }
+    const clearPendingChord = useCallback(() => {
+        clearTimeout(pendingChord.current?.timeoutId)
+        pendingChord.current = null
+    }, [])
 
-        const key = event.key.toLowerCase()
-        const hasModifier = event.ctrlKey || event.metaKey
-
-        // Modifier + key combinations
-        if (hasModifier) {
-            switch (key) {
-                case 'k': {
-                    // Mod+K: Focus search
-                    event.preventDefault()
-                    const searchInput = document.querySelector('[data-search-input]')
-                    searchInput?.focus()
-                    break
-                }
-                case 'n': {
-                    // Mod+N: Add new topic
-                    event.preventDefault()
-                    openModal('addTopic')
-                    break
-                }
-                case 'e': {
-                    // Mod+E: Expand all
-                    event.preventDefault()
-                    expandAllTopics()
-                    break
-                }
-                case 'w': {
-                    // Mod+W: Collapse all (prevent browser tab close)
-                    event.preventDefault()
-                    collapseAllTopics()
-                    break
-                }
-                default:
-                    // No matching shortcut
-                    break
+    const handleKeyDown = useCallback((event) => {
+        const combo = eventToCombo(event)
+        if (!combo) return
+
+        // While typing in a field only actions marked allowInInputs fire
+        const isBlocked = shouldBlockShortcut(event.target)
+        const isAllowed = action => !isBlocked || action.allowInInputs === true
+        const bindingsById = getEffectiveBindings(useStore.getState().shortcutBindings)
+
+        // Continue a chord, or start over from this key if it doesn't continue one
+        const pending = pendingChord.current?.sequence
+        clearPendingChord()
+        const continued = pending && matchKeySequence(bindingsById, `${pending} ${combo}`, isAllowed)
+        const sequence = continued ? `${pending} ${combo}` : combo
+        const match = continued || matchKeySequence(bindingsById, combo, isAllowed)
+        if (!match) return
+
+        if (match.isPrefix) {
+            event.preventDefault()
+            pendingChord.current = {
+                sequence,
+                timeoutId: setTimeout(clearPendingChord, CHORD_TIMEOUT_MS),
             }
             return
         }
 
-        // Single key shortcuts (no modifier)
-        switch (event.key) {
-            case '?': {
-                event.preventDefault()
-                openModal('shortcuts')
-                break
-            }
-            case 't':
-            case 'T': {
-                // Toggle theme (works with both cases)
-                event.preventDefault()
-                toggleTheme()
-                break
-            }
-            case 's':
-            case 'S': {
-                // Toggle statistics panel
-                event.preventDefault()
-                toggleStats()
-                break
-            }
-            default:
-                // No matching shortcut
-                break
+        if (runShortcutAction(match.actionId, openModal)) {
+            event.preventDefault()
         }
-    }, [expandAllTopics, collapseAllTopics, toggleTheme, toggleStats, openModal])
+    }, [clearPendingChord, openModal])
 
     useEffect(() => {
         document.addEventListener('keydown', handleKeyDown)
 
         return () => {
             document.removeEventListener('keydown', handleKeyDown)
+            clearPendingChord()
         }
-    }, [handleKeyDown])
+    }, [handleKeyDown, clearPendingChord])
+}
+
+/**
+ * Display label of the first key binding of a shortcut action, or null
+ * when the user has left it unbound
+ */
+export function useShortcutLabel(actionId) {
+    const binding = useStore(state => getEffectiveBindings(state.shortcutBindings)[actionId]?.[0])
+    return binding ? formatBindingLabel(binding) : null
+}
+
+/**
+ * `text` followed by the action's key binding in parentheses, for button
+ * titles and placeholders, e.g. 'Add Topic (Ctrl+N)'
+ */
+export function useShortcutHint(text, actionId) {
+    const label = useShortcutLabel(actionId)
+    return label ? `${text} (${label})` : text
 }
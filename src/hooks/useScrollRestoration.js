@@ -0,0 +1,91 @@
+/**
+ * Scroll Restoration Hook
+ * Remembers the page scroll position per view for the browser session and
+ * puts it back after a reload or when returning to a view. The browser's own
+ * restoration runs before the sheet has loaded, so it is turned off.
+ */
+
+import { useEffect, useRef } from 'react'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const STORAGE_PREFIX = 'scroll-position:'
+
+// Minimum time between writes while scrolling, in milliseconds
+const SAVE_INTERVAL_MS = 200
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function readPosition(viewKey) {
+    try {
+        const value = Number(sessionStorage.getItem(STORAGE_PREFIX + viewKey))
+        return Number.isFinite(value) ? value : 0
+    } catch {
+        return 0
+    }
+}
+
+function writePosition(viewKey, y) {
+    try {
+        sessionStorage.setItem(STORAGE_PREFIX + viewKey, String(Math.round(y)))
+    } catch {
+        // Storage may be unavailable (private mode); positions just aren't kept
+    }
+}
+
+// ============================================================================
+// Hook Implementation
+// ============================================================================
+
+/**
+ * @param {boolean} enabled - False until the content to scroll through has rendered
+ * @param {string} viewKey - Identifies the current view; each keeps its own position
+ */
+export function useScrollRestoration(enabled, viewKey) {
+    const viewKeyRef = useRef(null)
+
+    useEffect(() => {
+        if (!('scrollRestoration' in history)) return
+        const previous = history.scrollRestoration
+        history.scrollRestoration = 'manual'
+        return () => {
+            history.scrollRestoration = previous
+        }
+    }, [])
+
+    // Restore once content is ready and whenever the view changes
+    useEffect(() => {
+        if (!enabled) return
+        viewKeyRef.current = viewKey
+        const y = readPosition(viewKey)
+        // Wait a frame so windowed lists have laid out their placeholders
+        const frame = requestAnimationFrame(() => window.scrollTo(0, y))
+        return () => cancelAnimationFrame(frame)
+    }, [enabled, viewKey])
+
+    // Save while scrolling (throttled) and when the page is hidden
+    useEffect(() => {
+        if (!enabled) return
+
+        let timeoutId = null
+        const save = () => {
+            timeoutId = null
+            if (viewKeyRef.current) writePosition(viewKeyRef.current, window.scrollY)
+        }
+        const handleScroll = () => {
+            if (timeoutId === null) timeoutId = setTimeout(save, SAVE_INTERVAL_MS)
+        }
+
+        window.addEventListener('scroll', handleScroll, { passive: true })
+        window.addEventListener('pagehide', save)
+        return () => {
+            clearTimeout(timeoutId)
+            window.removeEventListener('scroll', handleScroll)
+            window.removeEventListener('pagehide', save)
+        }
+    }, [enabled])
+}
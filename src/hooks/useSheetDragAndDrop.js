@@ -0,0 +1,244 @@
+/**
+ * Sheet Drag and Drop Hook
+ * One DndContext handles topics, subtopics and questions, so questions can
+ * move between subtopics and subtopics between topics. Each sortable item
+ * carries { type, topicId?, subtopicId? } in its dnd-kit `data`.
+ *
+ * - Topics reorder among themselves
+ * - Subtopics and questions reorder within their parent, or drop before or
+ *   after an item in another parent, or onto a parent header to be appended.
+ *   Positions are taken relative to the visible neighbours, so reordering a
+ *   filtered or search-ranked list lands next to the item dropped on.
+ * - The item a drop would land on is published as the UI store's `dropIndicator`
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { closestCenter, pointerWithin, useDndMonitor } from '@dnd-kit/core'
+import { useStore, DROP_POSITIONS } from '../store/useStore'
+import { useUiStore } from '../store/useUiStore'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const DRAG_TYPES = Object.freeze({
+    TOPIC: 'topic',
+    SUBTOPIC: 'subtopic',
+    QUESTION: 'question',
+})
+
+// How long a drag must hover a collapsed topic or subtopic before it opens
+const AUTO_EXPAND_DELAY_MS = 600
+
+// Containers each type can be dropped into, nearest first. Hovering a
+// collapsed container expands it; only the nearest one accepts the drop.
+const CONTAINER_TYPES = Object.freeze({
+    [DRAG_TYPES.TOPIC]: [],
+    [DRAG_TYPES.SUBTOPIC]: [DRAG_TYPES.TOPIC],
+    [DRAG_TYPES.QUESTION]: [DRAG_TYPES.SUBTOPIC, DRAG_TYPES.TOPIC],
+})
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function getParentId(data) {
+    if (data?.type === DRAG_TYPES.QUESTION) return data.subtopicId
+    if (data?.type === DRAG_TYPES.SUBTOPIC) return data.topicId
+    return null
+}
+
+/**
+ * Prefers items of the dragged type under the pointer, then containers
+ * under the pointer, then the nearest item of the same type (keyboard drags)
+ */
+function detectSheetCollisions(args) {
+    const type = args.active.data.current?.type
+    const ofType = (t) => args.droppableContainers.filter(container => container.data.current?.type === t)
+    const siblings = ofType(type)
+
+    if (args.pointerCoordinates) {
+        for (const candidates of [siblings, ...(CONTAINER_TYPES[type] || []).map(ofType)]) {
+            const hits = pointerWithin({ ...args, droppableContainers: candidates })
+            if (hits.length > 0) return hits
+        }
+    }
+
+    return closestCenter({ ...args, droppableContainers: siblings })
+}
+
+/**
+ * Describes where the active item would land over `over`:
+ * { id, type, position } with position null for a reorder within the same parent
+ */
+function resolveDropTarget(active, over) {
+    const activeData = active?.data.current
+    const overData = over?.data.current
+    if (!activeData || !overData || active.id === over.id) return null
+
+    if (overData.type !== activeData.type) {
+        return CONTAINER_TYPES[activeData.type]?.includes(overData.type)
+            ? { id: over.id, type: overData.type, position: DROP_POSITIONS.INSIDE }
+            : null
+    }
+
+    // Within one parent the sortable animation already shows the new spot
+    if (activeData.type === DRAG_TYPES.TOPIC || getParentId(activeData) === getParentId(overData)) {
+        return { id: over.id, type: overData.type, position: null }
+    }
+
+    const dragged = active.rect.current.translated
+    const isBelow = dragged && dragged.top + dragged.height / 2 > over.rect.top + over.rect.height / 2
+    return { id: over.id, type: overData.type, position: isBelow ? DROP_POSITIONS.AFTER : DROP_POSITIONS.BEFORE }
+}
+
+/**
+ * Index in the full sibling list (without the moved item) that puts it
+ * before or after `overId`; undefined appends
+ */
+function getInsertIndex(siblingIds, activeId, overId, position) {
+    if (position === DROP_POSITIONS.INSIDE) return undefined
+    const index = siblingIds.filter(id => id !== activeId).indexOf(overId)
+    return index + (position === DROP_POSITIONS.AFTER ? 1 : 0)
+}
+
+/**
+ * For a reorder within one list: moving down the visible list lands after the
+ * item dropped on, moving up lands before it. Sortable indices are positions
+ * in the rendered (possibly filtered) list, not the stored one.
+ */
+function getSortablePosition(active, over) {
+    const from = active.data.current.sortable?.index ?? -1
+    const to = over.data.current.sortable?.index ?? -1
+    return to > from ? DROP_POSITIONS.AFTER : DROP_POSITIONS.BEFORE
+}
+
+/**
+ * Applies a finished drag to the store
+ */
+function applyDrop(active, over, target) {
+    const store = useStore.getState()
+    const data = active.data.current
+    const overData = over.data.current
+
+    if (data.type === DRAG_TYPES.TOPIC) {
+        store.reorderTopics(active.id, over.id)
+        return
+    }
+
+    const position = target.position ?? getSortablePosition(active, over)
+    const isAppend = position === DROP_POSITIONS.INSIDE
+    // Only the nearest container type accepts drops (a question needs a subtopic)
+    if (isAppend && target.type !== CONTAINER_TYPES[data.type][0]) return
+
+    if (data.type === DRAG_TYPES.QUESTION) {
+        const toSubtopicId = isAppend ? over.id : overData.subtopicId
+        const siblingIds = store.subtopicsById[toSubtopicId]?.questionIds || []
+        store.moveQuestion(active.id, data.subtopicId, toSubtopicId, getInsertIndex(siblingIds, active.id, over.id, position))
+    } else {
+        const toTopicId = isAppend ? over.id : overData.topicId
+        const siblingIds = store.topicsById[toTopicId]?.subtopicIds || []
+        store.moveSubtopic(active.id, data.topicId, toTopicId, getInsertIndex(siblingIds, active.id, over.id, position))
+    }
+}
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+/**
+ * @returns {{ activeItem, dndProps }} `activeItem` is the dragged item's data
+ *   (for a DragOverlay preview); spread `dndProps` on the DndContext
+ */
+export function useSheetDragAndDrop() {
+    const setDropIndicator = useUiStore(state => state.setDropIndicator)
+    const [activeItem, setActiveItem] = useState(null)
+
+    const updateIndicator = useCallback(({ active, over }) => {
+        const target = resolveDropTarget(active, over)
+        setDropIndicator(target?.position ? { id: target.id, position: target.position } : null)
+    }, [setDropIndicator])
+
+    const handleDragStart = useCallback(({ active }) => {
+        setActiveItem({ id: active.id, ...active.data.current })
+    }, [])
+
+    const handleDragEnd = useCallback(({ active, over }) => {
+        setActiveItem(null)
+        setDropIndicator(null)
+
+        const target = resolveDropTarget(active, over)
+        if (target) applyDrop(active, over, target)
+    }, [setDropIndicator])
+
+    const handleDragCancel = useCallback(() => {
+        setActiveItem(null)
+        setDropIndicator(null)
+    }, [setDropIndicator])
+
+    return {
+        activeItem,
+        dndProps: {
+            collisionDetection: detectSheetCollisions,
+            onDragStart: handleDragStart,
+            onDragOver: updateIndicator,
+            onDragMove: updateIndicator,
+            onDragEnd: handleDragEnd,
+            onDragCancel: handleDragCancel,
+        },
+    }
+}
+
+/**
+ * Id of the item being dragged in the surrounding DndContext, or null.
+ * Windowed lists pin it so it stays mounted while scrolled out of view.
+ */
+export function useDraggingId() {
+    const [draggingId, setDraggingId] = useState(null)
+    useDndMonitor({
+        onDragStart: ({ active }) => setDraggingId(active.id),
+        onDragEnd: () => setDraggingId(null),
+        onDragCancel: () => setDraggingId(null),
+    })
+    return draggingId
+}
+
+/**
+ * DROP_POSITIONS value if the current drag would land on item `id`, else null
+ */
+export function useDropPosition(id) {
+    return useUiStore(state => (state.dropIndicator?.id === id ? state.dropIndicator.position : null))
+}
+
+/**
+ * Calls expand(id) once a drag has hovered a collapsed container for a moment,
+ * so items can be dropped into it. `expand` should be a stable store action.
+ */
+export function useExpandOnDragHover(shouldExpand, expand, id) {
+    useEffect(() => {
+        if (!shouldExpand) return
+        const timeoutId = setTimeout(() => expand(id), AUTO_EXPAND_DELAY_MS)
+        return () => clearTimeout(timeoutId)
+    }, [shouldExpand, expand, id])
+}
+
+/**
+ * Adds Home and End to a drag handle's keyboard listeners, calling
+ * moveToEdge(toBottom) to move the item to the top or bottom of its list
+ * without dragging. The handle is scrolled back into view afterwards.
+ */
+export function withMoveToEdgeKeys(listeners, moveToEdge) {
+    return {
+        ...listeners,
+        onKeyDown: (event) => {
+            if (event.key !== 'Home' && event.key !== 'End') {
+                listeners?.onKeyDown?.(event)
+                return
+            }
+            event.preventDefault()
+            moveToEdge(event.key === 'End')
+            const handle = event.currentTarget
+            requestAnimationFrame(() => handle.scrollIntoView({ block: 'nearest' }))
+        },
+    }
+}
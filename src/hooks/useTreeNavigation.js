@@ -0,0 +1,211 @@
+/**
+ * Tree Navigation Hook
+ * Roving focus over the topic list, which is an ARIA treegrid of topic,
+ * subtopic and question rows. Only the row under the cursor is in the tab
+ * order; vim-style keys (or the arrow keys) move the cursor, and letter keys
+ * act on the question it is on. The cursor is kept by id in the UI store
+ * (`treeCursorId`), so it survives its row being scrolled out of the window.
+ */
+
+import { useCallback } from 'react'
+import { useStore, selectVisibleTreeRows, selectTreeCursorId } from '../store/useStore'
+import { useUiStore } from '../store/useUiStore'
+import { revealRow } from './useWindowedList'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TREE_COMMANDS = Object.freeze({
+    NEXT: 'next',
+    PREVIOUS: 'previous',
+    FIRST: 'first',
+    LAST: 'last',
+    COLLAPSE: 'collapse',
+    EXPAND: 'expand',
+    TOGGLE_SOLVED: 'toggleSolved',
+    TOGGLE_STAR: 'toggleStar',
+    OPEN_PROBLEM: 'openProblem',
+    OPEN_VIDEO: 'openVideo',
+    EDIT_NOTES: 'editNotes',
+})
+
+/**
+ * Keys handled while a row has focus. Letters are matched in lower case.
+ */
+const TREE_KEYS = Object.freeze({
+    j: TREE_COMMANDS.NEXT,
+    ArrowDown: TREE_COMMANDS.NEXT,
+    k: TREE_COMMANDS.PREVIOUS,
+    ArrowUp: TREE_COMMANDS.PREVIOUS,
+    Home: TREE_COMMANDS.FIRST,
+    End: TREE_COMMANDS.LAST,
+    h: TREE_COMMANDS.COLLAPSE,
+    ArrowLeft: TREE_COMMANDS.COLLAPSE,
+    l: TREE_COMMANDS.EXPAND,
+    ArrowRight: TREE_COMMANDS.EXPAND,
+    x: TREE_COMMANDS.TOGGLE_SOLVED,
+    f: TREE_COMMANDS.TOGGLE_STAR,
+    o: TREE_COMMANDS.OPEN_PROBLEM,
+    v: TREE_COMMANDS.OPEN_VIDEO,
+    n: TREE_COMMANDS.EDIT_NOTES,
+})
+
+// Tree levels, as path lengths
+const TOPIC_LEVEL = 1
+const SUBTOPIC_LEVEL = 2
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function getRowElement(rowId) {
+    return document.querySelector(`[data-tree-row="${CSS.escape(rowId)}"]`)
+}
+
+/**
+ * Puts the cursor on a row and focuses it, scrolling it into the window
+ * first if it isn't mounted
+ */
+function focusRow(row) {
+    useUiStore.getState().setTreeCursor(row.id)
+    const element = getRowElement(row.id)
+    if (element) {
+        element.focus()
+    } else {
+        revealRow(row.path)
+    }
+}
+
+function isExpanded(state, row) {
+    if (row.path.length === TOPIC_LEVEL) return Boolean(state.expandedTopics[row.id])
+    if (row.path.length === SUBTOPIC_LEVEL) return Boolean(state.expandedSubtopics[row.id])
+    return false
+}
+
+function toggleExpanded(state, row) {
+    if (row.path.length === TOPIC_LEVEL) state.toggleTopicExpansion(row.id)
+    else state.toggleSubtopicExpansion(row.id)
+}
+
+function openLink(url) {
+    if (url) window.open(url, '_blank', 'noopener,noreferrer')
+}
+
+/**
+ * Applies a TREE_COMMANDS value to the row with the given id. Returns false
+ * when the command does nothing for that row.
+ */
+function runTreeCommand(command, rowId, openModal) {
+    const state = useStore.getState()
+    const rows = selectVisibleTreeRows(state)
+    const index = rows.findIndex(row => row.id === rowId)
+    const row = rows[index]
+    if (!row) return false
+
+    const isQuestion = row.path.length > SUBTOPIC_LEVEL
+    const question = isQuestion ? state.questionsById[row.id] : null
+
+    switch (command) {
+        case TREE_COMMANDS.NEXT:
+            if (index < rows.length - 1) focusRow(rows[index + 1])
+            return true
+        case TREE_COMMANDS.PREVIOUS:
+            if (index > 0) focusRow(rows[index - 1])
+            return true
+        case TREE_COMMANDS.FIRST:
+            focusRow(rows[0])
+            return true
+        case TREE_COMMANDS.LAST:
+            focusRow(rows[rows.length - 1])
+            return true
+        case TREE_COMMANDS.COLLAPSE: {
+            // Collapse an open row, else step out to its parent
+            if (isExpanded(state, row)) {
+                toggleExpanded(state, row)
+                return true
+            }
+            const parent = rows.find(other => other.id === row.path[row.path.length - 2])
+            if (parent) focusRow(parent)
+            return true
+        }
+        case TREE_COMMANDS.EXPAND: {
+            // Expand a closed row, else step into its first child
+            if (isQuestion) return true
+            if (!isExpanded(state, row)) {
+                toggleExpanded(state, row)
+                return true
+            }
+            const child = rows[index + 1]
+            if (child?.path.length > row.path.length) focusRow(child)
+            return true
+        }
+        case TREE_COMMANDS.TOGGLE_SOLVED:
+            if (!question) return false
+            state.toggleQuestionSolved(question.id)
+            return true
+        case TREE_COMMANDS.TOGGLE_STAR:
+            if (!question) return false
+            state.toggleQuestionStarred(question.id)
+            return true
+        case TREE_COMMANDS.OPEN_PROBLEM:
+            if (!question) return false
+            openLink(question.url)
+            return true
+        case TREE_COMMANDS.OPEN_VIDEO:
+            if (!question) return false
+            openLink(question.resource)
+            return true
+        case TREE_COMMANDS.EDIT_NOTES:
+            if (!question) return false
+            openModal('editQuestion', { topicId: row.path[0], subtopicId: row.path[1], question })
+            return true
+        default:
+            return false
+    }
+}
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+/**
+ * Keydown handler for the treegrid element; it acts on keys pressed while a
+ * row itself (not a button inside it) has focus
+ * @param {Function} openModal - Opens a dialog by modal type and data
+ */
+export function useTreeNavigation(openModal) {
+    return useCallback((event) => {
+        const rowId = event.target.dataset?.treeRow
+        if (!rowId || event.ctrlKey || event.metaKey || event.altKey) return
+
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key
+        const command = TREE_KEYS[key]
+        if (!command || !runTreeCommand(command, rowId, openModal)) return
+
+        // Handled here, so global shortcuts on the same key (e.g. L) stay quiet
+        event.preventDefault()
+        event.stopPropagation()
+    }, [openModal])
+}
+
+/**
+ * Props for a treegrid row: roving tabindex, and moving the cursor to the
+ * row whenever it or a control inside it gets focus
+ */
+export function useTreeRowProps(rowId) {
+    const isCursorRow = useUiStore(state => state.treeCursorId === rowId)
+    const setTreeCursor = useUiStore(state => state.setTreeCursor)
+    // Only the first row follows every cursor move, since it takes the tab
+    // stop whenever the cursor is on no visible row
+    const isFirstRow = useStore(state => selectVisibleTreeRows(state)[0]?.id === rowId)
+    const cursorId = useUiStore(state => (isFirstRow ? state.treeCursorId : null))
+    const isFallback = useStore(state => isFirstRow && selectTreeCursorId(state, cursorId) === rowId)
+    const isCursor = isCursorRow || isFallback
+
+    return {
+        'data-tree-row': rowId,
+        tabIndex: isCursor ? 0 : -1,
+        onFocus: () => setTreeCursor(rowId),
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * URL Filters Hook
+ * Keeps the search query and filters in sync with the page URL
+ * (?q=tree&diff=Hard&status=unsolved&tags=graph,bfs&flags=starred,-notes)
+ * so a link opens the same view
+ */
+
+import { useEffect } from 'react'
+import { shallow } from 'zustand/shallow'
+import { useStore, selectFilters, FILTER_ALL, TAG_MATCH_ALL } from '../store/useStore'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const URL_PARAMS = Object.freeze({
+    QUERY: 'q',
+    DIFFICULTY: 'diff',
+    STATUS: 'status',
+    TAGS: 'tags',
+    TAG_MATCH: 'tagmatch',
+    FLAGS: 'flags',
+})
+
+// Excluded flags are written with this prefix, e.g. "-notes"
+const EXCLUDE_PREFIX = '-'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : value
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+function parseFlags(value) {
+    return Object.fromEntries(splitList(value).map(item => item.startsWith(EXCLUDE_PREFIX)
+        ? [item.slice(EXCLUDE_PREFIX.length).toLowerCase(), false]
+        : [item.toLowerCase(), true]))
+}
+
+function formatFlags(flags) {
+    return Object.entries(flags)
+        .map(([flag, required]) => required ? flag : `${EXCLUDE_PREFIX}${flag}`)
+        .join(',')
+}
+
+/**
+ * Reads filters from a query string. Values are matched case-insensitively.
+ */
+export function readFiltersFromUrl(search) {
+    const params = new URLSearchParams(search)
+    return {
+        searchQuery: params.get(URL_PARAMS.QUERY) || '',
+        filterDifficulty: capitalize(params.get(URL_PARAMS.DIFFICULTY)) || FILTER_ALL,
+        filterStatus: params.get(URL_PARAMS.STATUS)?.toLowerCase() || FILTER_ALL,
+        filterTags: splitList(params.get(URL_PARAMS.TAGS)),
+        filterTagMatch: params.get(URL_PARAMS.TAG_MATCH)?.toLowerCase(),
+        filterFlags: parseFlags(params.get(URL_PARAMS.FLAGS)),
+    }
+}
+
+/**
+ * Builds a URL for the given filters, keeping unrelated query parameters
+ */
+export function buildFiltersUrl(filters, baseUrl = window.location.href) {
+    const { searchQuery, filterDifficulty, filterStatus, filterTags = [], filterTagMatch, filterFlags = {} } = filters
+    const url = new URL(baseUrl)
+    const entries = [
+        [URL_PARAMS.QUERY, searchQuery],
+        [URL_PARAMS.DIFFICULTY, filterDifficulty !== FILTER_ALL ? filterDifficulty : ''],
+        [URL_PARAMS.STATUS, filterStatus !== FILTER_ALL ? filterStatus : ''],
+        [URL_PARAMS.TAGS, filterTags.join(',')],
+        [URL_PARAMS.TAG_MATCH, filterTags.length > 1 && filterTagMatch === TAG_MATCH_ALL ? TAG_MATCH_ALL : ''],
+        [URL_PARAMS.FLAGS, formatFlags(filterFlags)],
+    ]
+
+    for (const [key, value] of entries) {
+        if (value) {
+            url.searchParams.set(key, value)
+        } else {
+            url.searchParams.delete(key)
+        }
+    }
+    return url.toString()
+}
+
+function hasFilterParams(search) {
+    const params = new URLSearchParams(search)
+    return Object.values(URL_PARAMS).some(key => params.has(key))
+}
+
+// ============================================================================
+// Hook Implementation
+// ============================================================================
+
+/**
+ * Applies URL filters once the sheet has loaded, then mirrors filter changes
+ * into the URL. Back/forward navigation re-applies the URL.
+ * @param {boolean} enabled - False until sheet data is ready
+ */
+export function useUrlFilters(enabled) {
+    useEffect(() => {
+        if (!enabled) return
+
+        const applyUrl = () => {
+            useStore.getState().applyFilters(readFiltersFromUrl(window.location.search))
+        }
+
+        if (hasFilterParams(window.location.search)) {
+            applyUrl()
+        }
+
+        // Typing should not flood the back button, so the entry is replaced
+        const unsubscribe = useStore.subscribe((state, previous) => {
+            const filters = selectFilters(state)
+            if (shallow(filters, selectFilters(previous))) return
+
+            const nextUrl = buildFiltersUrl(filters)
+            if (nextUrl !== window.location.href) {
+                window.history.replaceState(window.history.state, '', nextUrl)
+            }
+        })
+
+        window.addEventListener('popstate', applyUrl)
+        return () => {
+            unsubscribe()
+            window.removeEventListener('popstate', applyUrl)
+        }
+    }, [enabled])
+}
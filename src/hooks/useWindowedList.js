@@ -0,0 +1,269 @@
+/**
+ * Windowed List Hook
+ * Mounts only the rows of a list that are near the viewport and stands in
+ * for the rest with padding, so long (and nested) lists stay fast.
+ * Rows are measured as they render; unmeasured rows use an estimate.
+ */
+
+import { useState, useEffect, useLayoutEffect, useRef, useCallback, useId } from 'react'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Extra distance above and below the viewport to keep mounted, in pixels
+const OVERSCAN_PX = 800
+
+// Rows mounted before the first measurement
+const INITIAL_ROWS = 20
+
+// Frames revealRow waits for nested lists to expand and mount
+const REVEAL_MAX_FRAMES = 20
+
+// Space left above a revealed row, in pixels
+const REVEAL_MARGIN_PX = 96
+
+// Focus target inside a revealed row: its treegrid row, else its first control
+const ROW_FOCUS_SELECTOR = '[role="row"], input, button'
+
+// ============================================================================
+// Shared Scroll Scheduler
+// ============================================================================
+
+/**
+ * One scroll/resize listener and one animation frame for every windowed
+ * list on the page, so nested lists update together
+ */
+const subscribers = new Set()
+let frameId = 0
+
+function scheduleUpdate() {
+    if (frameId) return
+    frameId = requestAnimationFrame(() => {
+        frameId = 0
+        subscribers.forEach(update => update())
+    })
+}
+
+function subscribe(update) {
+    if (subscribers.size === 0) {
+        window.addEventListener('scroll', scheduleUpdate, { passive: true })
+        window.addEventListener('resize', scheduleUpdate)
+    }
+    subscribers.add(update)
+    scheduleUpdate()
+
+    return () => {
+        subscribers.delete(update)
+        if (subscribers.size === 0) {
+            window.removeEventListener('scroll', scheduleUpdate)
+            window.removeEventListener('resize', scheduleUpdate)
+        }
+    }
+}
+
+/**
+ * Every mounted windowed list, so rows can be scrolled to before they mount
+ */
+const lists = new Set()
+
+/**
+ * Scrolls to and focuses a row that may not be mounted yet, including rows
+ * of nested lists that are only just expanding. `path` holds the row keys
+ * from the outermost list inwards, e.g. [topicId, subtopicId, questionId];
+ * each frame scrolls to the deepest one a list knows until the last renders.
+ */
+export function revealRow(path) {
+    const key = path[path.length - 1]
+    let frames = 0
+
+    const step = () => {
+        const row = document.querySelector(`[data-window-key="${CSS.escape(key)}"]`)
+        if (row) {
+            row.scrollIntoView({ block: 'center' })
+            row.querySelector(ROW_FOCUS_SELECTOR)?.focus({ preventScroll: true })
+            return
+        }
+
+        // Bring the deepest known row into the window so its children mount
+        for (const pathKey of [...path].reverse()) {
+            if ([...lists].some(list => list.scrollToKey(pathKey))) break
+        }
+        if (++frames < REVEAL_MAX_FRAMES) requestAnimationFrame(step)
+    }
+    requestAnimationFrame(step)
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Picks the rows overlapping [top, bottom] (container coordinates) plus
+ * overscan, widened to include any pinned rows
+ */
+function computeWindow(keys, sizes, estimateSize, top, bottom, pinnedIndices) {
+    const offsets = [0]
+    for (const key of keys) {
+        offsets.push(offsets[offsets.length - 1] + (sizes.get(key) ?? estimateSize))
+    }
+
+    let start = 0
+    while (start < keys.length && offsets[start + 1] <= top - OVERSCAN_PX) start++
+    let end = start
+    while (end < keys.length && offsets[end] < bottom + OVERSCAN_PX) end++
+
+    for (const index of pinnedIndices) {
+        if (index < 0) continue
+        start = Math.min(start, index)
+        end = Math.max(end, index + 1)
+    }
+
+    return {
+        start,
+        end,
+        paddingTop: offsets[start],
+        paddingBottom: offsets[keys.length] - offsets[end],
+    }
+}
+
+function isSameWindow(a, b) {
+    return a.start === b.start && a.end === b.end && a.paddingTop === b.paddingTop && a.paddingBottom === b.paddingBottom
+}
+
+// ============================================================================
+// Hook Implementation
+// ============================================================================
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.keys - Stable row keys in display order
+ * @param {number} options.estimateSize - Height in px assumed for unmeasured rows
+ * @param {string|null} [options.pinnedKey] - Row kept mounted regardless of scroll (e.g. while dragged)
+ * @returns {{ start, end, containerProps, getRowProps }} Render rows start..end-1;
+ *   spread containerProps on the list element and getRowProps(key) on each row
+ *   wrapper (which also needs key={key})
+ */
+export function useWindowedList({ keys, estimateSize, pinnedKey = null }) {
+    const listId = useId()
+    const containerRef = useRef(null)
+    const sizesRef = useRef(new Map())
+    const keysRef = useRef(keys)
+    const pinnedKeyRef = useRef(pinnedKey)
+    const focusedKeyRef = useRef(null)
+    const observerRef = useRef(null)
+    const signatureRef = useRef('')
+
+    const [windowState, setWindowState] = useState(() => {
+        const end = Math.min(keys.length, INITIAL_ROWS)
+        return { start: 0, end, paddingTop: 0, paddingBottom: (keys.length - end) * estimateSize }
+    })
+
+    const update = useCallback(() => {
+        const container = containerRef.current
+        if (!container) return
+
+        const rect = container.getBoundingClientRect()
+        const currentKeys = keysRef.current
+        const pinned = [pinnedKeyRef.current, focusedKeyRef.current]
+            .filter(Boolean)
+            .map(key => currentKeys.indexOf(key))
+        const next = computeWindow(currentKeys, sizesRef.current, estimateSize, -rect.top, window.innerHeight - rect.top, pinned)
+        setWindowState(previous => isSameWindow(previous, next) ? previous : next)
+    }, [estimateSize])
+
+    useEffect(() => subscribe(update), [update])
+
+    // Lets revealRow scroll to rows outside the window
+    useEffect(() => {
+        const list = {
+            scrollToKey: (key) => {
+                const container = containerRef.current
+                const index = keysRef.current.indexOf(key)
+                if (!container || index === -1) return false
+
+                let offset = 0
+                for (const previousKey of keysRef.current.slice(0, index)) {
+                    offset += sizesRef.current.get(previousKey) ?? estimateSize
+                }
+                const top = container.getBoundingClientRect().top + window.scrollY + offset
+                window.scrollTo(0, Math.max(0, top - REVEAL_MARGIN_PX))
+                return true
+            },
+        }
+        lists.add(list)
+        return () => lists.delete(list)
+    }, [estimateSize])
+
+    // Pick up new, removed or reordered rows and pin changes
+    useLayoutEffect(() => {
+        keysRef.current = keys
+        pinnedKeyRef.current = pinnedKey
+        const signature = `${pinnedKey}|${keys.join('|')}`
+        if (signature !== signatureRef.current) {
+            signatureRef.current = signature
+            scheduleUpdate()
+        }
+    })
+
+    useEffect(() => () => observerRef.current?.disconnect(), [])
+
+    const measureRow = useCallback((element) => {
+        if (!element) return
+
+        if (!observerRef.current) {
+            observerRef.current = new ResizeObserver(entries => {
+                let changed = false
+                for (const entry of entries) {
+                    const key = entry.target.dataset.windowKey
+                    const height = entry.target.offsetHeight
+                    if (key && sizesRef.current.get(key) !== height) {
+                        sizesRef.current.set(key, height)
+                        changed = true
+                    }
+                }
+                // Other lists on the page may have moved too
+                if (changed) scheduleUpdate()
+            })
+        }
+
+        const observer = observerRef.current
+        observer.observe(element)
+        return () => observer.unobserve(element)
+    }, [])
+
+    // Keep the focused row mounted so keyboard users don't lose focus when scrolling
+    const handleFocus = useCallback((event) => {
+        const row = event.target.closest?.(`[data-window-list="${listId}"]`)
+        if (row && containerRef.current?.contains(row)) {
+            focusedKeyRef.current = row.dataset.windowKey
+        }
+    }, [listId])
+
+    const handleBlur = useCallback((event) => {
+        if (!containerRef.current?.contains(event.relatedTarget)) {
+            focusedKeyRef.current = null
+            scheduleUpdate()
+        }
+    }, [])
+
+    const end = Math.min(windowState.end, keys.length)
+    const start = Math.min(windowState.start, end)
+
+    return {
+        start,
+        end,
+        containerProps: {
+            ref: containerRef,
+            style: { paddingTop: windowState.paddingTop, paddingBottom: windowState.paddingBottom },
+            onFocus: handleFocus,
+            onBlur: handleBlur,
+        },
+        getRowProps: (key) => ({
+            ref: measureRow,
+            className: 'flow-root',
+            'data-window-key': key,
+            'data-window-list': listId,
+        }),
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Solve Activity
+ * Per-day solve counts, streaks and heatmap layout derived from the
+ * `solved` entries in question attempt logs
+ */
+
+import { toDateKey, addDays, fromDateKey } from '../utils/dates'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const DEFAULT_DAILY_GOAL = 3
+export const MAX_DAILY_GOAL = 50
+
+const DAYS_PER_WEEK = 7
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Counts distinct questions solved per local day across several topic trees
+ * (one per sheet). Returns { [YYYY-MM-DD]: count }.
+ */
+export function collectSolveCounts(topicLists) {
+    const solvedByDay = new Map()
+
+    for (const topics of topicLists) {
+        for (const topic of topics || []) {
+            for (const subtopic of topic?.subtopics || []) {
+                for (const q of subtopic?.questions || []) {
+                    for (const attempt of q?.attempts || []) {
+                        if (attempt?.outcome !== 'solved' || !attempt.at) continue
+
+                        const day = toDateKey(new Date(attempt.at))
+                        if (!solvedByDay.has(day)) solvedByDay.set(day, new Set())
+                        solvedByDay.get(day).add(q.id)
+                    }
+                }
+            }
+        }
+    }
+
+    const counts = {}
+    for (const [day, ids] of solvedByDay) {
+        counts[day] = ids.size
+    }
+    return counts
+}
+
+/**
+ * Current and longest runs of consecutive days with at least one solve.
+ * The current streak survives until the end of today, so a streak that
+ * ended yesterday still counts.
+ */
+export function calculateStreaks(counts, today = new Date()) {
+    const days = Object.keys(counts).filter(day => counts[day] > 0).sort()
+
+    let longest = 0
+    let run = 0
+    let previous = null
+    for (const day of days) {
+        run = previous && toDateKey(addDays(fromDateKey(previous), 1)) === day ? run + 1 : 1
+        longest = Math.max(longest, run)
+        previous = day
+    }
+
+    let current = 0
+    let cursor = counts[toDateKey(today)] > 0 ? today : addDays(today, -1)
+    while (counts[toDateKey(cursor)] > 0) {
+        current++
+        cursor = addDays(cursor, -1)
+    }
+
+    return { current, longest }
+}
+
+/**
+ * Lays out the last `weeks` weeks as columns of 7 days (Sunday first),
+ * ending with the week containing `today`. Days after today are null.
+ */
+export function buildHeatmapWeeks(counts, weeks, today = new Date()) {
+    const todayKey = toDateKey(today)
+    const start = addDays(today, -today.getDay() - (weeks - 1) * DAYS_PER_WEEK)
+
+    return Array.from({ length: weeks }, (_, week) =>
+        Array.from({ length: DAYS_PER_WEEK }, (_, weekday) => {
+            const key = toDateKey(addDays(start, week * DAYS_PER_WEEK + weekday))
+            return key > todayKey ? null : { date: key, count: counts[key] || 0 }
+        })
+    )
+}
@@ -0,0 +1,137 @@
+/**
+ * Workspace Backup
+ * Versioned envelope around the persisted store state, plus validation and
+ * change previews used when restoring a backup file
+ */
+
+import { PERSIST_VERSION, runMigrations } from './migrations'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const BACKUP_FORMAT = 'codolio-qms-backup'
+
+/**
+ * Backups carry the persisted schema version, so older files go through
+ * the same migration chain as localStorage snapshots
+ */
+export const BACKUP_VERSION = PERSIST_VERSION
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Counts the per-question fields a restore can change
+ */
+function countQuestionState(topics) {
+    const counts = { total: 0, solved: 0, starred: 0, notes: 0 }
+    if (!Array.isArray(topics)) return counts
+
+    for (const topic of topics) {
+        for (const subtopic of topic?.subtopics || []) {
+            for (const q of subtopic?.questions || []) {
+                counts.total++
+                if (q?.isSolved) counts.solved++
+                if (q?.isStarred) counts.starred++
+                if (q?.notes) counts.notes++
+            }
+        }
+    }
+
+    return counts
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Wraps persisted store state in a versioned backup envelope
+ */
+export function createBackup(persistedState) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        state: persistedState,
+    }
+}
+
+/**
+ * Download file name for a backup, dated by its export time
+ */
+export function getBackupFileName(backup) {
+    return `codolio-backup-${backup.exportedAt.slice(0, 10)}.json`
+}
+
+/**
+ * Validates a parsed backup file and returns the persisted state inside it.
+ * Throws an Error with a readable message when the file cannot be restored.
+ */
+export function parseBackup(data) {
+    if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+        throw new Error('Not a Codolio workspace backup file')
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Backup file has no valid schema version')
+    }
+
+    if (data.version > BACKUP_VERSION) {
+        throw new Error(`Backup uses schema v${data.version}, but this app only supports up to v${BACKUP_VERSION}. Update the app and try again.`)
+    }
+
+    let state
+    try {
+        state = runMigrations(data.state, data.version)
+    } catch (error) {
+        throw new Error(`Backup could not be upgraded: ${error.message}`)
+    }
+
+    if (!isPlainObject(state.sheets)) {
+        throw new Error('Backup file has no sheets')
+    }
+
+    for (const [id, workspace] of Object.entries(state.sheets)) {
+        if (!isPlainObject(workspace?.sheet) || !Array.isArray(workspace.topics)) {
+            throw new Error(`Sheet "${workspace?.sheet?.name || id}" in the backup is malformed`)
+        }
+    }
+
+    return state
+}
+
+/**
+ * Describes what restoring `nextState` over `currentState` will change.
+ * Both arguments are persisted-state snapshots.
+ */
+export function summarizeBackupChanges(currentState, nextState) {
+    const currentSheets = currentState?.sheets || {}
+    const nextSheets = nextState?.sheets || {}
+    const ids = new Set([...Object.keys(currentSheets), ...Object.keys(nextSheets)])
+
+    const sheets = Array.from(ids).map(id => {
+        const before = currentSheets[id]
+        const after = nextSheets[id]
+        return {
+            id,
+            name: (after || before).sheet?.name || 'Question Sheet',
+            status: !before ? 'added' : !after ? 'removed' : 'replaced',
+            before: before ? countQuestionState(before.topics) : null,
+            after: after ? countQuestionState(after.topics) : null,
+        }
+    })
+
+    return {
+        sheets,
+        theme: currentState?.theme !== nextState?.theme
+            ? { from: currentState?.theme, to: nextState?.theme }
+            : null,
+    }
+}
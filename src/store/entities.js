@@ -0,0 +1,160 @@
+/**
+ * Normalized Topic Entities
+ * In memory a sheet's topic tree is kept as flat maps keyed by id plus order
+ * arrays, so updating one question touches one map entry instead of cloning
+ * the whole tree:
+ *
+ *   topicIds:      ['topic-0', ...]
+ *   topicsById:    { [id]: { id, name, order, subtopicIds } }
+ *   subtopicsById: { [id]: { id, name, order, questionIds } }
+ *   questionsById: { [id]: question }
+ *
+ * Persisted state, backups and sheet sync still use the nested tree
+ * ({ subtopics: [{ questions: [] }] }); `denormalizeTopics` rebuilds it.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const TOPIC_ENTITY_KEYS = Object.freeze(['topicIds', 'topicsById', 'subtopicsById', 'questionsById'])
+
+export const EMPTY_TOPIC_ENTITIES = Object.freeze({
+    topicIds: [],
+    topicsById: {},
+    subtopicsById: {},
+    questionsById: {},
+})
+
+// ============================================================================
+// Tree Conversion
+// ============================================================================
+
+/**
+ * Splits a nested topic tree into entity maps
+ */
+export function normalizeTopics(topics) {
+    const entities = { topicIds: [], topicsById: {}, subtopicsById: {}, questionsById: {} }
+    if (!Array.isArray(topics)) return entities
+
+    for (const topic of topics) {
+        if (!topic?.id) continue
+        const { subtopics = [], ...topicFields } = topic
+        const subtopicIds = []
+
+        for (const subtopic of subtopics) {
+            if (!subtopic?.id) continue
+            const { questions = [], ...subtopicFields } = subtopic
+            const questionIds = []
+
+            for (const question of questions) {
+                if (!question?.id) continue
+                questionIds.push(question.id)
+                entities.questionsById[question.id] = question
+            }
+
+            subtopicIds.push(subtopic.id)
+            entities.subtopicsById[subtopic.id] = { ...subtopicFields, questionIds }
+        }
+
+        entities.topicIds.push(topic.id)
+        entities.topicsById[topic.id] = { ...topicFields, subtopicIds }
+    }
+
+    return entities
+}
+
+// Rebuilt tree nodes, keyed by the entity they were built from
+const subtopicNodes = new WeakMap()
+const topicNodes = new WeakMap()
+// Last tree per order array, so repeated reads of unchanged maps are free
+const trees = new WeakMap()
+const NO_TOPICS = Object.freeze([])
+
+function isSameList(a, b) {
+    return a.length === b.length && a.every((item, index) => item === b[index])
+}
+
+function buildSubtopicNode(subtopic, questionsById) {
+    const questions = subtopic.questionIds.map(id => questionsById[id]).filter(Boolean)
+    const cached = subtopicNodes.get(subtopic)
+    if (cached && isSameList(cached.questions, questions)) return cached
+
+    const { questionIds: _questionIds, ...fields } = subtopic
+    const node = { ...fields, questions }
+    subtopicNodes.set(subtopic, node)
+    return node
+}
+
+function buildTopicNode(topic, subtopicsById, questionsById) {
+    const subtopics = topic.subtopicIds
+        .map(id => subtopicsById[id])
+        .filter(Boolean)
+        .map(subtopic => buildSubtopicNode(subtopic, questionsById))
+    const cached = topicNodes.get(topic)
+    if (cached && isSameList(cached.subtopics, subtopics)) return cached
+
+    const { subtopicIds: _subtopicIds, ...fields } = topic
+    const node = { ...fields, subtopics }
+    topicNodes.set(topic, node)
+    return node
+}
+
+/**
+ * Rebuilds the nested topic tree from entity maps. Nodes whose entities did
+ * not change are reused, so an edit to one question yields a tree that only
+ * differs along that question's path and memoized rows can skip rendering.
+ */
+export function denormalizeTopics({ topicIds, topicsById, subtopicsById, questionsById } = EMPTY_TOPIC_ENTITIES) {
+    if (!Array.isArray(topicIds)) return NO_TOPICS
+
+    const previous = trees.get(topicIds)
+    if (previous?.topicsById === topicsById && previous.subtopicsById === subtopicsById && previous.questionsById === questionsById) {
+        return previous.topics
+    }
+
+    const built = topicIds
+        .map(id => topicsById[id])
+        .filter(Boolean)
+        .map(topic => buildTopicNode(topic, subtopicsById, questionsById))
+    const topics = previous && isSameList(previous.topics, built) ? previous.topics : built
+
+    trees.set(topicIds, { topicsById, subtopicsById, questionsById, topics })
+    return topics
+}
+
+// ============================================================================
+// Immutable Map Helpers
+// ============================================================================
+
+/**
+ * Returns a copy of an entity map with `updater` applied to the given ids;
+ * missing ids are skipped
+ */
+export function updateEntities(map, ids, updater) {
+    const next = { ...map }
+    for (const id of ids) {
+        if (next[id]) next[id] = updater(next[id])
+    }
+    return next
+}
+
+/**
+ * Returns a copy of an entity map without the given ids
+ */
+export function omitEntities(map, ids) {
+    const next = { ...map }
+    for (const id of ids) delete next[id]
+    return next
+}
+
+/**
+ * Rewrites `order` on the entities listed in `ids` to match their position,
+ * copying only entities whose order actually changed
+ */
+export function applyOrder(map, ids) {
+    const positions = new Map(ids.map((id, index) => [id, index]))
+    const changed = ids.filter(id => map[id] && map[id].order !== positions.get(id))
+    if (changed.length === 0) return map
+    return updateEntities(map, changed, entity => ({ ...entity, order: positions.get(entity.id) }))
+}
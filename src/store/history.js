@@ -0,0 +1,76 @@
+/**
+ * Undo/Redo History
+ * Bounded stacks of topic-tree snapshots for the active sheet.
+ *
+ * Store updates are immutable, so a snapshot is just a reference to the
+ * previous tree and unchanged branches are shared between entries.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const HISTORY_LIMIT = 50
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Creates an empty history bound to one sheet
+ */
+export function createHistory(sheetId = null) {
+    return { sheetId, past: [], future: [] }
+}
+
+/**
+ * Pushes an entry describing the state before a mutation.
+ * History recorded for another sheet is discarded, and any redo branch is dropped.
+ */
+export function recordHistory(history, sheetId, entry) {
+    const past = history?.sheetId === sheetId ? history.past : []
+    return {
+        sheetId,
+        past: [...past, entry].slice(-HISTORY_LIMIT),
+        future: [],
+    }
+}
+
+export function canUndo(history, sheetId) {
+    return history?.sheetId === sheetId && history.past.length > 0
+}
+
+export function canRedo(history, sheetId) {
+    return history?.sheetId === sheetId && history.future.length > 0
+}
+
+/**
+ * Moves one step back. `current` is an entry for the present state, which
+ * becomes redoable. Returns the entry to restore and the new history.
+ */
+export function stepBack(history, current) {
+    const entry = history.past[history.past.length - 1]
+    return {
+        entry,
+        history: {
+            ...history,
+            past: history.past.slice(0, -1),
+            future: [...history.future, { ...current, label: entry.label }].slice(-HISTORY_LIMIT),
+        },
+    }
+}
+
+/**
+ * Moves one step forward, the inverse of stepBack
+ */
+export function stepForward(history, current) {
+    const entry = history.future[history.future.length - 1]
+    return {
+        entry,
+        history: {
+            ...history,
+            past: [...history.past, { ...current, label: entry.label }].slice(-HISTORY_LIMIT),
+            future: history.future.slice(0, -1),
+        },
+    }
+}
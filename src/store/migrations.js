@@ -0,0 +1,340 @@
+/**
+ * Persisted State Migrations
+ * Upgrades localStorage snapshots (and backups) from older schema versions.
+ *
+ * Each migration describes the shape as of its own version, so it must not
+ * depend on constants that may change later. Records that cannot be migrated
+ * are moved to `quarantine` instead of being dropped.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const PERSIST_VERSION = 4
+
+export const QUARANTINE_SOURCES = Object.freeze({
+    SNAPSHOT: 'snapshot',
+    SHEET: 'sheet',
+    TOPIC: 'topic',
+    SUBTOPIC: 'subtopic',
+    QUESTION: 'question',
+})
+
+const V2_DIFFICULTIES = Object.freeze(['Easy', 'Medium', 'Hard', 'Basic'])
+
+const V3_ATTEMPT_OUTCOMES = Object.freeze(['solved', 'failed', 'revisited'])
+
+// Existing solves get their first review spread over this many days
+const V3_REVIEW_SPREAD_DAYS = 30
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+function stringOr(value, fallback) {
+    return typeof value === 'string' ? value : fallback
+}
+
+function hasId(record) {
+    return isPlainObject(record) && typeof record.id === 'string' && record.id !== ''
+}
+
+/**
+ * Local calendar date `days` after `date` as YYYY-MM-DD
+ */
+function toDateKeyAfter(date, days) {
+    const result = new Date(date)
+    result.setDate(result.getDate() + days)
+    const month = String(result.getMonth() + 1).padStart(2, '0')
+    const day = String(result.getDate()).padStart(2, '0')
+    return `${result.getFullYear()}-${month}-${day}`
+}
+
+function createQuarantineEntry(source, reason, data, version, location = {}) {
+    return {
+        source,
+        reason,
+        version,
+        location,
+        data,
+        quarantinedAt: new Date().toISOString(),
+    }
+}
+
+// ============================================================================
+// Migrations
+// ============================================================================
+
+/**
+ * v0 → v1: the single top-level sheet becomes an entry in `sheets`.
+ * Snapshots from the first multi-sheet build already have `sheets` but no version.
+ */
+function migrateToV1(state, quarantine) {
+    if (isPlainObject(state.sheets)) return state
+
+    const { sheet, topics, expandedTopics, expandedSubtopics, ...rest } = state
+
+    if (!isPlainObject(sheet) || typeof sheet.id !== 'string' || !Array.isArray(topics)) {
+        if (topics !== undefined || sheet !== undefined) {
+            quarantine.push(createQuarantineEntry(
+                QUARANTINE_SOURCES.SHEET,
+                'Sheet has no id or topics list',
+                { sheet, topics },
+                0
+            ))
+        }
+        return { ...rest, sheets: {}, activeSheetId: null }
+    }
+
+    return {
+        ...rest,
+        sheets: {
+            [sheet.id]: {
+                sheet,
+                topics,
+                expandedTopics: isPlainObject(expandedTopics) ? expandedTopics : {},
+                expandedSubtopics: isPlainObject(expandedSubtopics) ? expandedSubtopics : {},
+            },
+        },
+        activeSheetId: sheet.id,
+    }
+}
+
+/**
+ * v1 → v2: every question carries the full field set
+ * (topic, subtopic, resource, tags, isStarred, ...), which `addQuestion` used to omit
+ */
+function migrateToV2(state, quarantine) {
+    const sheets = {}
+
+    for (const [sheetId, workspace] of Object.entries(state.sheets)) {
+        if (!isPlainObject(workspace) || !isPlainObject(workspace.sheet) || !Array.isArray(workspace.topics)) {
+            quarantine.push(createQuarantineEntry(
+                QUARANTINE_SOURCES.SHEET, 'Sheet is missing metadata or topics', workspace, 1, { sheetId }
+            ))
+            continue
+        }
+
+        const topics = []
+        workspace.topics.forEach((topic, topicIndex) => {
+            if (!hasId(topic)) {
+                quarantine.push(createQuarantineEntry(
+                    QUARANTINE_SOURCES.TOPIC, 'Topic has no id', topic, 1, { sheetId }
+                ))
+                return
+            }
+
+            const topicName = stringOr(topic.name, 'Untitled Topic')
+            const subtopics = []
+
+            for (const [subtopicIndex, subtopic] of (Array.isArray(topic.subtopics) ? topic.subtopics : []).entries()) {
+                if (!hasId(subtopic)) {
+                    quarantine.push(createQuarantineEntry(
+                        QUARANTINE_SOURCES.SUBTOPIC, 'Subtopic has no id', subtopic, 1, { sheetId, topicId: topic.id }
+                    ))
+                    continue
+                }
+
+                const subtopicName = stringOr(subtopic.name, 'Untitled Subtopic')
+                const questions = []
+                const location = { sheetId, topicId: topic.id, subtopicId: subtopic.id }
+
+                for (const [questionIndex, q] of (Array.isArray(subtopic.questions) ? subtopic.questions : []).entries()) {
+                    if (!hasId(q)) {
+                        quarantine.push(createQuarantineEntry(
+                            QUARANTINE_SOURCES.QUESTION, 'Question has no id', q, 1, location
+                        ))
+                        continue
+                    }
+
+                    questions.push({
+                        ...q,
+                        title: stringOr(q.title, '') || 'Untitled Question',
+                        topic: stringOr(q.topic, topicName),
+                        subtopic: stringOr(q.subtopic, subtopicName),
+                        difficulty: V2_DIFFICULTIES.includes(q.difficulty) ? q.difficulty : 'Medium',
+                        url: stringOr(q.url, ''),
+                        resource: stringOr(q.resource, ''),
+                        tags: Array.isArray(q.tags) ? q.tags.filter(tag => typeof tag === 'string') : [],
+                        isSolved: Boolean(q.isSolved),
+                        isStarred: Boolean(q.isStarred),
+                        notes: stringOr(q.notes, ''),
+                        order: Number.isFinite(q.order) ? q.order : questionIndex,
+                    })
+                }
+
+                subtopics.push({
+                    ...subtopic,
+                    name: subtopicName,
+                    order: Number.isFinite(subtopic.order) ? subtopic.order : subtopicIndex,
+                    questions,
+                })
+            }
+
+            topics.push({
+                ...topic,
+                name: topicName,
+                order: Number.isFinite(topic.order) ? topic.order : topicIndex,
+                subtopics,
+            })
+        })
+
+        sheets[sheetId] = {
+            ...workspace,
+            topics,
+            expandedTopics: isPlainObject(workspace.expandedTopics) ? workspace.expandedTopics : {},
+            expandedSubtopics: isPlainObject(workspace.expandedSubtopics) ? workspace.expandedSubtopics : {},
+        }
+    }
+
+    return { ...state, sheets }
+}
+
+/**
+ * First review for a question solved before scheduling existed. Due dates
+ * are spread over V3_REVIEW_SPREAD_DAYS so a long solve history doesn't all
+ * land in the review queue on the day of the upgrade.
+ */
+function createV3ReviewSchedule(solvedIndex, now) {
+    const dueInDays = 1 + (solvedIndex % V3_REVIEW_SPREAD_DAYS)
+    return {
+        easeFactor: 2.5,
+        interval: 1,
+        repetitions: 1,
+        dueOn: toDateKeyAfter(now, dueInDays),
+        lastReviewedAt: null,
+    }
+}
+
+/**
+ * v2 → v3: every question carries an `attempts` log, and solved questions a
+ * `review` schedule. Older snapshots never recorded attempts, so existing
+ * solves start with an empty log.
+ */
+function migrateToV3(state) {
+    const sheets = {}
+    const now = new Date()
+    let solvedIndex = 0
+
+    for (const [sheetId, workspace] of Object.entries(state.sheets)) {
+        sheets[sheetId] = {
+            ...workspace,
+            topics: workspace.topics.map(topic => ({
+                ...topic,
+                subtopics: topic.subtopics.map(subtopic => ({
+                    ...subtopic,
+                    questions: subtopic.questions.map(q => ({
+                        ...q,
+                        attempts: Array.isArray(q.attempts)
+                            ? q.attempts.filter(a => isPlainObject(a) && V3_ATTEMPT_OUTCOMES.includes(a.outcome))
+                            : [],
+                        ...(q.isSolved && !isPlainObject(q.review) && {
+                            review: createV3ReviewSchedule(solvedIndex++, now),
+                        }),
+                    })),
+                })),
+            })),
+        }
+    }
+
+    return { ...state, sheets }
+}
+
+/**
+ * v3 → v4: questions the user added are flagged `isCustom`.
+ * A sheet with upstream hashes knows which questions came from upstream, so
+ * anything else was added locally. Sheets without them (created or imported)
+ * can only go by the locally generated `question-` ids, which also cover
+ * imported questions that had a missing or duplicate id.
+ */
+function migrateToV4(state) {
+    const sheets = {}
+
+    for (const [sheetId, workspace] of Object.entries(state.sheets)) {
+        const upstreamHashes = isPlainObject(workspace.upstreamHashes) ? workspace.upstreamHashes : {}
+        const hasUpstream = Object.keys(upstreamHashes).length > 0
+        sheets[sheetId] = {
+            ...workspace,
+            topics: workspace.topics.map(topic => ({
+                ...topic,
+                subtopics: topic.subtopics.map(subtopic => ({
+                    ...subtopic,
+                    questions: subtopic.questions.map(q => ({
+                        ...q,
+                        isCustom: typeof q.isCustom === 'boolean'
+                            ? q.isCustom
+                            : hasUpstream ? !upstreamHashes[q.id] : q.id.startsWith('question-'),
+                    })),
+                })),
+            })),
+        }
+    }
+
+    return { ...state, sheets }
+}
+
+/**
+ * Migration chain keyed by the version each function upgrades to
+ */
+const MIGRATIONS = Object.freeze({
+    1: migrateToV1,
+    2: migrateToV2,
+    3: migrateToV3,
+    4: migrateToV4,
+})
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Runs every migration from `fromVersion` up to PERSIST_VERSION.
+ * Record-level failures are quarantined; throws if a whole step fails.
+ */
+export function runMigrations(persistedState, fromVersion) {
+    if (!isPlainObject(persistedState)) {
+        throw new Error('Saved data is not an object')
+    }
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > PERSIST_VERSION) {
+        throw new Error(`Unknown saved data version ${fromVersion}`)
+    }
+
+    const quarantine = Array.isArray(persistedState.quarantine) ? [...persistedState.quarantine] : []
+    let state = persistedState
+
+    for (let version = fromVersion + 1; version <= PERSIST_VERSION; version++) {
+        state = MIGRATIONS[version](state, quarantine)
+    }
+
+    return { ...state, quarantine }
+}
+
+/**
+ * Migration entry point for the persist middleware. Never throws: a snapshot
+ * that cannot be migrated is quarantined whole and the app starts fresh.
+ */
+export function migratePersistedState(persistedState, fromVersion) {
+    try {
+        return runMigrations(persistedState, fromVersion)
+    } catch (error) {
+        console.error('Failed to migrate saved data:', error)
+        const previous = Array.isArray(persistedState?.quarantine) ? persistedState.quarantine : []
+        return {
+            quarantine: [
+                ...previous,
+                createQuarantineEntry(
+                    QUARANTINE_SOURCES.SNAPSHOT,
+                    error instanceof Error ? error.message : 'Migration failed',
+                    persistedState,
+                    fromVersion
+                ),
+            ],
+        }
+    }
+}
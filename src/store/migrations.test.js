@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runMigrations } from './migrations.js'
+
+const sheetWith = (questions, extra = {}) => ({
+    sheet: { id: 's' },
+    topics: [{ id: 't', name: 'T', subtopics: [{ id: 'st', name: 'S', questions }] }],
+    ...extra,
+})
+
+const customFlags = (state, sheetId = 's') => state.sheets[sheetId].topics[0].subtopics[0].questions
+    .map(q => [q.id, q.isCustom])
+
+test('v3 imported sheet: locally added questions are custom', () => {
+    const state = runMigrations({
+        sheets: { s: sheetWith([{ id: 'abc123' }, { id: 'question-added' }], { upstreamHashes: {} }) },
+    }, 3)
+    assert.deepEqual(customFlags(state), [['abc123', false], ['question-added', true]])
+})
+
+test('v3 bundled sheet: questions missing from upstream are custom', () => {
+    const state = runMigrations({
+        sheets: { s: sheetWith([{ id: 'up' }, { id: 'question-up' }, { id: 'local' }], {
+            upstreamHashes: { up: 'a', 'question-up': 'b' },
+        }) },
+    }, 3)
+    assert.deepEqual(customFlags(state), [['up', false], ['question-up', false], ['local', true]])
+})
+
+test('an existing isCustom flag is kept', () => {
+    const state = runMigrations({ sheets: { s: sheetWith([{ id: 'question-x', isCustom: false }]) } }, 3)
+    assert.deepEqual(customFlags(state), [['question-x', false]])
+})
+
+test('v1 and v3 snapshots of the same data agree', () => {
+    const questions = [{ id: 'q1', title: 'a', tags: [] }, { id: 'question-2', title: 'b' }]
+    const fromV1 = runMigrations({ sheets: { s: sheetWith(questions) } }, 1)
+    const fromV3 = runMigrations({ sheets: { s: sheetWith(questions) } }, 3)
+    assert.deepEqual(customFlags(fromV1), customFlags(fromV3))
+})
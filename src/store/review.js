@@ -0,0 +1,94 @@
+/**
+ * Spaced Repetition
+ * SM-2 style review scheduling for solved questions.
+ *
+ * A question's `review` holds { easeFactor, interval, repetitions, dueOn,
+ * lastReviewedAt }. `dueOn` is a local calendar date (YYYY-MM-DD) so a
+ * question becomes due at midnight rather than at the exact time it was graded.
+ */
+
+import { toDateKey, addDays } from '../utils/dates'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Self-rated recall grades on the SM-2 0-5 scale. Grades below
+ * MIN_PASSING_GRADE count as a lapse and restart the interval.
+ */
+export const RECALL_GRADES = Object.freeze({
+    AGAIN: 1,
+    HARD: 3,
+    GOOD: 4,
+    EASY: 5,
+})
+
+const MIN_PASSING_GRADE = 3
+const DEFAULT_EASE = 2.5
+const MIN_EASE = 1.3
+const FIRST_INTERVAL_DAYS = 1
+const SECOND_INTERVAL_DAYS = 6
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Schedule for a question that was just solved. The solve counts as the
+ * first successful repetition, so the first review is tomorrow.
+ */
+export function createReviewSchedule(now = new Date()) {
+    return {
+        easeFactor: DEFAULT_EASE,
+        interval: FIRST_INTERVAL_DAYS,
+        repetitions: 1,
+        dueOn: toDateKey(addDays(now, FIRST_INTERVAL_DAYS)),
+        lastReviewedAt: null,
+    }
+}
+
+/**
+ * Applies one SM-2 review with recall `grade` (0-5) and returns the new schedule.
+ * A lapse restarts the repetitions but, as in SM-2, keeps the ease factor.
+ */
+export function scheduleReview(review, grade, now = new Date()) {
+    const current = review || createReviewSchedule(now)
+    const quality = Math.min(5, Math.max(0, Math.round(Number(grade) || 0)))
+
+    let repetitions
+    let interval
+    let easeFactor = current.easeFactor
+    if (quality < MIN_PASSING_GRADE) {
+        repetitions = 0
+        interval = FIRST_INTERVAL_DAYS
+    } else {
+        repetitions = current.repetitions + 1
+        interval = repetitions === 1
+            ? FIRST_INTERVAL_DAYS
+            : repetitions === 2
+                ? SECOND_INTERVAL_DAYS
+                : Math.round(current.interval * current.easeFactor)
+        easeFactor = Math.max(
+            MIN_EASE,
+            current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        )
+    }
+
+    return {
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        interval,
+        repetitions,
+        dueOn: toDateKey(addDays(now, interval)),
+        lastReviewedAt: now.toISOString(),
+    }
+}
+
+/**
+ * Solved questions are due on or after their review date. A solved question
+ * without a schedule (migrations seed one for older solves) is due right away.
+ */
+export function isReviewDue(question, todayKey) {
+    if (!question?.isSolved) return false
+    return !question.review?.dueOn || question.review.dueOn <= todayKey
+}
@@ -0,0 +1,437 @@
+/**
+ * Question Search
+ * Ranked fuzzy text search plus a small query language for the search bar:
+ *
+ *   tag:"Dynamic Programming" diff:hard -solved starred platform:leetcode has:notes
+ *   (topic:graph OR topic:tree) -is:starred bfs
+ *
+ * - `field:value` terms filter on a field; values with spaces are quoted
+ * - `-term` negates a term or group
+ * - terms are ANDed; `OR` (or `|`) separates alternatives; parentheses group
+ * - bare words and "quoted phrases" are fuzzy text terms that also rank results
+ * - bare `solved`, `unsolved` and `starred` are shorthands for `is:` flags
+ */
+
+import { fuzzyMatch } from '../utils/fuzzy'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * How much a text match in each field counts towards relevance
+ */
+const SEARCH_FIELD_WEIGHTS = Object.freeze({
+    title: 1,
+    tags: 0.8,
+    subtopic: 0.6,
+    topic: 0.5,
+    notes: 0.4,
+})
+
+const DIFFICULTY_VALUES = Object.freeze(['easy', 'medium', 'hard', 'basic'])
+
+const IS_VALUES = Object.freeze(['solved', 'unsolved', 'starred', 'custom', 'original', 'removed'])
+
+const HAS_VALUES = Object.freeze(['notes', 'url', 'video', 'tags', 'attempts'])
+
+/**
+ * Short platform names that differ from the problem URL's domain
+ */
+const PLATFORM_ALIASES = Object.freeze({
+    gfg: 'geeksforgeeks',
+    codingninjas: 'naukri',
+    code360: 'naukri',
+})
+
+const FLAG_SHORTHANDS = Object.freeze(['solved', 'unsolved', 'starred'])
+
+/**
+ * Query fields, shown in autocomplete. `values` lists fixed choices.
+ */
+export const QUERY_FIELDS = Object.freeze([
+    { name: 'tag', description: 'Question tag', values: null },
+    { name: 'topic', description: 'Topic name', values: null },
+    { name: 'subtopic', description: 'Subtopic name', values: null },
+    { name: 'title', description: 'Title contains', values: null },
+    { name: 'diff', description: 'Difficulty', values: DIFFICULTY_VALUES },
+    { name: 'platform', description: 'Problem site, e.g. leetcode', values: null },
+    { name: 'has', description: 'Has notes, url, video, tags or attempts', values: HAS_VALUES },
+    { name: 'is', description: 'solved, unsolved, starred, custom, original or removed', values: IS_VALUES },
+])
+
+const FIELD_ALIASES = Object.freeze({
+    difficulty: 'diff',
+    tags: 'tag',
+    site: 'platform',
+})
+
+// ============================================================================
+// Text Scoring
+// ============================================================================
+
+function getSearchFields(question, context) {
+    return {
+        title: [question.title],
+        tags: Array.isArray(question.tags) ? question.tags : [],
+        subtopic: [context?.subtopicName ?? question.subtopic],
+        topic: [context?.topicName ?? question.topic],
+        notes: [question.notes],
+    }
+}
+
+/**
+ * Best weighted match of one text term across the question's fields (0 if none)
+ */
+function scoreTerm(question, term, context) {
+    let best = 0
+    for (const [field, values] of Object.entries(getSearchFields(question, context))) {
+        for (const value of values) {
+            const match = fuzzyMatch(term, value)
+            if (match) best = Math.max(best, match.score * SEARCH_FIELD_WEIGHTS[field])
+        }
+    }
+    return best
+}
+
+function includesText(value, text) {
+    return typeof value === 'string' && value.toLowerCase().includes(text)
+}
+
+export function getQuestionPlatform(question) {
+    if (!question?.url) return ''
+    try {
+        const labels = new URL(question.url).hostname.replace(/^www\./, '').split('.')
+        return labels.length > 1 ? labels[labels.length - 2] : labels[0]
+    } catch {
+        return ''
+    }
+}
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message)
+        this.name = 'QuerySyntaxError'
+        this.position = position
+    }
+}
+
+/**
+ * Splits the query into tokens: ( ) OR - field: word "phrase"
+ */
+function tokenize(input) {
+    const tokens = []
+    let i = 0
+
+    while (i < input.length) {
+        const char = input[i]
+
+        if (/\s/.test(char)) {
+            i++
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i })
+            i++
+        } else if (char === '|') {
+            tokens.push({ type: 'OR', position: i })
+            i++
+        } else if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT', position: i })
+            i++
+        } else if (char === '"') {
+            const end = input.indexOf('"', i + 1)
+            if (end === -1) throw new QuerySyntaxError('Missing closing quote', i)
+            tokens.push({ type: 'WORD', value: input.slice(i + 1, end), quoted: true, position: i, end: end + 1 })
+            i = end + 1
+        } else {
+            const start = i
+            while (i < input.length && !/[\s()"|]/.test(input[i]) && input[i] !== ':') i++
+
+            const word = input.slice(start, i)
+            if (input[i] === ':') {
+                tokens.push({ type: 'FIELD', value: word.toLowerCase(), position: start })
+                i++
+            } else if (word === 'OR') {
+                tokens.push({ type: 'OR', position: start })
+            } else {
+                tokens.push({ type: 'WORD', value: word, quoted: false, position: start, end: i })
+            }
+        }
+    }
+
+    return tokens
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Recursive descent parser producing
+ *   { type: 'or' | 'and', children } | { type: 'not', child }
+ *   | { type: 'field', field, value } | { type: 'text', value }
+ */
+function parseTokens(tokens) {
+    let index = 0
+    const peek = () => tokens[index]
+
+    function parseOr() {
+        const children = [parseAnd()]
+        while (peek()?.type === 'OR') {
+            const orToken = tokens[index++]
+            if (!peek() || peek().type === ')' || peek().type === 'OR') {
+                throw new QuerySyntaxError('OR needs a term on both sides', orToken.position)
+            }
+            children.push(parseAnd())
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children }
+    }
+
+    function parseAnd() {
+        const children = []
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            children.push(parseUnary())
+        }
+        if (children.length === 0) {
+            const token = peek()
+            throw new QuerySyntaxError(
+                token?.type === 'OR' ? 'OR needs a term on both sides' : 'Empty group',
+                token?.position ?? 0
+            )
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children }
+    }
+
+    function parseUnary() {
+        const token = peek()
+        if (token.type === 'NOT') {
+            index++
+            if (!peek() || peek().type === ')' || peek().type === 'OR') {
+                throw new QuerySyntaxError('Nothing to negate after "-"', token.position)
+            }
+            return { type: 'not', child: parseUnary() }
+        }
+        return parseAtom()
+    }
+
+    function parseAtom() {
+        const token = tokens[index++]
+
+        if (token.type === '(') {
+            if (peek()?.type === ')') throw new QuerySyntaxError('Empty group', token.position)
+            const group = parseOr()
+            if (peek()?.type !== ')') throw new QuerySyntaxError('Missing closing parenthesis', token.position)
+            index++
+            return group
+        }
+
+        if (token.type === ')') {
+            throw new QuerySyntaxError('Unexpected ")"', token.position)
+        }
+
+        if (token.type === 'FIELD') {
+            return parseField(token)
+        }
+
+        const value = token.value.trim()
+        if (!token.quoted && FLAG_SHORTHANDS.includes(value.toLowerCase())) {
+            return { type: 'field', field: 'is', value: value.toLowerCase() }
+        }
+        return { type: 'text', value: value.toLowerCase() }
+    }
+
+    function parseField(token) {
+        const field = FIELD_ALIASES[token.value] || token.value
+        const definition = QUERY_FIELDS.find(f => f.name === field)
+        if (!definition) {
+            throw new QuerySyntaxError(`Unknown field "${token.value}:"`, token.position)
+        }
+
+        const valueToken = tokens[index]
+        if (valueToken?.type !== 'WORD' || !valueToken.value.trim()) {
+            throw new QuerySyntaxError(`"${token.value}:" needs a value`, token.position)
+        }
+        index++
+
+        const value = valueToken.value.trim().toLowerCase()
+        if (definition.values && !definition.values.includes(value)) {
+            throw new QuerySyntaxError(
+                `"${field}:" expects one of ${definition.values.join(', ')}`,
+                valueToken.position
+            )
+        }
+        return { type: 'field', field, value }
+    }
+
+    if (tokens.length === 0) return null
+
+    const ast = parseOr()
+    if (index < tokens.length) {
+        throw new QuerySyntaxError('Unexpected ")"', tokens[index].position)
+    }
+    return ast
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+function matchesField(question, field, value, context) {
+    switch (field) {
+        case 'tag':
+            return (question.tags || []).some(tag => includesText(tag, value))
+        case 'topic':
+            return includesText(context?.topicName ?? question.topic, value)
+        case 'subtopic':
+            return includesText(context?.subtopicName ?? question.subtopic, value)
+        case 'title':
+            return includesText(question.title, value)
+        case 'diff':
+            return question.difficulty?.toLowerCase() === value
+        case 'platform':
+            return getQuestionPlatform(question).includes(PLATFORM_ALIASES[value] || value)
+        case 'has':
+            if (value === 'notes') return Boolean(question.notes)
+            if (value === 'url') return Boolean(question.url)
+            if (value === 'video') return Boolean(question.resource)
+            if (value === 'tags') return (question.tags || []).length > 0
+            return (question.attempts || []).length > 0
+        case 'is':
+            if (value === 'solved') return Boolean(question.isSolved)
+            if (value === 'unsolved') return !question.isSolved
+            if (value === 'starred') return Boolean(question.isStarred)
+            if (value === 'custom') return Boolean(question.isCustom)
+            if (value === 'original') return !question.isCustom
+            return Boolean(question.isRemovedUpstream)
+        default:
+            return false
+    }
+}
+
+function evaluate(node, question, context) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluate(child, question, context))
+        case 'or':
+            return node.children.some(child => evaluate(child, question, context))
+        case 'not':
+            return !evaluate(node.child, question, context)
+        case 'field':
+            return matchesField(question, node.field, node.value, context)
+        case 'text':
+            return scoreTerm(question, node.value, context) > 0
+        default:
+            return true
+    }
+}
+
+/**
+ * Text terms that are not under a negation; they rank and highlight results
+ */
+function collectRankingTerms(node, terms = []) {
+    if (!node || node.type === 'not') return terms
+    if (node.type === 'text') terms.push(node.value)
+    if (node.type === 'field' && node.field === 'title') terms.push(node.value)
+    node.children?.forEach(child => collectRankingTerms(child, terms))
+    return terms
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+let lastCompiled = null
+
+/**
+ * Compiles a search-bar query. Returns
+ *   { predicate(question, context), score(question, context), terms, error }
+ * `error` is { message, position } for invalid queries, whose predicate
+ * matches everything so the list does not vanish while the user is typing.
+ */
+export function compileQuery(input) {
+    const query = input || ''
+    if (lastCompiled?.query === query) return lastCompiled
+
+    let ast = null
+    let error = null
+    try {
+        ast = parseTokens(tokenize(query))
+    } catch (parseError) {
+        if (!(parseError instanceof QuerySyntaxError)) throw parseError
+        error = { message: parseError.message, position: parseError.position }
+    }
+
+    const terms = ast ? collectRankingTerms(ast) : []
+
+    lastCompiled = {
+        query,
+        error,
+        terms,
+        isEmpty: !ast,
+        predicate: (question, context) => !ast || evaluate(ast, question, context),
+        score: (question, context) => terms.reduce((total, term) => total + scoreTerm(question, term, context), 0),
+    }
+    return lastCompiled
+}
+
+/**
+ * Character positions in `title` matched by the query's text terms, for highlighting
+ */
+export function getTitleMatchIndices(searchQuery, title) {
+    const indices = new Set()
+    for (const term of compileQuery(searchQuery).terms) {
+        fuzzyMatch(term, title)?.indices.forEach(index => indices.add(index))
+    }
+    return Array.from(indices)
+}
+
+/**
+ * Autocomplete suggestions for the token under the cursor.
+ * `known` supplies { tags, topics, platforms } from the current sheet.
+ * Returns { from, to, items: [{ label, insert, description }] }.
+ */
+export function getQueryCompletions(input, cursor, known) {
+    const before = input.slice(0, cursor)
+    const tokenStart = Math.max(before.lastIndexOf(' '), before.lastIndexOf('('), before.lastIndexOf('|')) + 1
+    let from = tokenStart
+    if (input[from] === '-') from++
+
+    const token = input.slice(from, cursor)
+    const colon = token.indexOf(':')
+
+    // Field name
+    if (colon === -1) {
+        const prefix = token.toLowerCase()
+        if (!prefix || prefix.startsWith('"')) return { from, to: cursor, items: [] }
+        const items = QUERY_FIELDS
+            .filter(field => field.name.startsWith(prefix) && field.name !== prefix)
+            .map(field => ({ label: `${field.name}:`, insert: `${field.name}:`, description: field.description }))
+        return { from, to: cursor, items }
+    }
+
+    // Field value
+    const fieldName = token.slice(0, colon).toLowerCase()
+    const field = FIELD_ALIASES[fieldName] || fieldName
+    const definition = QUERY_FIELDS.find(f => f.name === field)
+    if (!definition) return { from, to: cursor, items: [] }
+
+    const valueFrom = from + colon + 1
+    const partial = token.slice(colon + 1).replace(/^"/, '').toLowerCase()
+    const candidates = definition.values
+        || (field === 'tag' ? known.tags : field === 'platform' ? known.platforms : field === 'topic' ? known.topics : [])
+
+    const items = (candidates || [])
+        .filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+        .sort((a, b) => Number(!a.toLowerCase().startsWith(partial)) - Number(!b.toLowerCase().startsWith(partial)))
+        .slice(0, 8)
+        .map(value => ({
+            label: value,
+            insert: `${/\s/.test(value) ? `"${value}"` : value} `,
+            description: definition.description,
+        }))
+
+    return { from: valueFrom, to: cursor, items }
+}
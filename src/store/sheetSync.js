@@ -0,0 +1,201 @@
+/**
+ * Upstream Sheet Sync
+ * Merges a newer copy of a sheet (e.g. the bundled sheet.json) into a user's
+ * workspace by question id, keeping local progress and ordering
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Question fields owned by the upstream sheet. Everything else
+ * (isSolved, isStarred, notes, order, ...) belongs to the user.
+ */
+export const SYNCED_FIELDS = Object.freeze(['title', 'url', 'difficulty', 'resource', 'tags'])
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Small stable string hash (djb2) used to detect upstream changes per question
+ */
+function hashString(value) {
+    let hash = 5381
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0
+    }
+    return (hash >>> 0).toString(36)
+}
+
+function hashQuestion(question) {
+    return hashString(JSON.stringify(SYNCED_FIELDS.map(field => question[field] ?? null)))
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+function isMissingValue(value) {
+    return value === undefined || value === null || value === ''
+}
+
+function findOrCreateSubtopic(topics, topicName, subtopicName) {
+    let topic = topics.find(t => t.name === topicName)
+    if (!topic) {
+        topic = { id: `topic-${uuidv4()}`, name: topicName, order: topics.length, subtopics: [] }
+        topics.push(topic)
+    }
+
+    let subtopic = topic.subtopics.find(s => s.name === subtopicName)
+    if (!subtopic) {
+        subtopic = { id: `subtopic-${uuidv4()}`, name: subtopicName, order: topic.subtopics.length, questions: [] }
+        topic.subtopics.push(subtopic)
+    }
+
+    return subtopic
+}
+
+/**
+ * Places a new question after its upstream predecessor, else before its
+ * upstream successor, else at the end
+ */
+function findInsertIndex(localQuestions, upstreamQuestions, upstreamIndex) {
+    const previousId = upstreamQuestions[upstreamIndex - 1]?.id
+    const previousIndex = localQuestions.findIndex(q => q.id === previousId)
+    if (previousIndex !== -1) return previousIndex + 1
+
+    const nextId = upstreamQuestions[upstreamIndex + 1]?.id
+    const nextIndex = localQuestions.findIndex(q => q.id === nextId)
+    return nextIndex !== -1 ? nextIndex : localQuestions.length
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Maps question id to a hash of its upstream-owned fields
+ */
+export function computeUpstreamHashes(topics) {
+    const hashes = {}
+    for (const topic of topics || []) {
+        for (const subtopic of topic.subtopics || []) {
+            for (const q of subtopic.questions || []) {
+                hashes[q.id] = hashQuestion(q)
+            }
+        }
+    }
+    return hashes
+}
+
+/**
+ * Merges upstream ({ sheet, topics }) into a sheet workspace.
+ *
+ * - New upstream questions are inserted next to their upstream neighbours,
+ *   or into a matching (or new) topic/subtopic by name
+ * - Upstream-owned fields are updated only when upstream changed since the
+ *   last sync, so local edits to unchanged questions survive. The first sync
+ *   has nothing to compare against, so it only fills in missing fields.
+ * - Questions gone from upstream are flagged with `isRemovedUpstream`, not deleted
+ * - Questions the user deleted locally are not re-added
+ *
+ * Returns the merged workspace and a summary of what changed.
+ */
+export function mergeUpstreamSheet(workspace, upstream) {
+    const previousHashes = workspace.upstreamHashes || {}
+    const hasBaseline = Object.keys(previousHashes).length > 0
+    const deletedIds = new Set(workspace.deletedQuestionIds || [])
+    const summary = { added: [], updated: [], removed: [], restored: [] }
+
+    // Work on a private copy so the merge can mutate freely
+    const topics = structuredClone(workspace.topics)
+    const located = new Map()
+    for (const topic of topics) {
+        for (const subtopic of topic.subtopics) {
+            for (const question of subtopic.questions) {
+                located.set(question.id, { subtopic, question })
+            }
+        }
+    }
+
+    const touchedSubtopics = new Set()
+
+    for (const upstreamTopic of upstream.topics) {
+        for (const upstreamSubtopic of upstreamTopic.subtopics) {
+            // New questions follow their upstream siblings wherever the user moved them
+            let target = upstreamSubtopic.questions
+                .map(q => located.get(q.id)?.subtopic)
+                .find(Boolean)
+
+            upstreamSubtopic.questions.forEach((upstreamQuestion, index) => {
+                const local = located.get(upstreamQuestion.id)
+
+                if (local) {
+                    const { question } = local
+                    if (question.isRemovedUpstream) {
+                        delete question.isRemovedUpstream
+                        summary.restored.push({ id: question.id, title: upstreamQuestion.title })
+                    }
+
+                    if (previousHashes[question.id] !== hashQuestion(upstreamQuestion)) {
+                        const fields = SYNCED_FIELDS.filter(field => (
+                            (hasBaseline || isMissingValue(question[field])) &&
+                            !isSameValue(question[field], upstreamQuestion[field])
+                        ))
+                        if (fields.length > 0) {
+                            fields.forEach(field => { question[field] = upstreamQuestion[field] })
+                            summary.updated.push({ id: question.id, title: upstreamQuestion.title, fields })
+                        }
+                    }
+                    return
+                }
+
+                if (deletedIds.has(upstreamQuestion.id)) return
+
+                target = target || findOrCreateSubtopic(topics, upstreamTopic.name, upstreamSubtopic.name)
+
+                const question = { ...upstreamQuestion }
+                target.questions.splice(findInsertIndex(target.questions, upstreamSubtopic.questions, index), 0, question)
+
+                located.set(question.id, { subtopic: target, question })
+                touchedSubtopics.add(target)
+                summary.added.push({ id: question.id, title: question.title })
+            })
+        }
+    }
+
+    const upstreamHashes = computeUpstreamHashes(upstream.topics)
+
+    for (const { question } of located.values()) {
+        if (upstreamHashes[question.id] || question.isRemovedUpstream) continue
+
+        const cameFromUpstream = hasBaseline
+            ? Boolean(previousHashes[question.id])
+            : !question.isCustom
+
+        if (cameFromUpstream) {
+            question.isRemovedUpstream = true
+            summary.removed.push({ id: question.id, title: question.title })
+        }
+    }
+
+    for (const subtopic of touchedSubtopics) {
+        subtopic.questions.forEach((q, index) => { q.order = index })
+    }
+
+    const hasChanges = Object.values(summary).some(list => list.length > 0)
+
+    return {
+        workspace: {
+            ...workspace,
+            sheet: { ...workspace.sheet, ...upstream.sheet },
+            topics: hasChanges ? topics : workspace.topics,
+            upstreamHashes,
+        },
+        summary: hasChanges ? summary : null,
+    }
+}
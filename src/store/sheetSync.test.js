@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeUpstreamSheet, computeUpstreamHashes } from './sheetSync.js'
+
+const question = (id, fields = {}) => ({
+    id, title: id, url: '', difficulty: 'Easy', resource: '', tags: [], ...fields,
+})
+
+const sheetWith = questions => ({
+    sheet: { id: 's' },
+    topics: [{ id: 't', name: 'T', subtopics: [{ id: 'st', name: 'S', questions }] }],
+})
+
+const questionsOf = workspace => workspace.topics[0].subtopics[0].questions
+
+test('the first sync keeps local edits and fills in missing fields', () => {
+    const local = sheetWith([question('a', { title: 'Edited', url: undefined, isSolved: true })])
+    const upstream = sheetWith([question('a', { title: 'Upstream', url: 'https://a.b' })])
+
+    const { workspace, summary } = mergeUpstreamSheet({ ...local, upstreamHashes: {} }, upstream)
+
+    assert.equal(questionsOf(workspace)[0].title, 'Edited')
+    assert.equal(questionsOf(workspace)[0].url, 'https://a.b')
+    assert.equal(questionsOf(workspace)[0].isSolved, true)
+    assert.deepEqual(summary.updated, [{ id: 'a', title: 'Upstream', fields: ['url'] }])
+    assert.deepEqual(workspace.upstreamHashes, computeUpstreamHashes(upstream.topics))
+})
+
+test('later syncs apply upstream changes but keep edits to unchanged questions', () => {
+    const first = sheetWith([question('a'), question('b')])
+    const local = sheetWith([question('a', { title: 'Edited' }), question('b', { title: 'Edited' })])
+    const upstream = sheetWith([question('a'), question('b', { title: 'Renamed' })])
+
+    const { workspace } = mergeUpstreamSheet(
+        { ...local, upstreamHashes: computeUpstreamHashes(first.topics) },
+        upstream
+    )
+
+    assert.deepEqual(questionsOf(workspace).map(q => q.title), ['Edited', 'Renamed'])
+})
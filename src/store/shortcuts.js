@@ -0,0 +1,262 @@
+/**
+ * Keyboard Shortcut Registry
+ * Named actions with default key bindings, plus the helpers that parse,
+ * match and edit bindings. The store keeps only the user's changes
+ * (`shortcutBindings`: { [actionId]: binding[] }); everything else uses the
+ * defaults below.
+ *
+ * A binding is a string of one or more space-separated key combos. Each combo
+ * is modifiers (`Mod` = Ctrl/Cmd, `Alt`, `Shift`, in that order) and a key
+ * joined with `+`: 'Mod+K', 'Mod+Shift+Z', '?', or the chord 'G T' (press G,
+ * then T). Letter keys are upper case; other keys use KeyboardEvent.key names
+ * ('Escape', 'ArrowUp'), with 'Space' and 'Plus' for ' ' and '+'. A plain
+ * letter binding like 'T' also fires with Shift held, unless 'Shift+T' is
+ * bound itself.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Every action a shortcut can trigger, in the order the editor lists them.
+ * Ids match the command palette's command ids. `allowInInputs` actions also
+ * fire while typing in a text field.
+ */
+export const SHORTCUT_ACTIONS = Object.freeze([
+    { id: 'commandPalette', description: 'Open command palette', defaultBindings: ['Mod+Shift+P'], allowInInputs: true },
+    { id: 'focusSearch', description: 'Focus search bar', defaultBindings: ['Mod+K'] },
+    { id: 'addTopic', description: 'Add new topic', defaultBindings: ['Mod+N'] },
+    { id: 'expandAll', description: 'Expand all topics', defaultBindings: ['Mod+E'] },
+    // Not Mod+W, which closes the browser tab on many setups
+    { id: 'collapseAll', description: 'Collapse all topics', defaultBindings: ['C'] },
+    { id: 'undo', description: 'Undo last change', defaultBindings: ['Mod+Z'] },
+    { id: 'redo', description: 'Redo last undone change', defaultBindings: ['Mod+Shift+Z', 'Mod+Y'] },
+    { id: 'selectAll', description: 'Select questions matching the filters', defaultBindings: ['Mod+A'] },
+    { id: 'clearSelection', description: 'Clear selection', defaultBindings: ['Escape'] },
+    { id: 'showTopics', description: 'Go to topics', defaultBindings: ['G T'] },
+    { id: 'showReview', description: 'Go to revision queue', defaultBindings: ['G R'] },
+    { id: 'showTable', description: 'Go to all questions table', defaultBindings: ['G A'] },
+    { id: 'toggleReview', description: 'Toggle revision queue', defaultBindings: ['R'] },
+    { id: 'toggleTable', description: 'Toggle all questions table', defaultBindings: ['L'] },
+    { id: 'toggleTheme', description: 'Toggle dark/light theme', defaultBindings: ['T'] },
+    { id: 'toggleStats', description: 'Toggle statistics panel', defaultBindings: ['S'] },
+    { id: 'showShortcuts', description: 'Show and edit keyboard shortcuts', defaultBindings: ['?'] },
+])
+
+// How long to wait for the next key of a chord, in milliseconds
+export const CHORD_TIMEOUT_MS = 1000
+
+// Longest chord the editor records
+export const MAX_CHORD_LENGTH = 2
+
+const MODIFIERS = Object.freeze(['Mod', 'Alt', 'Shift'])
+
+const MODIFIER_ALIASES = Object.freeze({
+    mod: 'Mod',
+    ctrl: 'Mod',
+    control: 'Mod',
+    cmd: 'Mod',
+    meta: 'Mod',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+})
+
+const KEY_ALIASES = Object.freeze({
+    ' ': 'Space',
+    '+': 'Plus',
+    Esc: 'Escape',
+})
+
+// KeyboardEvent.key values of the modifier keys themselves
+const MODIFIER_KEY_NAMES = Object.freeze(['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'])
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function normalizeKey(key) {
+    const aliased = KEY_ALIASES[key] || key
+    return aliased.length === 1 ? aliased.toUpperCase() : aliased
+}
+
+/**
+ * Shift is already part of symbols like '?', so it is only kept for letters,
+ * digits and named keys
+ */
+function keepsShift(key) {
+    return key.length > 1 || /[A-Z0-9]/.test(key)
+}
+
+function formatCombo(modifiers, key) {
+    const parts = MODIFIERS.filter(mod => modifiers.has(mod) && (mod !== 'Shift' || keepsShift(key)))
+    return [...parts, key].join('+')
+}
+
+function normalizeCombo(combo) {
+    const parts = combo.split('+')
+    const modifiers = new Set()
+    let key = null
+
+    for (const part of parts) {
+        const modifier = MODIFIER_ALIASES[part.toLowerCase()]
+        if (modifier) {
+            modifiers.add(modifier)
+        } else if (part && key === null) {
+            key = normalizeKey(part)
+        } else {
+            return null
+        }
+    }
+    return key ? formatCombo(modifiers, key) : null
+}
+
+/**
+ * True when pressing `a` fully or partly triggers `b` too: the same keys, or
+ * one is the start of the other's chord (which then can never be reached)
+ */
+function bindingsOverlap(a, b) {
+    return a === b || b.startsWith(`${a} `) || a.startsWith(`${b} `)
+}
+
+/**
+ * The sequence with Shift dropped from plain letter presses ('Shift+T' → 'T')
+ */
+function withoutLetterShift(sequence) {
+    return sequence.split(' ').map(combo => combo.replace(/^Shift\+([A-Z])$/, '$1')).join(' ')
+}
+
+function lookUpSequence(bindingsById, sequence, isAllowed) {
+    let isPrefix = false
+    for (const action of SHORTCUT_ACTIONS) {
+        if (!isAllowed(action)) continue
+        for (const binding of bindingsById[action.id] || []) {
+            if (binding === sequence) return { actionId: action.id }
+            if (binding.startsWith(`${sequence} `)) isPrefix = true
+        }
+    }
+    return isPrefix ? { isPrefix } : null
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Canonical form of a binding string, or null if it is not a valid binding
+ */
+export function normalizeBinding(binding) {
+    if (typeof binding !== 'string') return null
+    const combos = binding.trim().split(/\s+/).filter(Boolean)
+    if (combos.length === 0) return null
+
+    const normalized = combos.map(normalizeCombo)
+    return normalized.every(Boolean) ? normalized.join(' ') : null
+}
+
+/**
+ * The combo a keydown event stands for, or null for a lone modifier press
+ */
+export function eventToCombo(event) {
+    if (!event?.key || MODIFIER_KEY_NAMES.includes(event.key)) return null
+
+    const modifiers = new Set()
+    if (event.ctrlKey || event.metaKey) modifiers.add('Mod')
+    if (event.altKey) modifiers.add('Alt')
+    if (event.shiftKey) modifiers.add('Shift')
+    return formatCombo(modifiers, normalizeKey(event.key))
+}
+
+/**
+ * Splits a binding into combos, each a list of keys: 'Mod+K' → [['Mod', 'K']]
+ */
+export function parseBinding(binding) {
+    return binding.split(' ').map(combo => combo.split('+'))
+}
+
+export function getShortcutAction(actionId) {
+    return SHORTCUT_ACTIONS.find(action => action.id === actionId) || null
+}
+
+/**
+ * Bindings for every action: the user's where set, defaults elsewhere
+ */
+export function getEffectiveBindings(overrides = {}) {
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [
+        action.id,
+        Array.isArray(overrides?.[action.id])
+            ? [...new Set(overrides[action.id].map(normalizeBinding).filter(Boolean))]
+            : action.defaultBindings,
+    ]))
+}
+
+/**
+ * Reduces effective bindings to the overrides worth storing
+ */
+export function toBindingOverrides(bindingsById) {
+    return Object.fromEntries(SHORTCUT_ACTIONS
+        .filter(action => {
+            const bindings = bindingsById[action.id] || []
+            return bindings.length !== action.defaultBindings.length
+                || bindings.some((binding, index) => binding !== action.defaultBindings[index])
+        })
+        .map(action => [action.id, bindingsById[action.id] || []]))
+}
+
+/**
+ * Other actions' bindings that would clash with giving `binding` to
+ * `actionId`: [{ actionId, binding }]
+ */
+export function findBindingConflicts(bindingsById, actionId, binding) {
+    return SHORTCUT_ACTIONS.flatMap(action => (
+        action.id === actionId
+            ? []
+            : (bindingsById[action.id] || [])
+                .filter(other => bindingsOverlap(other, binding))
+                .map(other => ({ actionId: action.id, binding: other }))
+    ))
+}
+
+/**
+ * Overrides after adding `binding` to an action; bindings of other actions
+ * that clash with it are removed
+ */
+export function assignBinding(overrides, actionId, binding) {
+    const bindingsById = getEffectiveBindings(overrides)
+    const clashes = findBindingConflicts(bindingsById, actionId, binding)
+
+    const next = { ...bindingsById }
+    for (const clash of clashes) {
+        next[clash.actionId] = next[clash.actionId].filter(other => other !== clash.binding)
+    }
+    if (!next[actionId].includes(binding)) {
+        next[actionId] = [...next[actionId], binding]
+    }
+    return toBindingOverrides(next)
+}
+
+/**
+ * Overrides after taking `binding` away from an action
+ */
+export function removeBinding(overrides, actionId, binding) {
+    const bindingsById = getEffectiveBindings(overrides)
+    return toBindingOverrides({
+        ...bindingsById,
+        [actionId]: bindingsById[actionId].filter(other => other !== binding),
+    })
+}
+
+/**
+ * Looks up a key sequence (combos joined by spaces):
+ * { actionId } for a full binding, { isPrefix: true } when it starts a
+ * chord, or null. Actions listed first win when bindings clash. Shifted
+ * letters fall back to the plain letter bindings, so 'T' and 'Shift+T' both
+ * toggle the theme, as they did before bindings were configurable.
+ */
+export function matchKeySequence(bindingsById, sequence, isAllowed = () => true) {
+    const exact = lookUpSequence(bindingsById, sequence, isAllowed)
+    const unshifted = withoutLetterShift(sequence)
+    if (exact || unshifted === sequence) return exact
+    return lookUpSequence(bindingsById, unshifted, isAllowed)
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { eventToCombo, getEffectiveBindings, matchKeySequence } from './shortcuts.js'
+
+const defaults = getEffectiveBindings()
+const press = (key, modifiers = {}) => eventToCombo({ key, ...modifiers })
+
+test('letter shortcuts fire with or without Shift', () => {
+    assert.deepEqual(matchKeySequence(defaults, press('t')), { actionId: 'toggleTheme' })
+    assert.deepEqual(matchKeySequence(defaults, press('T', { shiftKey: true })), { actionId: 'toggleTheme' })
+    assert.deepEqual(matchKeySequence(defaults, press('S', { shiftKey: true })), { actionId: 'toggleStats' })
+})
+
+test('shifted letters continue chords', () => {
+    assert.deepEqual(matchKeySequence(defaults, press('G', { shiftKey: true })), { isPrefix: true })
+    assert.deepEqual(matchKeySequence(defaults, `G ${press('T', { shiftKey: true })}`), { actionId: 'showTopics' })
+})
+
+test('a binding of the shifted letter itself takes precedence', () => {
+    const bindings = getEffectiveBindings({ toggleStats: ['Shift+T'] })
+    assert.deepEqual(matchKeySequence(bindings, 'Shift+T'), { actionId: 'toggleStats' })
+    assert.deepEqual(matchKeySequence(bindings, 'T'), { actionId: 'toggleTheme' })
+})
+
+test('Shift is still significant with other modifiers', () => {
+    assert.deepEqual(matchKeySequence(defaults, press('z', { ctrlKey: true, shiftKey: true })), { actionId: 'redo' })
+    assert.deepEqual(matchKeySequence(defaults, press('z', { ctrlKey: true })), { actionId: 'undo' })
+})
@@ -0,0 +1,69 @@
+/**
+ * Practice Timer
+ * Start/pause/stop timing for a single question. The running timer is plain
+ * data ({ sheetId, questionId, startedAt, runningSince, accumulatedMs }) so it
+ * survives reloads; finished runs become sessions saved on the question.
+ */
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+export function createTimer(sheetId, questionId, now = Date.now()) {
+    return { sheetId, questionId, startedAt: now, runningSince: now, accumulatedMs: 0 }
+}
+
+export function isTimerRunning(timer) {
+    return Boolean(timer?.runningSince)
+}
+
+export function getTimerElapsedMs(timer, now = Date.now()) {
+    if (!timer) return 0
+    return timer.accumulatedMs + (timer.runningSince ? Math.max(0, now - timer.runningSince) : 0)
+}
+
+export function pauseTimer(timer, now = Date.now()) {
+    if (!isTimerRunning(timer)) return timer
+    return { ...timer, accumulatedMs: getTimerElapsedMs(timer, now), runningSince: null }
+}
+
+export function resumeTimer(timer, now = Date.now()) {
+    if (!timer || isTimerRunning(timer)) return timer
+    return { ...timer, runningSince: now }
+}
+
+/**
+ * Turns a finished timer into a session record for the question
+ */
+export function createSession(timer, { id, solved = false, targetMinutes = null }, now = Date.now()) {
+    return {
+        id,
+        startedAt: new Date(timer.startedAt).toISOString(),
+        endedAt: new Date(now).toISOString(),
+        durationSeconds: Math.round(getTimerElapsedMs(timer, now) / 1000),
+        targetMinutes: targetMinutes || null,
+        solved: Boolean(solved),
+    }
+}
+
+export function median(values) {
+    if (values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle]
+}
+
+/**
+ * Formats seconds as "m:ss", or "h:mm:ss" from an hour up
+ */
+export function formatClock(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds))
+    const hours = Math.floor(seconds / 3600)
+    const minutes = Math.floor((seconds % 3600) / 60)
+    const rest = String(seconds % 60).padStart(2, '0')
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+        : `${minutes}:${rest}`
+}
@@ -7,6 +7,26 @@ import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
 import { v4 as uuidv4 } from 'uuid'
 import sheetData from '../../sheet.json'
+import { readJsonFile } from '../utils/files'
+import { createBackup, parseBackup, summarizeBackupChanges } from './backup'
+import { PERSIST_VERSION, migratePersistedState } from './migrations'
+import { computeUpstreamHashes, mergeUpstreamSheet } from './sheetSync'
+import {
+    TOPIC_ENTITY_KEYS,
+    EMPTY_TOPIC_ENTITIES,
+    normalizeTopics,
+    denormalizeTopics,
+    updateEntities,
+    omitEntities,
+    applyOrder,
+} from './entities'
+import { createHistory, recordHistory, canUndo, canRedo, stepBack, stepForward } from './history'
+import { RECALL_GRADES, createReviewSchedule, scheduleReview, isReviewDue } from './review'
+import { DEFAULT_DAILY_GOAL, MAX_DAILY_GOAL } from './activity'
+import { createTimer, createSession, pauseTimer, resumeTimer, isTimerRunning, median } from './timer'
+import { compileQuery } from './search'
+import { getShortcutAction, normalizeBinding, assignBinding, removeBinding } from './shortcuts'
+import { toDateKey } from '../utils/dates'
 
 // ============================================================================
 // Constants
@@ -21,10 +41,107 @@ export const DIFFICULTY_LEVELS = Object.freeze({
     BASIC: 'Basic',
 })
 
+/**
+ * Default practice timer targets in minutes; 0 means no target
+ */
+export const DEFAULT_TIMER_TARGETS = Object.freeze({
+    [DIFFICULTY_LEVELS.EASY]: 15,
+    [DIFFICULTY_LEVELS.MEDIUM]: 30,
+    [DIFFICULTY_LEVELS.HARD]: 45,
+    [DIFFICULTY_LEVELS.BASIC]: 10,
+})
+
 export const FILTER_ALL = 'all'
 export const FILTER_SOLVED = 'solved'
 export const FILTER_UNSOLVED = 'unsolved'
 
+export const TAG_MATCH_ANY = 'any'
+export const TAG_MATCH_ALL = 'all'
+
+/**
+ * Question properties with independent filter toggles. In `filterFlags`
+ * each maps to true (must have), false (must not have) or is absent (either).
+ */
+export const QUESTION_FLAGS = Object.freeze({
+    STARRED: 'starred',
+    NOTES: 'notes',
+    VIDEO: 'video',
+    URL: 'url',
+    CUSTOM: 'custom',
+})
+
+// Whether a question has each flag
+const QUESTION_FLAG_TESTS = Object.freeze({
+    [QUESTION_FLAGS.STARRED]: q => Boolean(q.isStarred),
+    [QUESTION_FLAGS.NOTES]: q => Boolean(q.notes?.trim()),
+    [QUESTION_FLAGS.VIDEO]: q => Boolean(q.resource),
+    [QUESTION_FLAGS.URL]: q => Boolean(q.url),
+    [QUESTION_FLAGS.CUSTOM]: q => Boolean(q.isCustom),
+})
+
+export const ATTEMPT_OUTCOMES = Object.freeze({
+    SOLVED: 'solved',
+    FAILED: 'failed',
+    REVISITED: 'revisited',
+})
+
+export const VIEWS = Object.freeze({
+    TOPICS: 'topics',
+    REVIEW: 'review',
+    TABLE: 'table',
+})
+
+/**
+ * Where a dragged topic, subtopic or question would land relative to the
+ * item under it: as a sibling before or after it, or inside it (appended)
+ */
+export const DROP_POSITIONS = Object.freeze({
+    BEFORE: 'before',
+    AFTER: 'after',
+    INSIDE: 'inside',
+})
+
+/**
+ * Actions the bulk action bar applies to every selected question
+ */
+export const BULK_ACTIONS = Object.freeze({
+    SOLVE: 'solve',
+    UNSOLVE: 'unsolve',
+    STAR: 'star',
+    UNSTAR: 'unstar',
+    SET_DIFFICULTY: 'setDifficulty',
+    ADD_TAG: 'addTag',
+    REMOVE_TAG: 'removeTag',
+    MOVE: 'move',
+    DELETE: 'delete',
+})
+
+export const SORT_ASC = 'asc'
+export const SORT_DESC = 'desc'
+
+/**
+ * Columns the all-questions table can be sorted by
+ */
+export const TABLE_SORT_KEYS = Object.freeze({
+    TITLE: 'title',
+    TOPIC: 'topic',
+    DIFFICULTY: 'difficulty',
+    STATUS: 'status',
+    LAST_ATTEMPTED: 'lastAttempted',
+})
+
+const DEFAULT_TABLE_SETTINGS = Object.freeze({
+    sortKey: null,
+    sortDirection: SORT_ASC,
+    hiddenColumns: [],
+})
+
+// Command palette entries remembered as recently used
+const MAX_RECENT_COMMANDS = 8
+
+export const ISSUE_ERROR = 'error'
+export const ISSUE_WARNING = 'warning'
+
 export const THEME_DARK = 'dark'
 export const THEME_LIGHT = 'light'
 
@@ -52,6 +169,16 @@ function sanitizeString(value, fallback = '') {
     return value.trim() || fallback
 }
 
+/**
+ * Sanitizes Markdown notes. Unlike other strings they are stored verbatim
+ * (indentation and trailing spaces are significant in Markdown); only line
+ * endings are normalized, and whitespace-only notes count as empty.
+ */
+function sanitizeNotes(value) {
+    if (typeof value !== 'string' || !value.trim()) return ''
+    return value.replace(/\r\n?/g, '\n')
+}
+
 /**
  * Validates difficulty level, returns default if invalid
  */
@@ -76,31 +203,42 @@ function validateUrl(url) {
 }
 
 /**
- * Updates a nested item within the topics structure
- * Reduces code duplication across update operations
+ * Remembers deleted question ids so upstream sheet sync does not re-add them
  */
-function updateTopicsNested(topics, topicId, subtopicId, questionId, updater) {
-    return topics.map(topic => {
-        if (topicId && topic.id !== topicId) return topic
+function rememberDeletedQuestions(deletedQuestionIds, questionIds) {
+    const ids = questionIds.filter(id => !deletedQuestionIds.includes(id))
+    return ids.length > 0 ? [...deletedQuestionIds, ...ids] : deletedQuestionIds
+}
 
-        return {
-            ...topic,
-            subtopics: topic.subtopics.map(subtopic => {
-                if (subtopicId && subtopic.id !== subtopicId) return subtopic
+/**
+ * Builds an attempt log entry, dropping invalid optional fields
+ */
+function createAttempt({ outcome, durationMinutes, note } = {}) {
+    const minutes = Math.round(Number(durationMinutes))
+    return {
+        id: generateId('attempt'),
+        at: new Date().toISOString(),
+        outcome: Object.values(ATTEMPT_OUTCOMES).includes(outcome) ? outcome : ATTEMPT_OUTCOMES.REVISITED,
+        ...(Number.isFinite(minutes) && minutes > 0 && { durationMinutes: minutes }),
+        ...(sanitizeString(note) && { note: sanitizeString(note) }),
+    }
+}
 
-                if (questionId !== undefined) {
-                    return {
-                        ...subtopic,
-                        questions: subtopic.questions.map(q =>
-                            q.id === questionId ? updater(q) : q
-                        )
-                    }
-                }
+/**
+ * Appends an attempt to a question's log; the log is never rewritten
+ */
+function appendAttempt(question, attempt) {
+    return { ...question, attempts: [...(question.attempts || []), attempt] }
+}
 
-                return updater(subtopic)
-            })
-        }
-    })
+/**
+ * Marks a question solved, logs the solve and starts its review schedule
+ */
+function markSolved(question, durationMinutes) {
+    return appendAttempt(
+        { ...question, isSolved: true, review: question.review || createReviewSchedule() },
+        createAttempt({ outcome: ATTEMPT_OUTCOMES.SOLVED, durationMinutes })
+    )
 }
 
 /**
@@ -113,7 +251,238 @@ function reorderArray(array, oldIndex, newIndex) {
     const result = [...array]
     const [removed] = result.splice(oldIndex, 1)
     result.splice(newIndex, 0, removed)
-    return result.map((item, index) => ({ ...item, order: index }))
+    return result
+}
+
+/**
+ * True when two id lists hold the same ids in the same order
+ */
+function isSameOrder(ids, otherIds) {
+    return ids.length === otherIds.length && ids.every((id, index) => id === otherIds[index])
+}
+
+/**
+ * Returns the subtopics map with the given question ids removed from every
+ * subtopic that lists them
+ */
+function removeQuestionIds(subtopicsById, questionIds) {
+    const removed = new Set(questionIds)
+    const affected = Object.keys(subtopicsById).filter(id => subtopicsById[id].questionIds.some(qid => removed.has(qid)))
+    return updateEntities(subtopicsById, affected, s => ({ ...s, questionIds: s.questionIds.filter(id => !removed.has(id)) }))
+}
+
+/**
+ * Returns a copy of an array with item inserted at index, clamped to the
+ * array bounds; a missing index appends
+ */
+function insertAt(array, item, index = array.length) {
+    const at = Math.min(Math.max(0, index), array.length)
+    return [...array.slice(0, at), item, ...array.slice(at)]
+}
+
+// ============================================================================
+// Sheet Workspace Helpers
+// ============================================================================
+
+/**
+ * Per-sheet state. The active sheet's workspace lives in the top-level store
+ * fields so existing actions keep working; inactive sheets are kept in `sheets`.
+ */
+const SHEET_WORKSPACE_DEFAULTS = Object.freeze({
+    sheet: null,
+    ...EMPTY_TOPIC_ENTITIES,
+    expandedTopics: {},
+    expandedSubtopics: {},
+    upstreamHashes: {},
+    deletedQuestionIds: [],
+    searchQuery: '',
+    filterDifficulty: FILTER_ALL,
+    filterStatus: FILTER_ALL,
+    filterTags: [],
+    filterTagMatch: TAG_MATCH_ANY,
+    filterFlags: {},
+    selectedQuestionIds: {},
+    selectionAnchorId: null,
+})
+
+/**
+ * Workspace fields kept per sheet in memory but never persisted
+ */
+const TRANSIENT_WORKSPACE_KEYS = Object.freeze([
+    'searchQuery', 'filterDifficulty', 'filterStatus', 'filterTags', 'filterTagMatch', 'filterFlags',
+    'selectedQuestionIds', 'selectionAnchorId',
+])
+
+/**
+ * Builds a complete sheet workspace, picking known fields from data and
+ * falling back to defaults for anything missing. A nested `topics` tree
+ * (from sheet data or persisted state) is normalized into entity maps.
+ */
+function createSheetWorkspace(data = {}) {
+    const workspace = { ...SHEET_WORKSPACE_DEFAULTS }
+    for (const key of Object.keys(SHEET_WORKSPACE_DEFAULTS)) {
+        if (data?.[key] !== undefined) workspace[key] = data[key]
+    }
+    if (Array.isArray(data?.topics)) {
+        Object.assign(workspace, normalizeTopics(data.topics))
+    }
+    return workspace
+}
+
+/**
+ * Returns the sheets map with the live top-level fields written back into the active entry
+ */
+function syncActiveSheet(state) {
+    if (!state.activeSheetId) return state.sheets
+    return { ...state.sheets, [state.activeSheetId]: createSheetWorkspace(state) }
+}
+
+/**
+ * Strips in-memory-only fields from every workspace and stores topics as a
+ * nested tree, the persisted and backup format
+ */
+function toPersistedSheets(sheets) {
+    return Object.fromEntries(
+        Object.entries(sheets).map(([id, workspace]) => [
+            id,
+            {
+                ...Object.fromEntries(
+                    Object.entries(workspace).filter(([key]) => (
+                        !TRANSIENT_WORKSPACE_KEYS.includes(key) && !TOPIC_ENTITY_KEYS.includes(key)
+                    ))
+                ),
+                topics: denormalizeTopics(workspace),
+            },
+        ])
+    )
+}
+
+/**
+ * Selects the state written to localStorage and included in backups
+ */
+function partializeState(state) {
+    return {
+        sheets: toPersistedSheets(syncActiveSheet(state)),
+        activeSheetId: state.activeSheetId,
+        theme: state.theme,
+        dailyGoal: state.dailyGoal,
+        tableSettings: state.tableSettings,
+        timerTargets: state.timerTargets,
+        savedViews: state.savedViews,
+        recentCommandIds: state.recentCommandIds,
+        shortcutBindings: state.shortcutBindings,
+        activeTimer: state.activeTimer,
+        quarantine: state.quarantine,
+        loading: false,
+    }
+}
+
+/**
+ * Builds store state from a (migrated) persisted snapshot and loads the
+ * active sheet's workspace into the top-level fields
+ */
+function hydratePersistedState(persistedState, currentState) {
+    if (!persistedState) return currentState
+
+    const sheets = Object.fromEntries(
+        Object.entries(persistedState.sheets || {}).map(([id, workspace]) => [id, createSheetWorkspace(workspace)])
+    )
+    let activeSheetId = persistedState.activeSheetId
+
+    if (!sheets[activeSheetId]) {
+        activeSheetId = Object.keys(sheets)[0] ?? null
+    }
+
+    return {
+        ...currentState,
+        ...persistedState,
+        sheets,
+        activeSheetId,
+        ...(activeSheetId && createSheetWorkspace(sheets[activeSheetId])),
+    }
+}
+
+/**
+ * Creates metadata for a user-created sheet
+ */
+function createSheetMeta(name) {
+    return {
+        id: generateId('sheet'),
+        name,
+        description: '',
+        author: '',
+        followers: 0,
+        banner: '',
+        link: '',
+        tags: [],
+    }
+}
+
+// ============================================================================
+// History Helpers
+// ============================================================================
+
+/**
+ * The part of the active sheet that undo/redo restores
+ */
+function pickUndoSnapshot(state) {
+    return {
+        topicIds: state.topicIds,
+        topicsById: state.topicsById,
+        subtopicsById: state.subtopicsById,
+        questionsById: state.questionsById,
+        deletedQuestionIds: state.deletedQuestionIds,
+        expandedTopics: state.expandedTopics,
+        expandedSubtopics: state.expandedSubtopics,
+    }
+}
+
+/**
+ * Expansion map with the entries of `restoredIds` taken from `previous`
+ */
+function restoreExpansion(current, previous, restoredIds) {
+    const restored = restoredIds.filter(id => previous[id])
+    if (restored.length === 0) return current
+    return { ...current, ...Object.fromEntries(restored.map(id => [id, previous[id]])) }
+}
+
+/**
+ * Store fields that restore an undo/redo snapshot. The attempt log is
+ * append-only, so restored questions keep the attempts they have now.
+ * Expansion changes are not undone, but topics and subtopics that come
+ * back get the expansion they had.
+ */
+function restoreUndoSnapshot(state, snapshot) {
+    const { expandedTopics, expandedSubtopics, ...tree } = snapshot
+    const current = state.questionsById
+    const changedIds = Object.keys(snapshot.questionsById)
+        .filter(id => current[id] && current[id].attempts !== snapshot.questionsById[id].attempts)
+    return {
+        ...tree,
+        expandedTopics: restoreExpansion(
+            state.expandedTopics, expandedTopics, Object.keys(tree.topicsById).filter(id => !state.topicsById[id])
+        ),
+        expandedSubtopics: restoreExpansion(
+            state.expandedSubtopics, expandedSubtopics, Object.keys(tree.subtopicsById).filter(id => !state.subtopicsById[id])
+        ),
+        questionsById: changedIds.length > 0
+            ? updateEntities(snapshot.questionsById, changedIds, q => ({ ...q, attempts: current[q.id].attempts }))
+            : snapshot.questionsById,
+    }
+}
+
+/**
+ * Applies a topic-tree mutation and records the previous tree for undo.
+ * Destructive mutations also raise the undo toast; any other mutation
+ * clears it, since Undo would no longer revert what the toast describes.
+ */
+function commitWithHistory(set, get, label, partial, { destructive = false } = {}) {
+    const state = get()
+    set({
+        ...partial,
+        history: recordHistory(state.history, state.activeSheetId, { label, snapshot: pickUndoSnapshot(state) }),
+        undoToast: destructive ? { id: Date.now(), message: label } : null,
+    })
 }
 
 // ============================================================================
@@ -121,17 +490,72 @@ function reorderArray(array, oldIndex, newIndex) {
 // ============================================================================
 
 /**
- * Transforms raw question data from JSON into normalized structure
+ * Checks a raw question entry and reports problems through `report`.
+ * Returns false when the entry is unusable and must be skipped.
+ */
+function validateRawQuestion(q, report) {
+    if (!q || typeof q !== 'object') {
+        report(ISSUE_ERROR, 'Entry is not a question object')
+        return false
+    }
+
+    if (!sanitizeString(q.title)) {
+        report(ISSUE_ERROR, 'Missing title')
+        return false
+    }
+
+    if (!q.questionId || typeof q.questionId !== 'object') {
+        report(ISSUE_WARNING, 'Missing questionId details, so difficulty, URL and tags are empty')
+        return true
+    }
+
+    const { difficulty, problemUrl } = q.questionId
+    if (validateDifficulty(difficulty) !== difficulty) {
+        report(ISSUE_WARNING, difficulty
+            ? `Unknown difficulty "${difficulty}", defaulted to ${DIFFICULTY_LEVELS.MEDIUM}`
+            : `Missing difficulty, defaulted to ${DIFFICULTY_LEVELS.MEDIUM}`)
+    }
+
+    if (problemUrl && !validateUrl(problemUrl)) {
+        report(ISSUE_WARNING, 'Invalid problem URL was dropped')
+    }
+
+    return true
+}
+
+/**
+ * Transforms raw question data from JSON into normalized structure.
+ * Throws only when the sheet envelope itself is malformed; problems with
+ * individual questions are collected in `issues` and bad entries are skipped.
  */
 function transformSheetData(rawData) {
-    if (!rawData?.data?.sheet || !rawData?.data?.questions) {
-        throw new Error('Invalid sheet data format')
+    if (!rawData?.data?.sheet || !Array.isArray(rawData?.data?.questions)) {
+        throw new Error('Invalid sheet data format: expected data.sheet and a data.questions array')
     }
 
     const { sheet, questions } = rawData.data
     const topicsMap = new Map()
+    const seenIds = new Set()
+    const issues = []
+
+    questions.forEach((q, index) => {
+        const report = (severity, message) => issues.push({
+            index,
+            title: typeof q?.title === 'string' ? q.title : '',
+            severity,
+            message,
+        })
+
+        if (!validateRawQuestion(q, report)) return
+
+        let id = typeof q._id === 'string' ? q._id : ''
+        if (id && seenIds.has(id)) {
+            report(ISSUE_WARNING, `Duplicate id "${id}", assigned a new one`)
+            id = ''
+        }
+        id = id || generateId('question')
+        seenIds.add(id)
 
-    questions.forEach((q) => {
         const topicName = sanitizeString(q.topic, 'General')
         const subtopicName = sanitizeString(q.subTopic, 'General')
 
@@ -158,7 +582,7 @@ function transformSheetData(rawData) {
         const subtopic = topic.subtopics.get(subtopicName)
 
         subtopic.questions.push({
-            id: q._id || generateId('question'),
+            id,
             title: sanitizeString(q.title, 'Untitled Question'),
             topic: topicName,
             subtopic: subtopicName,
@@ -170,6 +594,8 @@ function transformSheetData(rawData) {
             isStarred: Boolean(q.isStarred),
             order: subtopic.questions.length,
             notes: '',
+            attempts: [],
+            isCustom: false,
         })
     })
 
@@ -190,6 +616,7 @@ function transformSheetData(rawData) {
             tags: Array.isArray(sheet.tag) ? sheet.tag.filter(t => typeof t === 'string') : [],
         },
         topics,
+        issues,
     }
 }
 
@@ -201,32 +628,55 @@ export const useStore = create(
     persist(
         (set, get) => ({
             // State
-            sheet: null,
-            topics: [],
-            expandedTopics: {},
-            expandedSubtopics: {},
+            ...SHEET_WORKSPACE_DEFAULTS,
+            sheets: {},
+            activeSheetId: null,
             loading: true,
             error: null,
-            searchQuery: '',
-            filterDifficulty: FILTER_ALL,
-            filterStatus: FILTER_ALL,
             theme: THEME_DARK,
             showStats: false,
+            showCommandPalette: false,
+            recentCommandIds: [],
+            shortcutBindings: {},
+            dailyGoal: DEFAULT_DAILY_GOAL,
+            tableSettings: DEFAULT_TABLE_SETTINGS,
+            timerTargets: DEFAULT_TIMER_TARGETS,
+            activeTimer: null,
+            activeView: VIEWS.TOPICS,
+            savedViews: [],
+            quarantine: [],
+            syncSummary: null,
+            history: createHistory(),
+            undoToast: null,
 
             // Data Loading
             fetchSheetData: () => {
                 const state = get()
 
-                // Skip if data already loaded from persistence
-                if (state.topics.length > 0 && !state.loading) {
+                // Data already loaded from persistence only needs upstream changes merged in
+                if (state.activeSheetId && !state.loading) {
+                    get().syncBundledSheet()
                     return
                 }
 
                 set({ loading: true, error: null })
 
                 try {
-                    const { sheet, topics } = transformSheetData(sheetData)
-                    set({ sheet, topics, loading: false })
+                    const { issues, ...data } = transformSheetData(sheetData)
+                    if (issues.length > 0) {
+                        console.warn('Bundled sheet data has issues:', issues)
+                    }
+
+                    const workspace = createSheetWorkspace({
+                        ...data,
+                        upstreamHashes: computeUpstreamHashes(data.topics),
+                    })
+                    set({
+                        sheets: { ...state.sheets, [workspace.sheet.id]: workspace },
+                        activeSheetId: workspace.sheet.id,
+                        ...workspace,
+                        loading: false,
+                    })
                 } catch (error) {
                     console.error('Failed to load sheet data:', error)
                     set({
@@ -236,117 +686,752 @@ export const useStore = create(
                 }
             },
 
-            resetProgress: () => {
-                localStorage.removeItem(STORAGE_KEY)
-                set({ topics: [], sheet: null, loading: true, error: null })
-                // Re-fetch after state reset
-                setTimeout(() => get().fetchSheetData(), 0)
+            /**
+             * Merges the bundled sheet.json into the user's copy of that sheet,
+             * keeping progress, notes and ordering. Leaves a summary when anything changed.
+             */
+            syncBundledSheet: () => {
+                const state = get()
+
+                let upstream
+                try {
+                    upstream = transformSheetData(sheetData)
+                } catch (error) {
+                    console.error('Failed to read bundled sheet data:', error)
+                    return
+                }
+
+                const sheets = syncActiveSheet(state)
+                const workspace = sheets[upstream.sheet.id]
+                // The user deleted the bundled sheet
+                if (!workspace) return
+
+                const { workspace: result, summary } = mergeUpstreamSheet(
+                    { ...workspace, topics: denormalizeTopics(workspace) },
+                    upstream
+                )
+                // Only re-normalize when the merge changed the tree, so unchanged entities keep their identity
+                const { topics: _topics, ...fields } = result
+                const merged = createSheetWorkspace(summary ? result : fields)
+                const isActive = upstream.sheet.id === state.activeSheetId
+
+                set({
+                    sheets: { ...sheets, [upstream.sheet.id]: merged },
+                    ...(isActive && merged),
+                    // Older snapshots would revert the merged changes
+                    ...(isActive && summary && { history: createHistory() }),
+                    syncSummary: summary && { sheetName: merged.sheet.name, ...summary },
+                })
+            },
+
+            dismissSyncSummary: () => {
+                set({ syncSummary: null })
+            },
+
+            resetProgress: () => {
+                localStorage.removeItem(STORAGE_KEY)
+                set({
+                    ...SHEET_WORKSPACE_DEFAULTS,
+                    sheets: {},
+                    activeSheetId: null,
+                    history: createHistory(),
+                    undoToast: null,
+                    activeTimer: null,
+                    loading: true,
+                    error: null,
+                })
+                // Re-fetch after state reset
+                setTimeout(() => get().fetchSheetData(), 0)
+            },
+
+            // Records set aside by failed migrations
+            dismissQuarantine: () => {
+                set({ quarantine: [] })
+            },
+
+            // Backup Actions
+            exportBackup: () => createBackup(partializeState(get())),
+
+            /**
+             * Validates a parsed backup file and describes what restoring it would change.
+             * Throws if the backup cannot be restored.
+             */
+            previewBackup: (data) => {
+                const persistedState = parseBackup(data)
+                return {
+                    persistedState,
+                    exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+                    changes: summarizeBackupChanges(partializeState(get()), persistedState),
+                }
+            },
+
+            restoreBackup: (persistedState) => {
+                if (!persistedState?.sheets) return
+                set({
+                    ...hydratePersistedState({ activeTimer: null, ...persistedState, loading: false }, get()),
+                    history: createHistory(),
+                    undoToast: null,
+                })
+            },
+
+            // History Actions
+            undo: () => {
+                const state = get()
+                if (!canUndo(state.history, state.activeSheetId)) return
+
+                const { entry, history } = stepBack(state.history, { snapshot: pickUndoSnapshot(state) })
+                set({ ...restoreUndoSnapshot(state, entry.snapshot), history, undoToast: null })
+            },
+
+            redo: () => {
+                const state = get()
+                if (!canRedo(state.history, state.activeSheetId)) return
+
+                const { entry, history } = stepForward(state.history, { snapshot: pickUndoSnapshot(state) })
+                set({ ...restoreUndoSnapshot(state, entry.snapshot), history, undoToast: null })
+            },
+
+            dismissUndoToast: () => {
+                set({ undoToast: null })
+            },
+
+            // Sheet Actions
+            switchSheet: (sheetId) => {
+                const state = get()
+                if (!sheetId || sheetId === state.activeSheetId || !state.sheets[sheetId]) return
+
+                // A running timer belongs to the sheet being left, so save it first
+                if (state.activeTimer) {
+                    get().stopTimer()
+                }
+
+                const sheets = syncActiveSheet(get())
+                set({
+                    sheets,
+                    activeSheetId: sheetId,
+                    ...createSheetWorkspace(sheets[sheetId]),
+                    undoToast: null,
+                })
+            },
+
+            /**
+             * Adds a sheet to the workspace and makes it active.
+             * Returns the id the sheet was stored under.
+             */
+            addSheet: ({ sheet, topics }) => {
+                if (!sheet) return null
+
+                const state = get()
+                const id = sheet.id && !state.sheets[sheet.id] ? sheet.id : generateId('sheet')
+                const workspace = createSheetWorkspace({
+                    sheet: { ...sheet, id },
+                    topics: Array.isArray(topics) ? topics : [],
+                })
+
+                set({
+                    sheets: { ...syncActiveSheet(state), [id]: workspace },
+                    activeSheetId: id,
+                    ...workspace,
+                    undoToast: null,
+                })
+                return id
+            },
+
+            /**
+             * Imports raw Codolio-format sheet JSON as a new sheet.
+             * Throws if the envelope is malformed or no question is usable.
+             */
+            importSheet: (rawData) => {
+                const { sheet, topics, issues } = transformSheetData(rawData)
+                const questionCount = calculateTotalProgress(topics).total
+
+                if (questionCount === 0 && rawData.data.questions.length > 0) {
+                    throw new Error('No valid questions found in sheet data')
+                }
+
+                const sheetId = get().addSheet({ sheet, topics })
+                return { sheetId, sheetName: sheet.name, questionCount, issues }
+            },
+
+            /**
+             * Reads a JSON file and imports it as a new sheet.
+             * Resolves with a summary; failures are reported through `error` rather than rejecting.
+             */
+            importSheetFile: async (file) => {
+                try {
+                    const rawData = await readJsonFile(file)
+                    return { fileName: file.name, ...get().importSheet(rawData), error: null }
+                } catch (error) {
+                    return {
+                        fileName: file?.name || '',
+                        error: error instanceof Error ? error.message : 'Failed to import sheet',
+                    }
+                }
+            },
+
+            createSheet: (name) => {
+                const sanitizedName = sanitizeString(name)
+                if (!sanitizedName) return null
+                return get().addSheet({ sheet: createSheetMeta(sanitizedName), topics: [] })
+            },
+
+            deleteSheet: (sheetId) => {
+                const state = get()
+                if (!sheetId || !state.sheets[sheetId]) return
+
+                // The workspace always keeps at least one sheet
+                const { [sheetId]: _removed, ...sheets } = syncActiveSheet(state)
+                const remainingIds = Object.keys(sheets)
+                if (remainingIds.length === 0) return
+
+                if (sheetId !== state.activeSheetId) {
+                    set({ sheets })
+                    return
+                }
+
+                const nextId = remainingIds[0]
+                set({
+                    sheets,
+                    activeSheetId: nextId,
+                    ...createSheetWorkspace(sheets[nextId]),
+                    ...(state.activeTimer?.sheetId === sheetId && { activeTimer: null }),
+                    undoToast: null,
+                })
+            },
+
+            // UI State Actions
+            toggleTopicExpansion: (topicId) => {
+                if (!topicId) return
+                const { expandedTopics } = get()
+                set({ expandedTopics: { ...expandedTopics, [topicId]: !expandedTopics[topicId] } })
+            },
+
+            toggleSubtopicExpansion: (subtopicId) => {
+                if (!subtopicId) return
+                const { expandedSubtopics } = get()
+                set({ expandedSubtopics: { ...expandedSubtopics, [subtopicId]: !expandedSubtopics[subtopicId] } })
+            },
+
+            expandTopic: (topicId) => {
+                const { expandedTopics } = get()
+                if (!topicId || expandedTopics[topicId]) return
+                set({ expandedTopics: { ...expandedTopics, [topicId]: true } })
+            },
+
+            expandSubtopic: (subtopicId) => {
+                const { expandedSubtopics } = get()
+                if (!subtopicId || expandedSubtopics[subtopicId]) return
+                set({ expandedSubtopics: { ...expandedSubtopics, [subtopicId]: true } })
+            },
+
+            expandAllTopics: () => {
+                const { topicIds } = get()
+                const expanded = Object.fromEntries(topicIds.map(id => [id, true]))
+                set({ expandedTopics: expanded })
+            },
+
+            collapseAllTopics: () => {
+                set({ expandedTopics: {} })
+            },
+
+            setSearchQuery: (query) => {
+                set({ searchQuery: typeof query === 'string' ? query : '' })
+            },
+
+            setFilterDifficulty: (difficulty) => {
+                set({ filterDifficulty: difficulty || FILTER_ALL })
+            },
+
+            setFilterStatus: (status) => {
+                set({ filterStatus: status || FILTER_ALL })
+            },
+
+            toggleFilterTag: (tag) => {
+                if (!tag) return
+                const { filterTags } = get()
+                set({
+                    filterTags: filterTags.includes(tag)
+                        ? filterTags.filter(t => t !== tag)
+                        : [...filterTags, tag],
+                })
+            },
+
+            setFilterTags: (tags) => {
+                set({ filterTags: Array.isArray(tags) ? tags.filter(t => typeof t === 'string' && t) : [] })
+            },
+
+            setFilterTagMatch: (mode) => {
+                set({ filterTagMatch: mode === TAG_MATCH_ALL ? TAG_MATCH_ALL : TAG_MATCH_ANY })
+            },
+
+            /**
+             * Requires (true) or excludes (false) questions with a flag;
+             * null clears the toggle
+             */
+            setFilterFlag: (flag, value) => {
+                if (!QUESTION_FLAG_TESTS[flag]) return
+                const { [flag]: _previous, ...rest } = get().filterFlags
+                set({ filterFlags: typeof value === 'boolean' ? { ...rest, [flag]: value } : rest })
+            },
+
+            /**
+             * Sets search and filters together (from the URL or a saved view).
+             * Unknown difficulty, status or tag-match values fall back to the defaults.
+             */
+            applyFilters: ({ searchQuery, filterDifficulty, filterStatus, filterTags, filterTagMatch, filterFlags } = {}) => {
+                set({
+                    searchQuery: typeof searchQuery === 'string' ? searchQuery : '',
+                    filterDifficulty: Object.values(DIFFICULTY_LEVELS).includes(filterDifficulty) ? filterDifficulty : FILTER_ALL,
+                    filterStatus: [FILTER_SOLVED, FILTER_UNSOLVED].includes(filterStatus) ? filterStatus : FILTER_ALL,
+                    filterTags: Array.isArray(filterTags) ? filterTags.filter(t => typeof t === 'string' && t) : [],
+                    filterTagMatch: filterTagMatch === TAG_MATCH_ALL ? TAG_MATCH_ALL : TAG_MATCH_ANY,
+                    filterFlags: Object.fromEntries(
+                        Object.entries(filterFlags || {})
+                            .filter(([flag, value]) => QUESTION_FLAG_TESTS[flag] && typeof value === 'boolean')
+                    ),
+                })
+            },
+
+            clearFilters: () => {
+                get().applyFilters()
+            },
+
+            // Saved View Actions
+            /**
+             * Saves the current search and filters under a name, replacing a
+             * view with the same name. Returns the view id.
+             */
+            saveView: (name) => {
+                const sanitizedName = sanitizeString(name)
+                if (!sanitizedName) return null
+
+                const { savedViews, ...state } = get()
+                const filters = selectFilters(state)
+                const existing = savedViews.find(v => v.name.toLowerCase() === sanitizedName.toLowerCase())
+                const view = {
+                    id: existing?.id || generateId('view'),
+                    name: sanitizedName,
+                    ...filters,
+                }
+
+                set({
+                    savedViews: existing
+                        ? savedViews.map(v => v.id === existing.id ? view : v)
+                        : [...savedViews, view],
+                })
+                return view.id
+            },
+
+            applyView: (viewId) => {
+                const view = get().savedViews.find(v => v.id === viewId)
+                if (!view) return
+                get().applyFilters(view)
+                set({ activeView: VIEWS.TOPICS })
+            },
+
+            deleteView: (viewId) => {
+                if (!viewId) return
+                set({ savedViews: get().savedViews.filter(v => v.id !== viewId) })
+            },
+
+            toggleTheme: () => {
+                const { theme } = get()
+                set({ theme: theme === THEME_DARK ? THEME_LIGHT : THEME_DARK })
+            },
+
+            setDailyGoal: (goal) => {
+                const value = Math.round(Number(goal))
+                if (!Number.isFinite(value) || value < 1) return
+                set({ dailyGoal: Math.min(MAX_DAILY_GOAL, value) })
             },
 
-            // UI State Actions
-            toggleTopicExpansion: (topicId) => {
-                if (!topicId) return
-                const { expandedTopics } = get()
-                set({ expandedTopics: { ...expandedTopics, [topicId]: !expandedTopics[topicId] } })
+            setActiveView: (view) => {
+                if (!Object.values(VIEWS).includes(view)) return
+                set({ activeView: view })
             },
 
-            toggleSubtopicExpansion: (subtopicId) => {
-                if (!subtopicId) return
-                const { expandedSubtopics } = get()
-                set({ expandedSubtopics: { ...expandedSubtopics, [subtopicId]: !expandedSubtopics[subtopicId] } })
+            toggleStats: () => {
+                set(state => ({ showStats: !state.showStats }))
             },
 
-            expandAllTopics: () => {
-                const { topics } = get()
-                const expanded = Object.fromEntries(topics.map(t => [t.id, true]))
-                set({ expandedTopics: expanded })
+            // Command Palette Actions
+            toggleCommandPalette: () => {
+                set(state => ({ showCommandPalette: !state.showCommandPalette }))
             },
 
-            collapseAllTopics: () => {
-                set({ expandedTopics: {} })
+            closeCommandPalette: () => {
+                set({ showCommandPalette: false })
             },
 
-            setSearchQuery: (query) => {
-                set({ searchQuery: typeof query === 'string' ? query : '' })
+            /**
+             * Moves a command to the front of the recently used list
+             */
+            recordCommand: (commandId) => {
+                if (typeof commandId !== 'string' || !commandId) return
+                const { recentCommandIds } = get()
+                set({
+                    recentCommandIds: [commandId, ...recentCommandIds.filter(id => id !== commandId)].slice(0, MAX_RECENT_COMMANDS),
+                })
             },
 
-            setFilterDifficulty: (difficulty) => {
-                set({ filterDifficulty: difficulty || FILTER_ALL })
+            // Keyboard Shortcut Actions
+            /**
+             * Binds keys to a shortcut action; other actions lose any binding
+             * that clashes with it
+             */
+            assignShortcut: (actionId, binding) => {
+                const normalized = normalizeBinding(binding)
+                if (!getShortcutAction(actionId) || !normalized) return
+                set({ shortcutBindings: assignBinding(get().shortcutBindings, actionId, normalized) })
             },
 
-            setFilterStatus: (status) => {
-                set({ filterStatus: status || FILTER_ALL })
+            removeShortcut: (actionId, binding) => {
+                if (!getShortcutAction(actionId)) return
+                set({ shortcutBindings: removeBinding(get().shortcutBindings, actionId, binding) })
             },
 
-            toggleTheme: () => {
-                const { theme } = get()
-                set({ theme: theme === THEME_DARK ? THEME_LIGHT : THEME_DARK })
+            /**
+             * Restores the default bindings of one action (taking them back
+             * from any action they were reassigned to), or of all of them
+             */
+            resetShortcuts: (actionId) => {
+                if (actionId === undefined) {
+                    set({ shortcutBindings: {} })
+                    return
+                }
+                const action = getShortcutAction(actionId)
+                if (!action) return
+
+                const { [actionId]: _removed, ...rest } = get().shortcutBindings
+                set({
+                    shortcutBindings: action.defaultBindings.reduce(
+                        (overrides, binding) => assignBinding(overrides, actionId, binding),
+                        rest
+                    ),
+                })
             },
 
-            toggleStats: () => {
-                set(state => ({ showStats: !state.showStats }))
+            // Table View Actions
+            /**
+             * Sorts the table by a column: ascending, then descending, then sheet order
+             */
+            setTableSort: (sortKey) => {
+                if (!Object.values(TABLE_SORT_KEYS).includes(sortKey)) return
+                const { tableSettings } = get()
+
+                let next = { sortKey, sortDirection: SORT_ASC }
+                if (tableSettings.sortKey === sortKey) {
+                    next = tableSettings.sortDirection === SORT_ASC
+                        ? { sortKey, sortDirection: SORT_DESC }
+                        : { sortKey: null, sortDirection: SORT_ASC }
+                }
+                set({ tableSettings: { ...tableSettings, ...next } })
+            },
+
+            toggleTableColumn: (column) => {
+                if (!column) return
+                const { tableSettings } = get()
+                const hiddenColumns = tableSettings.hiddenColumns.includes(column)
+                    ? tableSettings.hiddenColumns.filter(c => c !== column)
+                    : [...tableSettings.hiddenColumns, column]
+                set({ tableSettings: { ...tableSettings, hiddenColumns } })
             },
 
             // Question Actions
             toggleQuestionSolved: (questionId) => {
-                if (!questionId) return
-                const { topics } = get()
-                const newTopics = topics.map(topic => ({
-                    ...topic,
-                    subtopics: topic.subtopics.map(subtopic => ({
-                        ...subtopic,
-                        questions: subtopic.questions.map(q =>
-                            q.id === questionId ? { ...q, isSolved: !q.isSolved } : q
-                        )
-                    }))
-                }))
-                set({ topics: newTopics })
+                const { questionsById, activeTimer, activeSheetId } = get()
+                const question = questionsById[questionId]
+                if (!question) return
+
+                // Solving a timed question finishes its session as a solve
+                const isTimed = activeTimer?.questionId === questionId && activeTimer.sheetId === activeSheetId
+                if (isTimed && !question.isSolved) {
+                    get().stopTimer({ solved: true })
+                    return
+                }
+
+                commitWithHistory(set, get, 'Question solved status changed', {
+                    questionsById: updateEntities(questionsById, [questionId], q => (
+                        // Solving is an attempt; unchecking only corrects the flag
+                        q.isSolved ? { ...q, isSolved: false } : markSolved(q)
+                    )),
+                })
             },
 
             toggleQuestionStarred: (questionId) => {
-                if (!questionId) return
-                const { topics } = get()
-                const newTopics = topics.map(topic => ({
-                    ...topic,
-                    subtopics: topic.subtopics.map(subtopic => ({
-                        ...subtopic,
-                        questions: subtopic.questions.map(q =>
-                            q.id === questionId ? { ...q, isStarred: !q.isStarred } : q
-                        )
-                    }))
-                }))
-                set({ topics: newTopics })
+                const { questionsById } = get()
+                if (!questionsById[questionId]) return
+                commitWithHistory(set, get, 'Question star changed', {
+                    questionsById: updateEntities(questionsById, [questionId], q => ({ ...q, isStarred: !q.isStarred })),
+                })
             },
 
             toggleAllInSubtopic: (topicId, subtopicId, solved) => {
                 if (!topicId || !subtopicId) return
-                const { topics } = get()
-                const newTopics = updateTopicsNested(
-                    topics,
-                    topicId,
-                    subtopicId,
-                    undefined,
-                    subtopic => ({
-                        ...subtopic,
-                        questions: subtopic.questions.map(q => ({ ...q, isSolved: Boolean(solved) }))
-                    })
+                const { subtopicsById, questionsById } = get()
+                const subtopic = subtopicsById[subtopicId]
+                if (!subtopic) return
+                commitWithHistory(
+                    set,
+                    get,
+                    solved ? 'Subtopic marked solved' : 'Subtopic marked unsolved',
+                    {
+                        questionsById: updateEntities(questionsById, subtopic.questionIds, q => (solved && !q.isSolved
+                            ? markSolved(q)
+                            : { ...q, isSolved: Boolean(solved) }
+                        )),
+                    },
+                    { destructive: true }
                 )
-                set({ topics: newTopics })
             },
 
             updateQuestionNotes: (questionId, notes) => {
-                if (!questionId) return
-                const { topics } = get()
-                const newTopics = topics.map(topic => ({
-                    ...topic,
-                    subtopics: topic.subtopics.map(subtopic => ({
-                        ...subtopic,
-                        questions: subtopic.questions.map(q =>
-                            q.id === questionId ? { ...q, notes: sanitizeString(notes) } : q
+                const { questionsById } = get()
+                if (!questionsById[questionId]) return
+                commitWithHistory(set, get, 'Notes updated', {
+                    questionsById: updateEntities(questionsById, [questionId], q => ({ ...q, notes: sanitizeNotes(notes) })),
+                })
+            },
+
+            /**
+             * Appends an attempt ({ outcome, durationMinutes?, note? }) to a question.
+             * A solved attempt also marks the question solved.
+             */
+            logAttempt: (questionId, attemptData) => {
+                const { questionsById } = get()
+                if (!questionsById[questionId]) return
+                const attempt = createAttempt(attemptData)
+                commitWithHistory(set, get, 'Attempt logged', {
+                    questionsById: updateEntities(questionsById, [questionId], q => appendAttempt(
+                        attempt.outcome === ATTEMPT_OUTCOMES.SOLVED
+                            ? { ...q, isSolved: true, review: q.review || createReviewSchedule() }
+                            : q,
+                        attempt
+                    )),
+                })
+            },
+
+            // Selection Actions
+            /**
+             * Selects or deselects a question. With `range`, every visible
+             * question between the last one clicked and this one is selected.
+             */
+            toggleQuestionSelected: (questionId, { range = false } = {}) => {
+                const state = get()
+                if (!state.questionsById[questionId]) return
+
+                if (range && state.selectionAnchorId) {
+                    const visibleIds = getVisibleQuestionIds(state)
+                    const from = visibleIds.indexOf(state.selectionAnchorId)
+                    const to = visibleIds.indexOf(questionId)
+                    if (from !== -1 && to !== -1) {
+                        const rangeIds = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+                        set({
+                            selectedQuestionIds: {
+                                ...state.selectedQuestionIds,
+                                ...Object.fromEntries(rangeIds.map(id => [id, true])),
+                            },
+                        })
+                        return
+                    }
+                }
+
+                const selectedQuestionIds = { ...state.selectedQuestionIds }
+                if (selectedQuestionIds[questionId]) {
+                    delete selectedQuestionIds[questionId]
+                } else {
+                    selectedQuestionIds[questionId] = true
+                }
+                set({ selectedQuestionIds, selectionAnchorId: questionId })
+            },
+
+            /**
+             * Selects every question that matches the current search and filters
+             */
+            selectVisibleQuestions: () => {
+                const visibleIds = getVisibleQuestionIds(get())
+                set({ selectedQuestionIds: Object.fromEntries(visibleIds.map(id => [id, true])), selectionAnchorId: null })
+            },
+
+            clearQuestionSelection: () => {
+                if (Object.keys(get().selectedQuestionIds).length === 0) return
+                set({ selectedQuestionIds: {}, selectionAnchorId: null })
+            },
+
+            // Bulk Actions
+            /**
+             * Applies a BULK_ACTIONS action to every selected question as a
+             * single undo step. `value` is the difficulty, the tag, or the id
+             * of the subtopic to move into.
+             */
+            applyBulkAction: (action, value) => {
+                const state = get()
+                const ids = Object.keys(state.selectedQuestionIds).filter(id => state.questionsById[id])
+                if (ids.length === 0) return
+
+                const count = `${ids.length} ${ids.length === 1 ? 'question' : 'questions'}`
+                const updateSelected = (label, updater) => commitWithHistory(set, get, label, {
+                    questionsById: updateEntities(state.questionsById, ids, updater),
+                }, { destructive: true })
+
+                switch (action) {
+                    case BULK_ACTIONS.SOLVE:
+                        updateSelected(`${count} marked solved`, q => (q.isSolved ? q : markSolved(q)))
+                        break
+                    case BULK_ACTIONS.UNSOLVE:
+                        updateSelected(`${count} marked unsolved`, q => ({ ...q, isSolved: false }))
+                        break
+                    case BULK_ACTIONS.STAR:
+                        updateSelected(`${count} starred`, q => ({ ...q, isStarred: true }))
+                        break
+                    case BULK_ACTIONS.UNSTAR:
+                        updateSelected(`${count} unstarred`, q => ({ ...q, isStarred: false }))
+                        break
+                    case BULK_ACTIONS.SET_DIFFICULTY: {
+                        const difficulty = validateDifficulty(value)
+                        updateSelected(`${count} set to ${difficulty}`, q => ({ ...q, difficulty }))
+                        break
+                    }
+                    case BULK_ACTIONS.ADD_TAG: {
+                        const tag = sanitizeString(value)
+                        if (!tag) return
+                        updateSelected(`Tag "${tag}" added to ${count}`, q => (
+                            q.tags?.includes(tag) ? q : { ...q, tags: [...(q.tags || []), tag] }
+                        ))
+                        break
+                    }
+                    case BULK_ACTIONS.REMOVE_TAG: {
+                        const tag = sanitizeString(value)
+                        if (!tag) return
+                        updateSelected(`Tag "${tag}" removed from ${count}`, q => (
+                            q.tags?.includes(tag) ? { ...q, tags: q.tags.filter(t => t !== tag) } : q
+                        ))
+                        break
+                    }
+                    case BULK_ACTIONS.MOVE: {
+                        const target = state.subtopicsById[value]
+                        if (!target) return
+                        const topic = Object.values(state.topicsById).find(t => t.subtopicIds.includes(value))
+                        // Moved questions keep their sheet order, after the target's own
+                        const selected = new Set(ids)
+                        const movedIds = flattenQuestions(selectTopics(state))
+                            .map(row => row.question.id)
+                            .filter(id => selected.has(id))
+                        const subtopicsById = removeQuestionIds(state.subtopicsById, movedIds)
+                        const questionIds = [...subtopicsById[value].questionIds, ...movedIds]
+                        // Close the gaps the moved questions leave in their old subtopics
+                        const sourceIds = Object.keys(subtopicsById)
+                            .filter(id => id !== value && subtopicsById[id] !== state.subtopicsById[id])
+                        const renumbered = sourceIds.reduce(
+                            (questionsById, id) => applyOrder(questionsById, subtopicsById[id].questionIds),
+                            state.questionsById
                         )
-                    }))
-                }))
-                set({ topics: newTopics })
+
+                        commitWithHistory(set, get, `${count} moved to ${target.name}`, {
+                            subtopicsById: { ...subtopicsById, [value]: { ...subtopicsById[value], questionIds } },
+                            questionsById: updateEntities(
+                                applyOrder(renumbered, questionIds),
+                                movedIds,
+                                q => ({ ...q, topic: topic?.name ?? q.topic, subtopic: target.name })
+                            ),
+                        }, { destructive: true })
+                        break
+                    }
+                    case BULK_ACTIONS.DELETE:
+                        commitWithHistory(set, get, `${count} deleted`, {
+                            subtopicsById: removeQuestionIds(state.subtopicsById, ids),
+                            questionsById: omitEntities(state.questionsById, ids),
+                            deletedQuestionIds: rememberDeletedQuestions(state.deletedQuestionIds, ids),
+                            selectedQuestionIds: {},
+                            selectionAnchorId: null,
+                        }, { destructive: true })
+                        break
+                    default:
+                        break
+                }
+            },
+
+            // Practice Timer Actions
+            /**
+             * Starts or resumes the timer for a question. Only one question is
+             * timed at a time; a timer running on another question is saved first.
+             */
+            startTimer: (questionId) => {
+                if (!questionId) return
+                const { activeTimer, activeSheetId } = get()
+
+                if (activeTimer?.questionId === questionId && activeTimer.sheetId === activeSheetId) {
+                    set({ activeTimer: resumeTimer(activeTimer) })
+                    return
+                }
+
+                if (activeTimer) {
+                    get().stopTimer()
+                }
+                set({ activeTimer: createTimer(activeSheetId, questionId) })
+            },
+
+            pauseTimer: () => {
+                const { activeTimer } = get()
+                if (!isTimerRunning(activeTimer)) return
+                set({ activeTimer: pauseTimer(activeTimer) })
+            },
+
+            /**
+             * Stops the timer and saves the run as a session on the question.
+             * With `solved`, the question is also marked solved with the session's duration.
+             */
+            stopTimer: ({ solved = false } = {}) => {
+                const { activeTimer, activeSheetId, questionsById, timerTargets } = get()
+                if (!activeTimer) return
+
+                const question = activeTimer.sheetId === activeSheetId
+                    ? questionsById[activeTimer.questionId]
+                    : null
+                if (!question) {
+                    set({ activeTimer: null })
+                    return
+                }
+
+                const session = createSession(activeTimer, {
+                    id: generateId('session'),
+                    solved,
+                    targetMinutes: timerTargets[question.difficulty],
+                })
+                const minutes = session.durationSeconds / 60
+
+                commitWithHistory(set, get, solved ? 'Question solved' : 'Timer session saved', {
+                    questionsById: updateEntities(questionsById, [question.id], q => {
+                        const withSession = { ...q, sessions: [...(q.sessions || []), session] }
+                        return solved ? markSolved(withSession, minutes) : withSession
+                    }),
+                    activeTimer: null,
+                })
+            },
+
+            setTimerTarget: (difficulty, minutes) => {
+                const value = Math.round(Number(minutes))
+                if (!Object.values(DIFFICULTY_LEVELS).includes(difficulty) || !Number.isFinite(value) || value < 0) return
+                set({ timerTargets: { ...get().timerTargets, [difficulty]: value } })
+            },
+
+            /**
+             * Grades recall of a solved question (see RECALL_GRADES), reschedules
+             * its next review and logs the review as an attempt
+             */
+            reviewQuestion: (questionId, grade) => {
+                const { questionsById } = get()
+                if (!questionsById[questionId]) return
+                const now = new Date()
+                const attempt = createAttempt({
+                    outcome: grade < RECALL_GRADES.HARD ? ATTEMPT_OUTCOMES.FAILED : ATTEMPT_OUTCOMES.REVISITED,
+                })
+                commitWithHistory(set, get, 'Review recorded', {
+                    questionsById: updateEntities(questionsById, [questionId], q => appendAttempt(
+                        { ...q, review: scheduleReview(q.review, grade, now) },
+                        attempt
+                    )),
+                })
             },
 
             // Topic CRUD
@@ -354,249 +1439,254 @@ export const useStore = create(
                 const sanitizedName = sanitizeString(name)
                 if (!sanitizedName) return
 
-                const { topics } = get()
+                const { topicIds, topicsById } = get()
                 const newTopic = {
                     id: generateId('topic'),
                     name: sanitizedName,
-                    order: topics.length,
-                    subtopics: [],
+                    order: topicIds.length,
+                    subtopicIds: [],
                 }
-                set({ topics: [...topics, newTopic] })
+                commitWithHistory(set, get, 'Topic added', {
+                    topicIds: [...topicIds, newTopic.id],
+                    topicsById: { ...topicsById, [newTopic.id]: newTopic },
+                })
             },
 
             updateTopic: (topicId, name) => {
                 const sanitizedName = sanitizeString(name)
-                if (!topicId || !sanitizedName) return
+                const { topicsById } = get()
+                if (!topicsById[topicId] || !sanitizedName) return
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => t.id === topicId ? { ...t, name: sanitizedName } : t)
+                commitWithHistory(set, get, 'Topic renamed', {
+                    topicsById: updateEntities(topicsById, [topicId], t => ({ ...t, name: sanitizedName })),
                 })
             },
 
             deleteTopic: (topicId) => {
-                if (!topicId) return
-                const { topics, expandedTopics } = get()
+                const { topicIds, topicsById, subtopicsById, questionsById, expandedTopics, deletedQuestionIds } = get()
+                const topic = topicsById[topicId]
+                if (!topic) return
+
                 const newExpanded = { ...expandedTopics }
                 delete newExpanded[topicId]
-                set({
-                    topics: topics.filter(t => t.id !== topicId),
-                    expandedTopics: newExpanded
-                })
+                const removedQuestionIds = topic.subtopicIds.flatMap(id => subtopicsById[id]?.questionIds || [])
+                commitWithHistory(set, get, 'Topic deleted', {
+                    topicIds: topicIds.filter(id => id !== topicId),
+                    topicsById: omitEntities(topicsById, [topicId]),
+                    subtopicsById: omitEntities(subtopicsById, topic.subtopicIds),
+                    questionsById: omitEntities(questionsById, removedQuestionIds),
+                    expandedTopics: newExpanded,
+                    deletedQuestionIds: rememberDeletedQuestions(deletedQuestionIds, removedQuestionIds),
+                }, { destructive: true })
             },
 
             // Subtopic CRUD
             addSubtopic: (topicId, name) => {
                 const sanitizedName = sanitizeString(name)
-                if (!topicId || !sanitizedName) return
+                const { topicsById, subtopicsById } = get()
+                const topic = topicsById[topicId]
+                if (!topic || !sanitizedName) return
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: [...t.subtopics, {
-                                id: generateId('subtopic'),
-                                name: sanitizedName,
-                                order: t.subtopics.length,
-                                questions: [],
-                            }]
-                        }
-                    })
+                const newSubtopic = {
+                    id: generateId('subtopic'),
+                    name: sanitizedName,
+                    order: topic.subtopicIds.length,
+                    questionIds: [],
+                }
+                commitWithHistory(set, get, 'Subtopic added', {
+                    topicsById: { ...topicsById, [topicId]: { ...topic, subtopicIds: [...topic.subtopicIds, newSubtopic.id] } },
+                    subtopicsById: { ...subtopicsById, [newSubtopic.id]: newSubtopic },
                 })
             },
 
             updateSubtopic: (topicId, subtopicId, name) => {
                 const sanitizedName = sanitizeString(name)
-                if (!topicId || !subtopicId || !sanitizedName) return
+                const { topicsById, subtopicsById } = get()
+                if (!topicsById[topicId]?.subtopicIds.includes(subtopicId) || !sanitizedName) return
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.map(s =>
-                                s.id === subtopicId ? { ...s, name: sanitizedName } : s
-                            )
-                        }
-                    })
+                commitWithHistory(set, get, 'Subtopic renamed', {
+                    subtopicsById: updateEntities(subtopicsById, [subtopicId], s => ({ ...s, name: sanitizedName })),
                 })
             },
 
             deleteSubtopic: (topicId, subtopicId) => {
-                if (!topicId || !subtopicId) return
-                const { topics, expandedSubtopics } = get()
+                const { topicsById, subtopicsById, questionsById, expandedSubtopics, deletedQuestionIds } = get()
+                const topic = topicsById[topicId]
+                if (!topic?.subtopicIds.includes(subtopicId)) return
+
                 const newExpanded = { ...expandedSubtopics }
                 delete newExpanded[subtopicId]
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.filter(s => s.id !== subtopicId)
-                        }
-                    }),
-                    expandedSubtopics: newExpanded
-                })
+                const removedQuestionIds = subtopicsById[subtopicId]?.questionIds || []
+                commitWithHistory(set, get, 'Subtopic deleted', {
+                    topicsById: { ...topicsById, [topicId]: { ...topic, subtopicIds: topic.subtopicIds.filter(id => id !== subtopicId) } },
+                    subtopicsById: omitEntities(subtopicsById, [subtopicId]),
+                    questionsById: omitEntities(questionsById, removedQuestionIds),
+                    expandedSubtopics: newExpanded,
+                    deletedQuestionIds: rememberDeletedQuestions(deletedQuestionIds, removedQuestionIds),
+                }, { destructive: true })
             },
 
             // Question CRUD
             addQuestion: (topicId, subtopicId, questionData) => {
-                if (!topicId || !subtopicId || !questionData) return
+                if (!questionData) return
 
                 const title = sanitizeString(questionData.title)
-                if (!title) return
-
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.map(s => {
-                                if (s.id !== subtopicId) return s
-                                return {
-                                    ...s,
-                                    questions: [...s.questions, {
-                                        id: generateId('question'),
-                                        title,
-                                        difficulty: validateDifficulty(questionData.difficulty),
-                                        url: validateUrl(questionData.url),
-                                        isSolved: false,
-                                        order: s.questions.length,
-                                        notes: sanitizeString(questionData.notes),
-                                    }]
-                                }
-                            })
-                        }
-                    })
+                const { topicsById, subtopicsById, questionsById } = get()
+                const topic = topicsById[topicId]
+                const subtopic = subtopicsById[subtopicId]
+                if (!title || !topic?.subtopicIds.includes(subtopicId) || !subtopic) return
+
+                const newQuestion = {
+                    id: generateId('question'),
+                    title,
+                    topic: topic.name,
+                    subtopic: subtopic.name,
+                    difficulty: validateDifficulty(questionData.difficulty),
+                    url: validateUrl(questionData.url),
+                    resource: '',
+                    tags: [],
+                    isSolved: false,
+                    isStarred: false,
+                    order: subtopic.questionIds.length,
+                    notes: sanitizeNotes(questionData.notes),
+                    attempts: [],
+                    isCustom: true,
+                }
+                commitWithHistory(set, get, 'Question added', {
+                    subtopicsById: { ...subtopicsById, [subtopicId]: { ...subtopic, questionIds: [...subtopic.questionIds, newQuestion.id] } },
+                    questionsById: { ...questionsById, [newQuestion.id]: newQuestion },
                 })
             },
 
             updateQuestion: (topicId, subtopicId, questionId, questionData) => {
-                if (!topicId || !subtopicId || !questionId || !questionData) return
-
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.map(s => {
-                                if (s.id !== subtopicId) return s
-                                return {
-                                    ...s,
-                                    questions: s.questions.map(q => {
-                                        if (q.id !== questionId) return q
-                                        return {
-                                            ...q,
-                                            ...(questionData.title && { title: sanitizeString(questionData.title) }),
-                                            ...(questionData.difficulty && { difficulty: validateDifficulty(questionData.difficulty) }),
-                                            ...(questionData.url !== undefined && { url: validateUrl(questionData.url) }),
-                                            ...(questionData.notes !== undefined && { notes: sanitizeString(questionData.notes) }),
-                                        }
-                                    })
-                                }
-                            })
-                        }
-                    })
+                if (!topicId || !questionData) return
+
+                const { subtopicsById, questionsById } = get()
+                if (!subtopicsById[subtopicId]?.questionIds.includes(questionId)) return
+
+                commitWithHistory(set, get, 'Question updated', {
+                    questionsById: updateEntities(questionsById, [questionId], q => ({
+                        ...q,
+                        ...(questionData.title && { title: sanitizeString(questionData.title) }),
+                        ...(questionData.difficulty && { difficulty: validateDifficulty(questionData.difficulty) }),
+                        ...(questionData.url !== undefined && { url: validateUrl(questionData.url) }),
+                        ...(questionData.notes !== undefined && { notes: sanitizeNotes(questionData.notes) }),
+                    })),
                 })
             },
 
             deleteQuestion: (topicId, subtopicId, questionId) => {
-                if (!topicId || !subtopicId || !questionId) return
+                if (!topicId) return
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.map(s => {
-                                if (s.id !== subtopicId) return s
-                                return {
-                                    ...s,
-                                    questions: s.questions.filter(q => q.id !== questionId)
-                                }
-                            })
-                        }
-                    })
-                })
+                const { subtopicsById, questionsById, deletedQuestionIds } = get()
+                const subtopic = subtopicsById[subtopicId]
+                if (!subtopic?.questionIds.includes(questionId)) return
+
+                commitWithHistory(set, get, 'Question deleted', {
+                    subtopicsById: { ...subtopicsById, [subtopicId]: { ...subtopic, questionIds: subtopic.questionIds.filter(id => id !== questionId) } },
+                    questionsById: omitEntities(questionsById, [questionId]),
+                    deletedQuestionIds: rememberDeletedQuestions(deletedQuestionIds, [questionId]),
+                }, { destructive: true })
             },
 
             // Reorder Actions
             reorderTopics: (activeId, overId) => {
                 if (!activeId || !overId || activeId === overId) return
 
-                const { topics } = get()
-                const oldIndex = topics.findIndex(t => t.id === activeId)
-                const newIndex = topics.findIndex(t => t.id === overId)
+                const { topicIds, topicsById } = get()
+                const oldIndex = topicIds.indexOf(activeId)
+                const newIndex = topicIds.indexOf(overId)
 
                 if (oldIndex !== -1 && newIndex !== -1) {
-                    set({ topics: reorderArray(topics, oldIndex, newIndex) })
+                    const newTopicIds = reorderArray(topicIds, oldIndex, newIndex)
+                    commitWithHistory(set, get, 'Topics reordered', {
+                        topicIds: newTopicIds,
+                        topicsById: applyOrder(topicsById, newTopicIds),
+                    })
                 }
             },
 
-            reorderSubtopics: (topicId, activeId, overId) => {
-                if (!topicId || !activeId || !overId || activeId === overId) return
+            /**
+             * Moves a topic to `index` in the sheet (appended when omitted)
+             */
+            moveTopic: (topicId, index) => {
+                const { topicIds, topicsById } = get()
+                if (!topicIds.includes(topicId)) return
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-
-                        const oldIndex = t.subtopics.findIndex(s => s.id === activeId)
-                        const newIndex = t.subtopics.findIndex(s => s.id === overId)
+                const newTopicIds = insertAt(topicIds.filter(id => id !== topicId), topicId, index)
+                // Home on the first row, End on the last: nothing to undo
+                if (isSameOrder(newTopicIds, topicIds)) return
 
-                        if (oldIndex === -1 || newIndex === -1) return t
-
-                        return {
-                            ...t,
-                            subtopics: reorderArray(t.subtopics, oldIndex, newIndex)
-                        }
-                    })
+                commitWithHistory(set, get, 'Topic moved', {
+                    topicIds: newTopicIds,
+                    topicsById: applyOrder(topicsById, newTopicIds),
                 })
             },
 
-            reorderQuestions: (topicId, subtopicId, activeId, overId) => {
-                if (!topicId || !subtopicId || !activeId || !overId || activeId === overId) return
+            /**
+             * Moves a subtopic, with its questions, into another topic at `index`
+             * (appended when omitted)
+             */
+            moveSubtopic: (subtopicId, fromTopicId, toTopicId, index) => {
+                const { topicsById, subtopicsById, questionsById } = get()
+                const from = topicsById[fromTopicId]
+                const to = topicsById[toTopicId]
+                const subtopic = subtopicsById[subtopicId]
+                if (!from?.subtopicIds.includes(subtopicId) || !to || !subtopic) return
+
+                const remaining = from.subtopicIds.filter(id => id !== subtopicId)
+                const targetIds = fromTopicId === toTopicId ? remaining : to.subtopicIds
+                const subtopicIds = insertAt(targetIds, subtopicId, index)
+                if (fromTopicId === toTopicId && isSameOrder(subtopicIds, from.subtopicIds)) return
+
+                commitWithHistory(set, get, 'Subtopic moved', {
+                    topicsById: {
+                        ...topicsById,
+                        [fromTopicId]: { ...from, subtopicIds: remaining },
+                        [toTopicId]: { ...to, subtopicIds },
+                    },
+                    subtopicsById: applyOrder(applyOrder(subtopicsById, remaining), subtopicIds),
+                    questionsById: updateEntities(questionsById, subtopic.questionIds, q => ({ ...q, topic: to.name })),
+                })
+            },
 
-                const { topics } = get()
-                set({
-                    topics: topics.map(t => {
-                        if (t.id !== topicId) return t
-                        return {
-                            ...t,
-                            subtopics: t.subtopics.map(s => {
-                                if (s.id !== subtopicId) return s
-
-                                const oldIndex = s.questions.findIndex(q => q.id === activeId)
-                                const newIndex = s.questions.findIndex(q => q.id === overId)
-
-                                if (oldIndex === -1 || newIndex === -1) return s
-
-                                return {
-                                    ...s,
-                                    questions: reorderArray(s.questions, oldIndex, newIndex)
-                                }
-                            })
-                        }
-                    })
+            /**
+             * Moves a question into another subtopic, in this or another topic,
+             * at `index` (appended when omitted)
+             */
+            moveQuestion: (questionId, fromSubtopicId, toSubtopicId, index) => {
+                const { topicsById, subtopicsById, questionsById } = get()
+                const from = subtopicsById[fromSubtopicId]
+                const to = subtopicsById[toSubtopicId]
+                if (!from?.questionIds.includes(questionId) || !to) return
+
+                const remaining = from.questionIds.filter(id => id !== questionId)
+                const targetIds = fromSubtopicId === toSubtopicId ? remaining : to.questionIds
+                const questionIds = insertAt(targetIds, questionId, index)
+                if (fromSubtopicId === toSubtopicId && isSameOrder(questionIds, from.questionIds)) return
+
+                const topic = Object.values(topicsById).find(t => t.subtopicIds.includes(toSubtopicId))
+
+                commitWithHistory(set, get, 'Question moved', {
+                    subtopicsById: {
+                        ...subtopicsById,
+                        [fromSubtopicId]: { ...from, questionIds: remaining },
+                        [toSubtopicId]: { ...to, questionIds },
+                    },
+                    questionsById: updateEntities(
+                        applyOrder(applyOrder(questionsById, remaining), questionIds),
+                        [questionId],
+                        q => ({ ...q, topic: topic?.name ?? q.topic, subtopic: to.name })
+                    ),
                 })
             },
         }),
         {
             name: STORAGE_KEY,
-            partialize: (state) => ({
-                topics: state.topics,
-                sheet: state.sheet,
-                expandedTopics: state.expandedTopics,
-                expandedSubtopics: state.expandedSubtopics,
-                theme: state.theme,
-                loading: false,
-            }),
+            version: PERSIST_VERSION,
+            migrate: migratePersistedState,
+            partialize: partializeState,
+            merge: hydratePersistedState,
         }
     )
 )
@@ -605,6 +1695,82 @@ export const useStore = create(
 // Selector Functions (Pure, No Side Effects)
 // ============================================================================
 
+/**
+ * The active sheet's topics as a nested tree ({ subtopics: [{ questions }] }),
+ * the shape the calculate* helpers and list components take. Memoized on the
+ * entity maps, and unchanged topics and subtopics keep their identity.
+ * Also accepts a sheet workspace from `sheets`.
+ */
+export function selectTopics(state) {
+    return denormalizeTopics(state)
+}
+
+// Last visible rows per topic tree, so repeated reads of unchanged state are free
+const visibleTreeRows = new WeakMap()
+
+/**
+ * Rows the topic list shows, in display order: every topic, the subtopics of
+ * expanded topics and the filtered questions of expanded subtopics. Each row
+ * is { id, path } with path [topicId, subtopicId?, questionId?], so
+ * path.length is its tree level. Memoized on the tree, expansion and filters.
+ */
+export function selectVisibleTreeRows(state) {
+    const topics = selectTopics(state)
+    const filters = selectFilters(state)
+    const inputs = [state.expandedTopics, state.expandedSubtopics, ...Object.values(filters)]
+
+    const previous = visibleTreeRows.get(topics)
+    if (previous && previous.inputs.every((input, index) => input === inputs[index])) {
+        return previous.rows
+    }
+
+    const rows = []
+    for (const topic of topics) {
+        rows.push({ id: topic.id, path: [topic.id] })
+        if (!state.expandedTopics[topic.id]) continue
+
+        for (const subtopic of topic.subtopics) {
+            rows.push({ id: subtopic.id, path: [topic.id, subtopic.id] })
+            if (!state.expandedSubtopics[subtopic.id]) continue
+
+            const questions = filterQuestions(subtopic.questions, filters, { topicName: topic.name, subtopicName: subtopic.name })
+            for (const question of questions) {
+                rows.push({ id: question.id, path: [topic.id, subtopic.id, question.id] })
+            }
+        }
+    }
+
+    visibleTreeRows.set(topics, { inputs, rows, rowIds: new Set(rows.map(row => row.id)) })
+    return rows
+}
+
+/**
+ * The row holding the topic list's keyboard cursor: `cursorId` (the UI
+ * store's `treeCursorId`) while that row is shown, else the first row, so
+ * the list stays reachable by Tab
+ */
+export function selectTreeCursorId(state, cursorId) {
+    const rows = selectVisibleTreeRows(state)
+    const { rowIds } = visibleTreeRows.get(selectTopics(state))
+    return rowIds.has(cursorId) ? cursorId : rows[0]?.id ?? null
+}
+
+// Last due count per questions map, so updates that leave questions alone are free
+const dueCounts = new WeakMap()
+
+/**
+ * Number of questions due for review on `todayKey`, the length of
+ * getDueQuestions without building the queue. Memoized on the questions and day.
+ */
+export function selectDueCount(state, todayKey = toDateKey(new Date())) {
+    const previous = dueCounts.get(state.questionsById)
+    if (previous?.todayKey === todayKey) return previous.count
+
+    const count = Object.values(state.questionsById).filter(q => isReviewDue(q, todayKey)).length
+    dueCounts.set(state.questionsById, { todayKey, count })
+    return count
+}
+
 /**
  * Calculates total progress across all topics
  */
@@ -712,20 +1878,129 @@ export function calculateDetailedStats(topics) {
 }
 
 /**
- * Filters questions based on search and filter criteria
+ * Solved and total question counts per tag, most used tags first
  */
-export function filterQuestions(questions, searchQuery, filterDifficulty, filterStatus) {
-    if (!Array.isArray(questions)) return []
+export function calculateTagStats(topics) {
+    const byTag = new Map()
+    if (!Array.isArray(topics)) return []
 
-    const normalizedSearch = (searchQuery || '').toLowerCase().trim()
+    for (const topic of topics) {
+        for (const subtopic of topic?.subtopics || []) {
+            for (const q of subtopic?.questions || []) {
+                for (const tag of new Set(q?.tags || [])) {
+                    const entry = byTag.get(tag) || { tag, total: 0, solved: 0 }
+                    entry.total++
+                    if (q.isSolved) entry.solved++
+                    byTag.set(tag, entry)
+                }
+            }
+        }
+    }
 
-    return questions.filter(q => {
-        if (!q) return false
+    return Array.from(byTag.values())
+        .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag))
+}
+
+/**
+ * Median solve time in seconds by difficulty and by topic, from timer
+ * sessions that ended with the question solved
+ */
+export function calculateSolveTimes(topics) {
+    const byDifficulty = {}
+    const byTopic = []
+
+    if (!Array.isArray(topics)) return { byDifficulty, byTopic }
+
+    const difficultyDurations = {}
+    for (const topic of topics) {
+        const topicDurations = []
+
+        for (const subtopic of topic?.subtopics || []) {
+            for (const q of subtopic?.questions || []) {
+                for (const session of q?.sessions || []) {
+                    if (!session?.solved || !(session.durationSeconds > 0)) continue
 
-        // Search filter
-        if (normalizedSearch && !q.title?.toLowerCase().includes(normalizedSearch)) {
-            return false
+                    const difficulty = validateDifficulty(q.difficulty)
+                    difficultyDurations[difficulty] = [...(difficultyDurations[difficulty] || []), session.durationSeconds]
+                    topicDurations.push(session.durationSeconds)
+                }
+            }
+        }
+
+        if (topicDurations.length > 0) {
+            byTopic.push({ name: topic.name, median: median(topicDurations), count: topicDurations.length })
         }
+    }
+
+    for (const difficulty of Object.values(DIFFICULTY_LEVELS)) {
+        const durations = difficultyDurations[difficulty]
+        if (durations) {
+            byDifficulty[difficulty] = { median: median(durations), count: durations.length }
+        }
+    }
+
+    return { byDifficulty, byTopic }
+}
+
+/**
+ * Whether a question has one of the QUESTION_FLAGS properties
+ */
+export function hasQuestionFlag(question, flag) {
+    return Boolean(question && QUESTION_FLAG_TESTS[flag]?.(question))
+}
+
+/**
+ * Picks the search and filter fields from store state; this is the object
+ * `filterQuestions`, saved views and the URL sync work with.
+ * Use with `useShallow` when selecting from a component.
+ */
+export function selectFilters(state) {
+    return {
+        searchQuery: state.searchQuery,
+        filterDifficulty: state.filterDifficulty,
+        filterStatus: state.filterStatus,
+        filterTags: state.filterTags,
+        filterTagMatch: state.filterTagMatch,
+        filterFlags: state.filterFlags,
+    }
+}
+
+export function hasActiveFilters(filters) {
+    return Boolean(
+        filters.searchQuery ||
+        filters.filterDifficulty !== FILTER_ALL ||
+        filters.filterStatus !== FILTER_ALL ||
+        filters.filterTags?.length > 0 ||
+        Object.keys(filters.filterFlags || {}).length > 0
+    )
+}
+
+/**
+ * Filters questions by a `selectFilters` object.
+ * The search query uses the search-bar query language (see store/search.js);
+ * text terms are fuzzy-matched against title, tags, topic/subtopic names
+ * (from `context` when given) and notes, and rank results most relevant first.
+ * Selected tags must match any or all (`filterTagMatch`), and every flag
+ * toggle in `filterFlags` must hold. `context` may also be a function
+ * returning each question's context, for lists spanning several subtopics.
+ */
+export function filterQuestions(questions, filters, context) {
+    if (!Array.isArray(questions)) return []
+
+    const {
+        searchQuery = '',
+        filterDifficulty = FILTER_ALL,
+        filterStatus = FILTER_ALL,
+        filterTags = [],
+        filterTagMatch = TAG_MATCH_ANY,
+        filterFlags = {},
+    } = filters || {}
+    const query = compileQuery(searchQuery)
+    const flagEntries = Object.entries(filterFlags)
+    const contextFor = typeof context === 'function' ? context : () => context
+
+    const matches = questions.filter(q => {
+        if (!q) return false
 
         // Difficulty filter
         if (filterDifficulty && filterDifficulty !== FILTER_ALL) {
@@ -736,6 +2011,128 @@ export function filterQuestions(questions, searchQuery, filterDifficulty, filter
         if (filterStatus === FILTER_SOLVED && !q.isSolved) return false
         if (filterStatus === FILTER_UNSOLVED && q.isSolved) return false
 
-        return true
+        // Tag filter: any (OR) or all (AND) of the selected tags
+        if (filterTags.length > 0) {
+            const questionTags = q.tags || []
+            const hasTag = (tag) => questionTags.includes(tag)
+            const matchesTags = filterTagMatch === TAG_MATCH_ALL
+                ? filterTags.every(hasTag)
+                : filterTags.some(hasTag)
+            if (!matchesTags) return false
+        }
+
+        // Flag toggles
+        if (flagEntries.some(([flag, required]) => hasQuestionFlag(q, flag) !== required)) return false
+
+        // Search query
+        return query.predicate(q, contextFor(q))
     })
+
+    if (query.terms.length === 0) return matches
+
+    // Relevance ranking; ties keep the sheet order
+    return matches
+        .map((question, index) => ({ question, index, score: query.score(question, contextFor(question)) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(result => result.question)
+}
+
+/**
+ * Every question in sheet order with its location:
+ * [{ question, topicId, topicName, subtopicId, subtopicName }]
+ */
+export function flattenQuestions(topics) {
+    if (!Array.isArray(topics)) return []
+
+    const rows = []
+    for (const topic of topics) {
+        for (const subtopic of topic?.subtopics || []) {
+            for (const question of subtopic?.questions || []) {
+                if (!question) continue
+                rows.push({ question, topicId: topic.id, topicName: topic.name, subtopicId: subtopic.id, subtopicName: subtopic.name })
+            }
+        }
+    }
+    return rows
+}
+
+/**
+ * Ids of the questions the topic list shows under the current search and
+ * filters, in the order it shows them (ranked within each subtopic)
+ */
+function getVisibleQuestionIds(state) {
+    const filters = selectFilters(state)
+    return selectTopics(state).flatMap(topic => topic.subtopics.flatMap(subtopic => (
+        filterQuestions(subtopic.questions, filters, { topicName: topic.name, subtopicName: subtopic.name })
+            .map(q => q.id)
+    )))
+}
+
+/**
+ * ISO timestamp of the latest logged attempt, or null
+ */
+export function getLastAttemptedAt(question) {
+    let latest = null
+    for (const attempt of question?.attempts || []) {
+        if (attempt?.at && (!latest || attempt.at > latest)) latest = attempt.at
+    }
+    return latest
+}
+
+const DIFFICULTY_RANK = Object.freeze({
+    [DIFFICULTY_LEVELS.BASIC]: 0,
+    [DIFFICULTY_LEVELS.EASY]: 1,
+    [DIFFICULTY_LEVELS.MEDIUM]: 2,
+    [DIFFICULTY_LEVELS.HARD]: 3,
+})
+
+const TABLE_SORT_VALUES = Object.freeze({
+    [TABLE_SORT_KEYS.TITLE]: row => row.question.title.toLowerCase(),
+    [TABLE_SORT_KEYS.TOPIC]: row => `${row.topicName} › ${row.subtopicName}`.toLowerCase(),
+    [TABLE_SORT_KEYS.DIFFICULTY]: row => DIFFICULTY_RANK[row.question.difficulty] ?? DIFFICULTY_RANK[DIFFICULTY_LEVELS.MEDIUM],
+    [TABLE_SORT_KEYS.STATUS]: row => Number(Boolean(row.question.isSolved)),
+    [TABLE_SORT_KEYS.LAST_ATTEMPTED]: row => getLastAttemptedAt(row.question),
+})
+
+/**
+ * Sorts `flattenQuestions` rows by a TABLE_SORT_KEYS column. Equal rows keep
+ * their order and rows with no value (never attempted) always go last.
+ */
+export function sortQuestionRows(rows, sortKey, sortDirection = SORT_ASC) {
+    const getValue = TABLE_SORT_VALUES[sortKey]
+    if (!getValue) return rows
+
+    const sign = sortDirection === SORT_DESC ? -1 : 1
+    return rows
+        .map((row, index) => ({ row, index, value: getValue(row) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return (a.value === null) - (b.value === null) || a.index - b.index
+            }
+            const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value
+            return sign * order || a.index - b.index
+        })
+        .map(entry => entry.row)
+}
+
+/**
+ * Lists solved questions due for review on `todayKey` across all topics.
+ * Starred questions come first, then the longest overdue.
+ */
+export function getDueQuestions(topics, todayKey = toDateKey(new Date())) {
+    const due = flattenQuestions(topics).filter(item => isReviewDue(item.question, todayKey))
+
+    return due.sort((a, b) => (
+        Number(Boolean(b.question.isStarred)) - Number(Boolean(a.question.isStarred)) ||
+        (a.question.review?.dueOn || '').localeCompare(b.question.review?.dueOn || '')
+    ))
+}
+
+/**
+ * Topic trees of every sheet, with the active sheet's live topics
+ */
+export function getAllSheetTopics(sheets, activeSheetId, activeTopics) {
+    return Object.entries(sheets || {}).map(([id, workspace]) => (
+        id === activeSheetId ? activeTopics : selectTopics(workspace || {})
+    ))
 }
@@ -0,0 +1,33 @@
+/**
+ * UI Store - Zustand State Management
+ * Short-lived interaction state that changes on every pointer or focus
+ * move, kept apart from the main store: that one persists after every
+ * change, so each update there rewrites the whole workspace to localStorage.
+ */
+
+import { create } from 'zustand'
+
+export const useUiStore = create((set, get) => ({
+    dropIndicator: null,
+    treeCursorId: null,
+
+    /**
+     * Marks the item a drag would drop onto ({ id, position } with a
+     * DROP_POSITIONS value), or clears it with null
+     */
+    setDropIndicator: (indicator) => {
+        const current = get().dropIndicator
+        if (current?.id === indicator?.id && current?.position === indicator?.position) return
+        set({ dropIndicator: indicator || null })
+    },
+
+    /**
+     * Moves the topic list's keyboard cursor (the one row in the tab order)
+     * to a topic, subtopic or question row. An id the active sheet doesn't
+     * show falls back to its first row (see selectTreeCursorId).
+     */
+    setTreeCursor: (rowId) => {
+        if (get().treeCursorId === rowId) return
+        set({ treeCursorId: rowId || null })
+    },
+}))
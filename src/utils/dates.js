@@ -0,0 +1,40 @@
+/**
+ * Date Utilities
+ * Local calendar-day helpers. Days are keyed as YYYY-MM-DD in the user's
+ * time zone so "today" matches the user's wall clock.
+ */
+
+const MS_PER_DAY = 86400000
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+export function toDateKey(date) {
+    const year = date.getFullYear()
+    const month = String(date.getMonth() + 1).padStart(2, '0')
+    const day = String(date.getDate()).padStart(2, '0')
+    return `${year}-${month}-${day}`
+}
+
+export function addDays(date, days) {
+    const result = new Date(date)
+    result.setDate(result.getDate() + days)
+    return result
+}
+
+/**
+ * Parses a YYYY-MM-DD key as local midnight
+ */
+export function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number)
+    return new Date(year, month - 1, day)
+}
+
+/**
+ * Whole days from `fromKey` to `toKey` (negative when `toKey` is earlier)
+ */
+export function daysBetween(fromKey, toKey) {
+    const [fromYear, fromMonth, fromDay] = fromKey.split('-').map(Number)
+    const [toYear, toMonth, toDay] = toKey.split('-').map(Number)
+    return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / MS_PER_DAY)
+}
@@ -0,0 +1,38 @@
+/**
+ * File Utilities
+ * Browser helpers for reading user-supplied files and downloading exports
+ */
+
+/**
+ * Reads a File as JSON, throwing a readable error when it cannot be parsed
+ */
+export async function readJsonFile(file) {
+    if (!file) {
+        throw new Error('No file selected')
+    }
+
+    const text = await file.text()
+
+    try {
+        return JSON.parse(text)
+    } catch {
+        throw new Error(`${file.name || 'File'} is not valid JSON`)
+    }
+}
+
+/**
+ * Triggers a browser download of data serialized as pretty-printed JSON
+ */
+export function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+
+    URL.revokeObjectURL(url)
+}
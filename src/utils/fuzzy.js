@@ -0,0 +1,173 @@
+/**
+ * Fuzzy Matching
+ * Scores how well a search term matches a piece of text and reports the
+ * matched character positions for highlighting. Handles substrings, spread-out
+ * subsequences ("bfs grph") and small typos ("dynamc", "dyanmic").
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const EXACT_SCORE = 1
+const WORD_START_BONUS = 0.2
+const PREFIX_BONUS = 0.1
+const MIN_SUBSEQUENCE_SCORE = 0.3
+const TYPO_PENALTY = 0.25
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_/(),.:]/.test(text[index - 1])
+}
+
+function range(start, length) {
+    return Array.from({ length }, (_, i) => start + i)
+}
+
+/**
+ * Best contiguous occurrence, preferring one at a word start
+ */
+function matchSubstring(term, text) {
+    let best = -1
+    let from = text.indexOf(term)
+    while (from !== -1) {
+        if (isWordStart(text, from)) {
+            best = from
+            break
+        }
+        if (best === -1) best = from
+        from = text.indexOf(term, from + 1)
+    }
+    if (best === -1) return null
+
+    const score = EXACT_SCORE
+        + (isWordStart(text, best) ? WORD_START_BONUS : 0)
+        + (best === 0 ? PREFIX_BONUS : 0)
+    return { score, indices: range(best, term.length) }
+}
+
+/**
+ * Greedy in-order match of every character, scored by how compact it is
+ */
+function matchSubsequence(term, text) {
+    const indices = []
+    let from = 0
+    for (const char of term) {
+        if (char === ' ') continue
+        const index = text.indexOf(char, from)
+        if (index === -1) return null
+        indices.push(index)
+        from = index + 1
+    }
+    if (indices.length === 0) return null
+
+    const span = indices[indices.length - 1] - indices[0] + 1
+    const wordStarts = indices.filter(index => isWordStart(text, index)).length
+    const score = 0.7 * (indices.length / span) + 0.2 * (wordStarts / indices.length)
+    return score >= MIN_SUBSEQUENCE_SCORE ? { score, indices } : null
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up once it exceeds `limit`
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1
+
+    let previousRow = null
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i]
+        let rowMin = i
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1)
+            }
+            nextRow.push(value)
+            rowMin = Math.min(rowMin, value)
+        }
+        if (rowMin > limit) return limit + 1
+        previousRow = row
+        row = nextRow
+    }
+    return row[b.length]
+}
+
+/**
+ * Compares the term with each word (or word prefix of the same length),
+ * allowing one typo for short terms and two for long ones
+ */
+function matchWithTypos(term, text) {
+    if (term.length < 4 || term.includes(' ')) return null
+    const limit = term.length >= 8 ? 2 : 1
+
+    let best = null
+    const wordPattern = /[^\s\-_/(),.:]+/g
+    let match
+    while ((match = wordPattern.exec(text)) !== null) {
+        const word = match[0]
+        const candidates = word.length > term.length + limit
+            ? [word.slice(0, term.length), word.slice(0, term.length + 1)]
+            : [word]
+
+        for (const candidate of candidates) {
+            const distance = editDistance(term, candidate, limit)
+            if (distance > limit) continue
+
+            const score = EXACT_SCORE - distance * TYPO_PENALTY
+            if (!best || score > best.score) {
+                best = { score, indices: range(match.index, candidate.length) }
+            }
+        }
+    }
+    return best
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Matches one lower-cased search term against text.
+ * Returns { score, indices } (higher is better) or null when it doesn't match.
+ */
+export function fuzzyMatch(term, text) {
+    if (!term || typeof text !== 'string' || !text) return null
+    const haystack = text.toLowerCase()
+
+    return matchSubstring(term, haystack)
+        || matchWithTypos(term, haystack)
+        || matchSubsequence(term, haystack)
+}
+
+/**
+ * Splits a search query into lower-cased terms
+ */
+export function tokenizeQuery(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(Boolean)
+}
+
+/**
+ * Splits text into { text, isMatch } segments for highlighting `indices`
+ */
+export function splitByIndices(text, indices) {
+    if (!indices?.length) return [{ text, isMatch: false }]
+
+    const matched = new Set(indices)
+    const segments = []
+    for (let i = 0; i < text.length; i++) {
+        const isMatch = matched.has(i)
+        const last = segments[segments.length - 1]
+        if (last && last.isMatch === isMatch) {
+            last.text += text[i]
+        } else {
+            segments.push({ text: text[i], isMatch })
+        }
+    }
+    return segments
+}
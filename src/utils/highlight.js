@@ -0,0 +1,226 @@
+/**
+ * Code Highlighting
+ * A small tokenizer for the languages solutions are usually written in
+ * (C++, Java, Python and JavaScript). It splits code into typed tokens that
+ * components/Markdown.jsx colours; it doesn't parse, so it only has to be
+ * right about comments, strings and words.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const TOKEN_TYPES = Object.freeze({
+    PLAIN: 'plain',
+    KEYWORD: 'keyword',
+    TYPE: 'type',
+    STRING: 'string',
+    COMMENT: 'comment',
+    NUMBER: 'number',
+    LITERAL: 'literal',
+    FUNCTION: 'function',
+    META: 'meta',
+})
+
+const words = list => new Set(list.split(/\s+/))
+
+const C_FAMILY_NUMBER = /^(?:0[xX][\da-fA-F']+|0[bB][01']+|(?:\d[\d']*\.?[\d']*|\.\d[\d']*)(?:[eE][+-]?\d+)?)[uUlLfFdD]*/
+
+/**
+ * Per-language rules. `lineComment` and `blockComment` are comment
+ * delimiters, `quotes` the string delimiters, `meta` a pattern for
+ * preprocessor lines or decorators.
+ */
+const LANGUAGES = Object.freeze({
+    cpp: {
+        label: 'C++',
+        keywords: words(`alignas alignof asm auto break case catch class const constexpr const_cast continue
+            decltype default delete do dynamic_cast else enum explicit export extern for friend goto if inline
+            mutable namespace new noexcept operator private protected public register reinterpret_cast return
+            sizeof static static_assert static_cast struct switch template this throw try typedef typeid
+            typename union using virtual volatile while`),
+        types: words(`bool char char16_t char32_t double float int long short signed unsigned void wchar_t
+            size_t string vector map unordered_map set unordered_set multiset multimap pair queue deque stack
+            priority_queue list array bitset tuple int64_t uint64_t int32_t uint32_t ll`),
+        literals: words('true false nullptr NULL INT_MAX INT_MIN LLONG_MAX LLONG_MIN'),
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"],
+        meta: /^#\s*\w+[^\n]*/,
+        number: C_FAMILY_NUMBER,
+    },
+    java: {
+        label: 'Java',
+        keywords: words(`abstract assert break case catch class const continue default do else enum extends
+            final finally for goto if implements import instanceof interface native new package private
+            protected public return static strictfp super switch synchronized this throw throws transient
+            try var volatile while record yield`),
+        types: words(`boolean byte char double float int long short void String Integer Long Double Character
+            Boolean Object List ArrayList LinkedList Map HashMap TreeMap Set HashSet TreeSet Queue Deque
+            ArrayDeque PriorityQueue Stack StringBuilder Arrays Collections Math`),
+        literals: words('true false null'),
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"],
+        meta: /^@\w+/,
+        number: C_FAMILY_NUMBER,
+    },
+    python: {
+        label: 'Python',
+        keywords: words(`and as assert async await break class continue def del elif else except finally for
+            from global if import in is lambda nonlocal not or pass raise return try while with yield match case`),
+        types: words('int float str bool list dict set tuple frozenset bytes object type range deque defaultdict Counter heapq'),
+        literals: words('True False None self cls'),
+        lineComment: '#',
+        blockComment: null,
+        quotes: ['"""', "'''", '"', "'"],
+        meta: /^@[\w.]+/,
+        number: /^(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?j?)/,
+    },
+    javascript: {
+        label: 'JavaScript',
+        keywords: words(`async await break case catch class const continue debugger default delete do else
+            export extends finally for from function if import in instanceof let new of return static super
+            switch this throw try typeof var void while with yield`),
+        types: words('Array Map Set WeakMap Object String Number Boolean Math Promise BigInt Symbol JSON'),
+        literals: words('true false null undefined NaN Infinity'),
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'", '`'],
+        meta: null,
+        number: /^(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?n?)/,
+    },
+})
+
+/**
+ * Fence info strings accepted for each language
+ */
+const LANGUAGE_ALIASES = Object.freeze({
+    cpp: 'cpp', 'c++': 'cpp', cc: 'cpp', cxx: 'cpp', c: 'cpp', h: 'cpp', hpp: 'cpp',
+    java: 'java',
+    python: 'python', py: 'python', python3: 'python',
+    javascript: 'javascript', js: 'javascript', jsx: 'javascript', mjs: 'javascript',
+    typescript: 'javascript', ts: 'javascript', tsx: 'javascript',
+})
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*/
+const WHITESPACE_PATTERN = /^\s+/
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function resolveLanguage(language) {
+    const key = LANGUAGE_ALIASES[(language || '').trim().toLowerCase()]
+    return key ? LANGUAGES[key] : null
+}
+
+/**
+ * End index of a string starting at `start` with `quote`; unterminated
+ * single-line strings end at the line break
+ */
+function findStringEnd(code, start, quote) {
+    const isMultiline = quote.length === 3 || quote === '`'
+    let i = start + quote.length
+    while (i < code.length) {
+        if (code[i] === '\\') {
+            i += 2
+            continue
+        }
+        if (code.startsWith(quote, i)) return i + quote.length
+        if (code[i] === '\n' && !isMultiline) return i
+        i++
+    }
+    return code.length
+}
+
+function classifyWord(rules, word, rest) {
+    if (rules.keywords.has(word)) return TOKEN_TYPES.KEYWORD
+    if (rules.literals.has(word)) return TOKEN_TYPES.LITERAL
+    if (rules.types.has(word)) return TOKEN_TYPES.TYPE
+    if (/^\s*\(/.test(rest)) return TOKEN_TYPES.FUNCTION
+    // Capitalized names are almost always classes
+    if (/^[A-Z][a-z]/.test(word)) return TOKEN_TYPES.TYPE
+    return TOKEN_TYPES.PLAIN
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Display name for a fence language, e.g. 'cpp' → 'C++'; unknown languages
+ * are shown as written
+ */
+export function getLanguageLabel(language) {
+    return resolveLanguage(language)?.label || language || ''
+}
+
+/**
+ * Splits code into tokens [{ text, type }], or returns null when the
+ * language isn't one of the supported ones. Adjacent plain text is merged.
+ */
+export function highlightCode(code, language) {
+    const rules = resolveLanguage(language)
+    if (!rules) return null
+
+    const tokens = []
+    const push = (text, type) => {
+        const last = tokens[tokens.length - 1]
+        if (last && last.type === type && type === TOKEN_TYPES.PLAIN) last.text += text
+        else tokens.push({ text, type })
+    }
+
+    let i = 0
+    let isLineStart = true
+    while (i < code.length) {
+        const rest = code.slice(i)
+
+        const space = rest.match(WHITESPACE_PATTERN)
+        if (space) {
+            push(space[0], TOKEN_TYPES.PLAIN)
+            if (space[0].includes('\n')) isLineStart = true
+            i += space[0].length
+            continue
+        }
+
+        let text = null
+        let type = TOKEN_TYPES.PLAIN
+
+        if (rest.startsWith(rules.lineComment)) {
+            const end = rest.indexOf('\n')
+            text = end === -1 ? rest : rest.slice(0, end)
+            type = TOKEN_TYPES.COMMENT
+        } else if (rules.blockComment && rest.startsWith(rules.blockComment[0])) {
+            const end = rest.indexOf(rules.blockComment[1], rules.blockComment[0].length)
+            text = end === -1 ? rest : rest.slice(0, end + rules.blockComment[1].length)
+            type = TOKEN_TYPES.COMMENT
+        } else if (rules.meta && (isLineStart || rest[0] === '@') && rules.meta.test(rest)) {
+            text = rest.match(rules.meta)[0]
+            type = TOKEN_TYPES.META
+        } else {
+            const quote = rules.quotes.find(delimiter => rest.startsWith(delimiter))
+            const number = /^\.?\d/.test(rest) && rest.match(rules.number)
+            const word = rest.match(IDENTIFIER_PATTERN)
+
+            if (quote) {
+                text = rest.slice(0, findStringEnd(rest, 0, quote))
+                type = TOKEN_TYPES.STRING
+            } else if (number) {
+                text = number[0]
+                type = TOKEN_TYPES.NUMBER
+            } else if (word) {
+                text = word[0]
+                type = classifyWord(rules, text, rest.slice(text.length))
+            } else {
+                text = rest[0]
+            }
+        }
+
+        push(text, type)
+        isLineStart = false
+        i += text.length
+    }
+
+    return tokens
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { highlightCode, getLanguageLabel, TOKEN_TYPES } from './highlight.js'
+
+const { PLAIN, KEYWORD, TYPE, STRING, COMMENT, NUMBER, LITERAL, FUNCTION, META } = TOKEN_TYPES
+
+const tokensOf = (code, language) => highlightCode(code, language).map(({ text, type }) => [text, type])
+
+test('unsupported languages are not highlighted', () => {
+    assert.equal(highlightCode('fn main() {}', 'rust'), null)
+    assert.equal(highlightCode('x', ''), null)
+})
+
+test('fence aliases resolve to a language', () => {
+    assert.equal(getLanguageLabel('c++'), 'C++')
+    assert.equal(getLanguageLabel('py'), 'Python')
+    assert.equal(getLanguageLabel('ts'), 'JavaScript')
+    assert.equal(getLanguageLabel('rust'), 'rust')
+})
+
+test('C++ preprocessor lines, comments and numbers', () => {
+    assert.deepEqual(tokensOf('#include <vector>\nint x = 0x1F; /* a */', 'cpp'), [
+        ['#include <vector>', META],
+        ['\n', PLAIN],
+        ['int', TYPE],
+        [' x = ', PLAIN],
+        ['0x1F', NUMBER],
+        ['; ', PLAIN],
+        ['/* a */', COMMENT],
+    ])
+})
+
+test('Java strings keep escaped quotes and calls are functions', () => {
+    assert.deepEqual(tokensOf('@Override return "a\\"b".length();', 'java'), [
+        ['@Override', META],
+        [' ', PLAIN],
+        ['return', KEYWORD],
+        [' ', PLAIN],
+        ['"a\\"b"', STRING],
+        ['.', PLAIN],
+        ['length', FUNCTION],
+        ['();', PLAIN],
+    ])
+})
+
+test('Python triple-quoted strings and comments', () => {
+    assert.deepEqual(tokensOf('"""a\n# b"""  # c\nNone', 'python'), [
+        ['"""a\n# b"""', STRING],
+        ['  ', PLAIN],
+        ['# c', COMMENT],
+        ['\n', PLAIN],
+        ['None', LITERAL],
+    ])
+})
+
+test('an unterminated single-line string ends at the line break', () => {
+    assert.deepEqual(tokensOf("s = 'abc\nx", 'js'), [
+        ['s = ', PLAIN],
+        ["'abc", STRING],
+        ['\nx', PLAIN],
+    ])
+})
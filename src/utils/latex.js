@@ -0,0 +1,272 @@
+/**
+ * LaTeX Math
+ * Converts the TeX subset used for complexity notes ($O(n \log n)$,
+ * $\frac{n(n-1)}{2}$, $2^{n}$, $\sqrt{n}$, ...) into a MathML node tree that
+ * components/Markdown.jsx renders with the browser's native <math> support.
+ *
+ * Nodes are { tag, text } for tokens (mi, mn, mo, mtext) and
+ * { tag, children, attrs? } for layouts (mrow, msup, msub, msubsup, mfrac,
+ * msqrt, mroot, mspace). Unknown commands are shown as written, and input
+ * that can't be parsed falls back to its source text, so a typo never
+ * breaks the note around it.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const GREEK = Object.freeze({
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ',
+    Psi: 'Ψ', Omega: 'Ω',
+})
+
+const SYMBOLS = Object.freeze({
+    cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', lt: '<', gt: '>',
+    approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', propto: '∝', ll: '≪', gg: '≫',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+    leftrightarrow: '↔', iff: '⟺', implies: '⟹', mapsto: '↦',
+    in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', supset: '⊃', cup: '∪', cap: '∩',
+    setminus: '∖', emptyset: '∅', forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨',
+    oplus: '⊕', otimes: '⊗', circ: '∘', mid: '∣', vert: '|', Vert: '‖',
+    sum: '∑', prod: '∏', int: '∫', partial: '∂', nabla: '∇',
+    ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮',
+    lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', langle: '⟨', rangle: '⟩',
+    lbrace: '{', rbrace: '}', prime: '′',
+})
+
+// Identifier-like symbols, rendered as mi rather than mo
+const SYMBOL_IDENTIFIERS = Object.freeze({ infty: '∞', ell: 'ℓ', hbar: 'ℏ', aleph: 'ℵ' })
+
+// Named functions, set upright: \log n, \max(a, b), ...
+const FUNCTION_NAMES = new Set([
+    'log', 'ln', 'lg', 'exp', 'min', 'max', 'sin', 'cos', 'tan', 'lim', 'gcd', 'lcm',
+    'det', 'deg', 'sup', 'inf', 'arg', 'mod', 'bmod', 'dim', 'ker', 'Pr',
+])
+
+const SPACES = Object.freeze({
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+    '!': '-0.1667em', quad: '1em', qquad: '2em',
+})
+
+// Sizing and delimiter commands that only change how the next token looks
+const IGNORED_COMMANDS = new Set([
+    'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+    'displaystyle', 'textstyle', 'limits', 'nolimits',
+])
+
+// Commands whose single argument is set as text
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textit', 'textbf', 'mbox', 'operatorname', 'mathrm'])
+
+// Font commands: the argument is parsed normally
+const STYLE_COMMANDS = new Set(['mathbf', 'mathit', 'mathcal', 'mathbb', 'mathsf', 'mathtt', 'boldsymbol'])
+
+const FRACTION_COMMANDS = new Set(['frac', 'dfrac', 'tfrac', 'cfrac'])
+
+// Escaped characters: \{ \} \_ ...
+const ESCAPED_CHARACTERS = '{}_%#$&|'
+
+const TOKEN_PATTERN = /\\(?:[A-Za-z]+|.)|\d+(?:\.\d+)?|\s+|[\s\S]/gy
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+/**
+ * Splits TeX into commands, numbers and single characters. Runs of
+ * whitespace become one ' ' token, which only \text groups keep.
+ */
+function tokenize(source) {
+    return (source.match(TOKEN_PATTERN) || []).map(part => (/^\s+$/.test(part) ? ' ' : part))
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+const mrow = children => (children.length === 1 ? children[0] : { tag: 'mrow', children })
+const token = (tag, text) => ({ tag, text })
+const EMPTY_ROW = Object.freeze({ tag: 'mrow', children: [] })
+const THIN_SPACE = Object.freeze({ tag: 'mspace', children: [], attrs: { width: SPACES[','] } })
+const SCRIPT_TAGS = new Set(['msub', 'msup', 'msubsup'])
+
+/**
+ * True for \log, \max, ... with or without scripts (\log_2)
+ */
+function isOperatorName(node) {
+    const base = SCRIPT_TAGS.has(node.tag) ? node.children[0] : node
+    return base.tag === 'mi' && base.attrs?.mathvariant === 'normal'
+}
+
+function createParser(tokens) {
+    let position = 0
+
+    const skipSpaces = () => {
+        while (tokens[position] === ' ') position++
+    }
+    const peek = () => {
+        skipSpaces()
+        return tokens[position]
+    }
+    const next = () => {
+        skipSpaces()
+        return tokens[position++]
+    }
+
+    /**
+     * Text of a {...} group as written, for \text and friends
+     */
+    function readRawGroup() {
+        if (peek() !== '{') return next() || ''
+        next()
+        let depth = 1
+        let text = ''
+        while (position < tokens.length) {
+            const part = tokens[position++]
+            if (part === '{') depth++
+            if (part === '}' && --depth === 0) break
+            text += part.startsWith('\\') && part.length === 2 ? part[1] : part
+        }
+        return text
+    }
+
+    /**
+     * A script or command argument: a {group} or a single atom
+     */
+    function parseArgument() {
+        if (peek() === '{') {
+            next()
+            const children = parseExpression('}')
+            next()
+            return mrow(children)
+        }
+        // A missing argument, as in {x^}, is empty rather than the brace
+        if (peek() === '}') return EMPTY_ROW
+        return parseAtom() || EMPTY_ROW
+    }
+
+    function parseCommand(name) {
+        if (GREEK[name]) return token('mi', GREEK[name])
+        if (SYMBOL_IDENTIFIERS[name]) return token('mi', SYMBOL_IDENTIFIERS[name])
+        if (SYMBOLS[name]) return token('mo', SYMBOLS[name])
+        if (FUNCTION_NAMES.has(name)) return { tag: 'mi', text: name, attrs: { mathvariant: 'normal' } }
+        if (SPACES[name]) return { tag: 'mspace', children: [], attrs: { width: SPACES[name] } }
+        if (name && ESCAPED_CHARACTERS.includes(name)) return token('mo', name)
+        if (TEXT_COMMANDS.has(name)) return token('mtext', readRawGroup())
+        if (STYLE_COMMANDS.has(name)) return parseArgument()
+        if (FRACTION_COMMANDS.has(name)) {
+            return { tag: 'mfrac', children: [parseArgument(), parseArgument()] }
+        }
+        if (name === 'binom') {
+            const fraction = { tag: 'mfrac', children: [parseArgument(), parseArgument()], attrs: { linethickness: '0' } }
+            return mrow([token('mo', '('), fraction, token('mo', ')')])
+        }
+        if (name === 'sqrt') {
+            if (peek() === '[') {
+                next()
+                const index = mrow(parseExpression(']'))
+                next()
+                return { tag: 'mroot', children: [parseArgument(), index] }
+            }
+            return { tag: 'msqrt', children: [parseArgument()] }
+        }
+        if (IGNORED_COMMANDS.has(name)) {
+            // \left. and \right. are invisible delimiters
+            if (peek() === '.') {
+                next()
+                return EMPTY_ROW
+            }
+            return parseAtom()
+        }
+        return token('mtext', `\\${name}`)
+    }
+
+    /**
+     * One token, or a command with its arguments; null at the end of input
+     */
+    function parseAtom() {
+        const part = next()
+        if (part === undefined) return null
+        if (part === '{') {
+            const children = parseExpression('}')
+            next()
+            return mrow(children)
+        }
+        if (part.startsWith('\\')) return parseCommand(part.slice(1))
+        if (/^\d/.test(part)) return token('mn', part)
+        if (/^[A-Za-z]$/.test(part)) return token('mi', part)
+        if (part === "'") return token('mo', '′')
+        return token('mo', part)
+    }
+
+    /**
+     * An atom with any ^ and _ scripts after it
+     */
+    function parseScripted() {
+        const isScriptFirst = peek() === '^' || peek() === '_'
+        const base = isScriptFirst ? EMPTY_ROW : parseAtom()
+        let sub = null
+        let sup = null
+        while (peek() === '^' || peek() === '_') {
+            const marker = next()
+            if (marker === '^') sup = parseArgument()
+            else sub = parseArgument()
+        }
+        if (sub && sup) return { tag: 'msubsup', children: [base, sub, sup] }
+        if (sup) return { tag: 'msup', children: [base, sup] }
+        if (sub) return { tag: 'msub', children: [base, sub] }
+        return base
+    }
+
+    /**
+     * Atoms up to (not including) `closing`, or the end of input
+     */
+    function parseExpression(closing) {
+        const children = []
+        while (position < tokens.length && peek() !== closing) {
+            // A stray closing brace would otherwise end the parse early
+            if (peek() === '}') {
+                next()
+                continue
+            }
+            const node = parseScripted()
+            if (!node) continue
+
+            // TeX sets operator names apart by a thin space on either side:
+            // n \log n, but not after an operator or before a parenthesis
+            const isOperator = isOperatorName(node)
+            const previous = children[children.length - 1]
+            if (isOperator && previous && previous.tag !== 'mo' && previous.tag !== 'mspace') {
+                children.push(THIN_SPACE)
+            }
+            children.push(node)
+            const following = peek()
+            if (isOperator && following !== undefined && following !== closing && following !== '(') {
+                children.push(THIN_SPACE)
+            }
+        }
+        return children
+    }
+
+    return { parseExpression }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parses TeX math into a MathML node tree (see the module comment)
+ */
+export function parseLatex(source) {
+    const text = typeof source === 'string' ? source.trim() : ''
+    try {
+        return { tag: 'mrow', children: createParser(tokenize(text)).parseExpression(null) }
+    } catch {
+        // Pathological input (e.g. nesting deep enough to exhaust the stack)
+        return { tag: 'mrow', children: [token('mtext', text)] }
+    }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseLatex } from './latex.js'
+
+const mi = text => ({ tag: 'mi', text })
+const mn = text => ({ tag: 'mn', text })
+const mo = text => ({ tag: 'mo', text })
+const row = (...children) => ({ tag: 'mrow', children })
+const operator = name => ({ tag: 'mi', text: name, attrs: { mathvariant: 'normal' } })
+const thinSpace = { tag: 'mspace', children: [], attrs: { width: '0.1667em' } }
+
+test('operator names are upright and set apart by thin spaces', () => {
+    assert.deepEqual(parseLatex('O(n \\log n)'), row(
+        mi('O'), mo('('), mi('n'), thinSpace, operator('log'), thinSpace, mi('n'), mo(')'),
+    ))
+    assert.deepEqual(parseLatex('\\max(a, b)'), row(operator('max'), mo('('), mi('a'), mo(','), mi('b'), mo(')')))
+})
+
+test('scripts take a group or a single atom', () => {
+    assert.deepEqual(parseLatex('2^{n}'), row({ tag: 'msup', children: [mn('2'), mi('n')] }))
+    assert.deepEqual(parseLatex('x_i^2'), row({ tag: 'msubsup', children: [mi('x'), mi('i'), mn('2')] }))
+    assert.deepEqual(parseLatex('\\log_2 n'), row(
+        { tag: 'msub', children: [operator('log'), mn('2')] }, thinSpace, mi('n'),
+    ))
+})
+
+test('fractions and roots', () => {
+    assert.deepEqual(parseLatex('\\frac{n(n-1)}{2}'), row({
+        tag: 'mfrac',
+        children: [row(mi('n'), mo('('), mi('n'), mo('-'), mn('1'), mo(')')), mn('2')],
+    }))
+    assert.deepEqual(parseLatex('\\sqrt[3]{x}'), row({ tag: 'mroot', children: [mi('x'), mn('3')] }))
+})
+
+test('symbols, Greek letters and text', () => {
+    assert.deepEqual(parseLatex('\\Theta(n) \\le \\infty'), row(
+        mi('Θ'), mo('('), mi('n'), mo(')'), mo('≤'), mi('∞'),
+    ))
+    assert.deepEqual(parseLatex('\\text{for all } i'), row({ tag: 'mtext', text: 'for all ' }, mi('i')))
+})
+
+test('unknown commands are shown as written', () => {
+    assert.deepEqual(parseLatex('\\foo x'), row({ tag: 'mtext', text: '\\foo' }, mi('x')))
+})
+
+test('malformed input never throws', () => {
+    assert.deepEqual(parseLatex('x^'), row({ tag: 'msup', children: [mi('x'), row()] }))
+    assert.deepEqual(parseLatex('{x^}}'), row({ tag: 'msup', children: [mi('x'), row()] }))
+    assert.deepEqual(parseLatex('\\frac{1'), row({ tag: 'mfrac', children: [mn('1'), row()] }))
+    assert.deepEqual(parseLatex('\\left( a \\right.'), row(mo('('), mi('a'), row()))
+    assert.equal(parseLatex('{'.repeat(20000)).tag, 'mrow')
+    assert.deepEqual(parseLatex(undefined), row())
+})
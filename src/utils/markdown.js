@@ -0,0 +1,451 @@
+/**
+ * Markdown Parsing
+ * Parses the Markdown used in question notes into a small syntax tree that
+ * components/Markdown.jsx renders as React elements, so nothing in a note is
+ * ever inserted as HTML. Supported syntax:
+ *
+ * - Blocks: # headings, paragraphs, ``` or ~~~ fenced code (with a language),
+ *   indented code, > quotes, - / * / 1. lists (nested by indentation),
+ *   --- rules and $$ display math $$
+ * - Inline: `code`, **bold**, *italic*, ~~strikethrough~~, [links](url),
+ *   bare and <angle> URLs, $inline math$, and hard breaks (two trailing
+ *   spaces or a backslash)
+ *
+ * Block nodes: { type: 'heading', level, children } | { type: 'paragraph', children }
+ *   | { type: 'code', language, text } | { type: 'math', text }
+ *   | { type: 'blockquote', children } | { type: 'list', ordered, start, items }
+ *   | { type: 'rule' }, where list items are arrays of blocks
+ * Inline nodes: { type: 'text', text } | { type: 'inlineCode', text }
+ *   | { type: 'strong' | 'emphasis' | 'delete', children }
+ *   | { type: 'link', href, children } | { type: 'inlineMath', text, isDisplay } | { type: 'break' }
+ *   where isDisplay marks $$...$$ written inside a paragraph
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const FENCE_PATTERN = /^( {0,3})(`{3,}|~{3,})\s*([^\s`]*)/
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/
+const QUOTE_PATTERN = /^ {0,3}> ?/
+const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/
+const MATH_FENCE = '$$'
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t)/
+
+// Characters a backslash turns into plain text
+const ESCAPABLE = '\\`*_{}[]()#+-.!|~$<>'
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i
+const BARE_URL_PATTERN = /^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/
+const EMPTY_NODES = Object.freeze([])
+
+// ============================================================================
+// Block Parsing
+// ============================================================================
+
+function isBlank(line) {
+    return line.trim() === ''
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length
+}
+
+/**
+ * Removes up to `count` leading spaces (a tab counts as four)
+ */
+function outdent(line, count) {
+    let index = 0
+    let removed = 0
+    while (index < line.length && removed < count) {
+        if (line[index] === ' ') removed += 1
+        else if (line[index] === '\t') removed += 4
+        else break
+        index++
+    }
+    return line.slice(index)
+}
+
+function isMathFence(line) {
+    return line.trim().startsWith(MATH_FENCE)
+}
+
+/**
+ * True when a line would start a block other than a paragraph, so it ends
+ * the paragraph before it
+ */
+function startsBlock(line) {
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || isMathFence(line)
+}
+
+function parseFencedCode(lines, index, fence) {
+    const [, indent, marker, language] = fence
+    const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`)
+    const body = []
+    let i = index + 1
+    while (i < lines.length && !closing.test(lines[i])) {
+        body.push(outdent(lines[i], indent.length))
+        i++
+    }
+    return {
+        block: { type: 'code', language: language.toLowerCase(), text: body.join('\n') },
+        next: i + 1,
+    }
+}
+
+function parseMathBlock(lines, index) {
+    const first = lines[index].trim().slice(MATH_FENCE.length)
+    // $$ ... $$ on one line
+    if (first.trim().endsWith(MATH_FENCE) && first.trim().length >= MATH_FENCE.length) {
+        return { block: { type: 'math', text: first.trim().slice(0, -MATH_FENCE.length).trim() }, next: index + 1 }
+    }
+
+    const body = first.trim() ? [first] : []
+    let i = index + 1
+    while (i < lines.length && !lines[i].trim().endsWith(MATH_FENCE)) {
+        body.push(lines[i])
+        i++
+    }
+    if (i < lines.length) body.push(lines[i].trim().slice(0, -MATH_FENCE.length))
+    return { block: { type: 'math', text: body.join('\n').trim() }, next: i + 1 }
+}
+
+function parseBlockquote(lines, index) {
+    const body = []
+    let i = index
+    while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        body.push(lines[i].replace(QUOTE_PATTERN, ''))
+        i++
+    }
+    return { block: { type: 'blockquote', children: parseBlocks(body) }, next: i }
+}
+
+function parseList(lines, index) {
+    const firstMarker = lines[index].match(LIST_ITEM_PATTERN)[2]
+    const ordered = /\d/.test(firstMarker)
+    const items = []
+    let i = index
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN)
+        if (!match || /\d/.test(match[2]) !== ordered) break
+
+        // Continuation lines are indented at least as far as the item's text
+        const contentIndent = match[1].length + match[2].length + Math.min(match[3].length || 1, 4)
+        const body = [lines[i].slice(match[0].length)]
+        i++
+        while (i < lines.length) {
+            const line = lines[i]
+            if (isBlank(line)) {
+                // A blank line only continues the item if indented content follows
+                const nextContent = lines.slice(i + 1).find(other => !isBlank(other))
+                if (!nextContent || indentOf(nextContent) < contentIndent) break
+                body.push('')
+            } else if (indentOf(line) >= contentIndent) {
+                body.push(outdent(line, contentIndent))
+            } else if (!startsBlock(line) && !isBlank(body[body.length - 1])) {
+                // Lazy continuation of the item's paragraph
+                body.push(line.trim())
+            } else {
+                break
+            }
+            i++
+        }
+        items.push(parseBlocks(body))
+
+        // Blank lines between items keep the list going
+        let next = i
+        while (next < lines.length && isBlank(lines[next])) next++
+        if (next < lines.length && LIST_ITEM_PATTERN.test(lines[next])) i = next
+        else break
+    }
+
+    return {
+        block: { type: 'list', ordered, start: ordered ? parseInt(firstMarker, 10) : 1, items },
+        next: i,
+    }
+}
+
+function parseIndentedCode(lines, index) {
+    const body = []
+    let i = index
+    while (i < lines.length && (INDENTED_CODE_PATTERN.test(lines[i]) || isBlank(lines[i]))) {
+        body.push(outdent(lines[i], 4))
+        i++
+    }
+    while (body.length > 0 && isBlank(body[body.length - 1])) body.pop()
+    return { block: { type: 'code', language: '', text: body.join('\n') }, next: index + body.length }
+}
+
+function parseBlocks(lines) {
+    const blocks = []
+    let i = 0
+
+    while (i < lines.length) {
+        const line = lines[i]
+        if (isBlank(line)) {
+            i++
+            continue
+        }
+
+        let parsed = null
+        const fence = line.match(FENCE_PATTERN)
+        const heading = line.match(HEADING_PATTERN)
+
+        if (fence) {
+            parsed = parseFencedCode(lines, i, fence)
+        } else if (isMathFence(line)) {
+            parsed = parseMathBlock(lines, i)
+        } else if (INDENTED_CODE_PATTERN.test(line)) {
+            parsed = parseIndentedCode(lines, i)
+        } else if (heading) {
+            parsed = {
+                block: { type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') },
+                next: i + 1,
+            }
+        } else if (RULE_PATTERN.test(line)) {
+            parsed = { block: { type: 'rule' }, next: i + 1 }
+        } else if (QUOTE_PATTERN.test(line)) {
+            parsed = parseBlockquote(lines, i)
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            parsed = parseList(lines, i)
+        } else {
+            const body = [line]
+            i++
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+                body.push(lines[i])
+                i++
+            }
+            blocks.push({ type: 'paragraph', children: parseInline(body.map(text => text.replace(/^\s+/, '')).join('\n')) })
+            continue
+        }
+
+        blocks.push(parsed.block)
+        i = parsed.next
+    }
+
+    return blocks
+}
+
+// ============================================================================
+// Inline Parsing
+// ============================================================================
+
+/**
+ * Only web and mail links are followed; anything else (javascript: and the
+ * like) is rendered as plain text
+ */
+export function getSafeUrl(url) {
+    const trimmed = url.trim()
+    return SAFE_URL_PATTERN.test(trimmed) ? trimmed : null
+}
+
+function isWordChar(char) {
+    return Boolean(char) && /[\p{L}\p{N}]/u.test(char)
+}
+
+/**
+ * Finds the closing delimiter for emphasis-like markup starting at `start`,
+ * or -1. The content must not be empty or start/end with a space.
+ */
+function findClosing(text, start, delimiter) {
+    const contentStart = start + delimiter.length
+    if (!text[contentStart] || /\s/.test(text[contentStart])) return -1
+
+    let index = text.indexOf(delimiter, contentStart + 1)
+    while (index !== -1) {
+        const isEscaped = text[index - 1] === '\\'
+        const isSpaced = /\s/.test(text[index - 1])
+        // `_` only closes at a word boundary, so snake_case_names stay intact
+        const isInsideWord = delimiter[0] === '_' && isWordChar(text[index + delimiter.length])
+        // A single `*` must not be half of a `**`
+        const isPartOfDouble = delimiter.length === 1 && text[index + 1] === delimiter
+        if (!isEscaped && !isSpaced && !isInsideWord && !isPartOfDouble) return index
+        index = text.indexOf(delimiter, index + (isPartOfDouble ? 2 : 1))
+    }
+    return -1
+}
+
+function findInlineMathEnd(text, start) {
+    if (!text[start + 1] || /\s/.test(text[start + 1])) return -1
+    // The content can't be empty, so the search starts past its first character
+    let index = text.indexOf('$', start + 2)
+    while (index !== -1) {
+        // "$5 and $10" is money, not math: the closing $ must not touch a digit
+        if (text[index - 1] !== '\\' && !/\s/.test(text[index - 1]) && !/\d/.test(text[index + 1] || '')) {
+            return index
+        }
+        index = text.indexOf('$', index + 1)
+    }
+    return -1
+}
+
+/**
+ * [text](url) starting at `start`: { label, url, end } or null
+ */
+function matchLink(text, start) {
+    let depth = 0
+    let labelEnd = -1
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++
+        } else if (text[i] === '[') {
+            depth++
+        } else if (text[i] === ']' && --depth === 0) {
+            labelEnd = i
+            break
+        }
+    }
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null
+
+    const urlEnd = text.indexOf(')', labelEnd + 2)
+    if (urlEnd === -1) return null
+    const url = text.slice(labelEnd + 2, urlEnd).trim().split(/\s+/)[0] || ''
+    return { label: text.slice(start + 1, labelEnd), url, end: urlEnd + 1 }
+}
+
+const EMPHASIS_DELIMITERS = Object.freeze([
+    { delimiter: '**', type: 'strong' },
+    { delimiter: '__', type: 'strong' },
+    { delimiter: '~~', type: 'delete' },
+    { delimiter: '*', type: 'emphasis' },
+    { delimiter: '_', type: 'emphasis' },
+])
+
+/**
+ * Parses inline markup into inline nodes
+ */
+export function parseInline(text) {
+    if (!text) return EMPTY_NODES
+
+    const nodes = []
+    let buffer = ''
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', text: buffer })
+        buffer = ''
+    }
+    const push = (node, end) => {
+        flush()
+        nodes.push(node)
+        return end
+    }
+
+    let i = 0
+    while (i < text.length) {
+        const char = text[i]
+
+        // Hard breaks: a backslash or two spaces before a newline
+        if (char === '\n') {
+            const hasSpaces = / {2,}$/.test(buffer)
+            if (hasSpaces || buffer.endsWith('\\')) {
+                buffer = buffer.replace(hasSpaces ? / +$/ : /\\$/, '')
+                i = push({ type: 'break' }, i + 1)
+                continue
+            }
+        }
+
+        if (char === '\\' && i + 1 < text.length && ESCAPABLE.includes(text[i + 1])) {
+            buffer += text[i + 1]
+            i += 2
+            continue
+        }
+
+        if (char === '`') {
+            const run = text.slice(i).match(/^`+/)[0]
+            const close = text.indexOf(run, i + run.length)
+            if (close !== -1) {
+                const code = text.slice(i + run.length, close).replace(/\n/g, ' ')
+                const trimmed = /^ .* $/.test(code) && code.trim() ? code.slice(1, -1) : code
+                i = push({ type: 'inlineCode', text: trimmed }, close + run.length)
+                continue
+            }
+            buffer += run
+            i += run.length
+            continue
+        }
+
+        if (text.startsWith(MATH_FENCE, i)) {
+            // $$...$$ inside a paragraph is display math, set on its own line
+            const close = text.indexOf(MATH_FENCE, i + MATH_FENCE.length)
+            const math = close === -1 ? '' : text.slice(i + MATH_FENCE.length, close).trim()
+            if (math) {
+                i = push({ type: 'inlineMath', text: math, isDisplay: true }, close + MATH_FENCE.length)
+                continue
+            }
+            buffer += MATH_FENCE
+            i += MATH_FENCE.length
+            continue
+        }
+
+        if (char === '$') {
+            const close = findInlineMathEnd(text, i)
+            if (close !== -1) {
+                i = push({ type: 'inlineMath', text: text.slice(i + 1, close) }, close + 1)
+                continue
+            }
+        }
+
+        if (char === '[') {
+            const link = matchLink(text, i)
+            if (link) {
+                const href = getSafeUrl(link.url)
+                const children = parseInline(link.label)
+                flush()
+                // An unsafe link keeps its text but loses the link
+                if (href) nodes.push({ type: 'link', href, children })
+                else nodes.push(...children)
+                i = link.end
+                continue
+            }
+        }
+
+        if (char === '<') {
+            const autolink = text.slice(i).match(/^<(https?:\/\/[^\s>]+|mailto:[^\s>]+)>/i)
+            if (autolink) {
+                i = push({ type: 'link', href: autolink[1], children: [{ type: 'text', text: autolink[1] }] }, i + autolink[0].length)
+                continue
+            }
+        }
+
+        if (char === 'h' && !isWordChar(text[i - 1])) {
+            const url = text.slice(i).match(BARE_URL_PATTERN)
+            if (url) {
+                i = push({ type: 'link', href: url[0], children: [{ type: 'text', text: url[0] }] }, i + url[0].length)
+                continue
+            }
+        }
+
+        const emphasis = EMPHASIS_DELIMITERS.find(({ delimiter }) => text.startsWith(delimiter, i))
+        if (emphasis && !(emphasis.delimiter[0] === '_' && isWordChar(text[i - 1]))) {
+            const close = findClosing(text, i, emphasis.delimiter)
+            if (close !== -1) {
+                const children = parseInline(text.slice(i + emphasis.delimiter.length, close))
+                i = push({ type: emphasis.type, children }, close + emphasis.delimiter.length)
+                continue
+            }
+            buffer += emphasis.delimiter
+            i += emphasis.delimiter.length
+            continue
+        }
+
+        buffer += char
+        i++
+    }
+
+    flush()
+    return nodes
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parses a Markdown note into block nodes
+ */
+export function parseMarkdown(source) {
+    if (typeof source !== 'string' || !source.trim()) return EMPTY_NODES
+    return parseBlocks(source.replace(/\r\n?/g, '\n').split('\n'))
+}
@@ -0,0 +1,124 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseMarkdown, parseInline, getSafeUrl } from './markdown.js'
+
+// ============================================================================
+// Math
+// ============================================================================
+
+test('inline $...$ becomes inline math', () => {
+    assert.deepEqual(parseInline('Time: $O(n \\log n)$.'), [
+        { type: 'text', text: 'Time: ' },
+        { type: 'inlineMath', text: 'O(n \\log n)' },
+        { type: 'text', text: '.' },
+    ])
+})
+
+test('$$...$$ inside a paragraph is display math', () => {
+    assert.deepEqual(parseInline('Time: $$O(n)$$'), [
+        { type: 'text', text: 'Time: ' },
+        { type: 'inlineMath', text: 'O(n)', isDisplay: true },
+    ])
+})
+
+test('an unclosed or empty $$ stays text', () => {
+    assert.deepEqual(parseInline('costs $$ only'), [{ type: 'text', text: 'costs $$ only' }])
+    assert.deepEqual(parseInline('a $$$$ b'), [{ type: 'text', text: 'a $$$$ b' }])
+})
+
+test('dollar amounts are not math', () => {
+    assert.deepEqual(parseInline('$5 and $10'), [{ type: 'text', text: '$5 and $10' }])
+    assert.deepEqual(parseInline('$ x$'), [{ type: 'text', text: '$ x$' }])
+})
+
+test('an escaped dollar is text', () => {
+    assert.deepEqual(parseInline('\\$x$'), [{ type: 'text', text: '$x$' }])
+})
+
+test('$$ lines form a math block, on one line or several', () => {
+    assert.deepEqual(parseMarkdown('$$\\frac{n}{2}$$'), [{ type: 'math', text: '\\frac{n}{2}' }])
+    assert.deepEqual(parseMarkdown('$$\n\\sum_{i=1}^{n} i\n$$\nafter'), [
+        { type: 'math', text: '\\sum_{i=1}^{n} i' },
+        { type: 'paragraph', children: [{ type: 'text', text: 'after' }] },
+    ])
+})
+
+// ============================================================================
+// Links
+// ============================================================================
+
+test('only http, https and mailto URLs are allowed', () => {
+    assert.equal(getSafeUrl('https://leetcode.com'), 'https://leetcode.com')
+    assert.equal(getSafeUrl(' HTTP://a.b '), 'HTTP://a.b')
+    assert.equal(getSafeUrl('mailto:me@a.b'), 'mailto:me@a.b')
+    assert.equal(getSafeUrl('javascript:alert(1)'), null)
+    assert.equal(getSafeUrl('JavaScript:alert(1)'), null)
+    assert.equal(getSafeUrl('data:text/html,x'), null)
+    assert.equal(getSafeUrl('/relative'), null)
+})
+
+test('a link with an unsafe URL keeps its text but not the link', () => {
+    assert.deepEqual(parseInline('[bad](javascript:alert(1))'), [
+        { type: 'text', text: 'bad' },
+        { type: 'text', text: ')' },
+    ])
+    assert.deepEqual(parseInline('[ok](https://a.b "title")'), [
+        { type: 'link', href: 'https://a.b', children: [{ type: 'text', text: 'ok' }] },
+    ])
+})
+
+test('bare and angle-bracket URLs are linked without trailing punctuation', () => {
+    assert.deepEqual(parseInline('see https://a.b/x.'), [
+        { type: 'text', text: 'see ' },
+        { type: 'link', href: 'https://a.b/x', children: [{ type: 'text', text: 'https://a.b/x' }] },
+        { type: 'text', text: '.' },
+    ])
+    assert.deepEqual(parseInline('<javascript:alert(1)>'), [{ type: 'text', text: '<javascript:alert(1)>' }])
+})
+
+// ============================================================================
+// Code
+// ============================================================================
+
+test('fenced code keeps its language and text verbatim', () => {
+    assert.deepEqual(parseMarkdown('```CPP\n  int x = a*b*c; // **not bold**\n```'), [
+        { type: 'code', language: 'cpp', text: '  int x = a*b*c; // **not bold**' },
+    ])
+})
+
+test('tilde fences and longer fences close only on a matching fence', () => {
+    assert.deepEqual(parseMarkdown('~~~py\n```\nx\n~~~'), [{ type: 'code', language: 'py', text: '```\nx' }])
+    assert.deepEqual(parseMarkdown('````\n```\n````'), [{ type: 'code', language: '', text: '```' }])
+})
+
+test('an unclosed fence runs to the end of the note', () => {
+    assert.deepEqual(parseMarkdown('```js\nlet a = 1\n\nlet b'), [
+        { type: 'code', language: 'js', text: 'let a = 1\n\nlet b' },
+    ])
+})
+
+test('indented fences are outdented by the fence indentation', () => {
+    assert.deepEqual(parseMarkdown('- item\n\n  ```java\n  int x;\n  ```'), [
+        {
+            type: 'list',
+            ordered: false,
+            start: 1,
+            items: [[
+                { type: 'paragraph', children: [{ type: 'text', text: 'item' }] },
+                { type: 'code', language: 'java', text: 'int x;' },
+            ]],
+        },
+    ])
+})
+
+test('inline code is not parsed for other markup', () => {
+    assert.deepEqual(parseInline('`$a$ *b*` and ``a`b``'), [
+        { type: 'inlineCode', text: '$a$ *b*' },
+        { type: 'text', text: ' and ' },
+        { type: 'inlineCode', text: 'a`b' },
+    ])
+})
+
+test('snake_case names are not emphasis', () => {
+    assert.deepEqual(parseInline('max_sub_array'), [{ type: 'text', text: 'max_sub_array' }])
+})